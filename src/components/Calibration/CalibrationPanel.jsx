@@ -0,0 +1,109 @@
+// src/components/Calibration/CalibrationPanel.jsx
+import React, { useState } from 'react';
+import PlotlyChart from '../PlotDisplay/PlotlyChart.jsx';
+import { CALIBRATION_MODELS, CALIBRATION_RESPONSE_METRICS, evaluateCalibrationFit } from '../../utils/calibration.js';
+import './CalibrationPanel.css';
+
+const CURVE_POINTS = 60;
+const sensorColors = ['#007bff', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+const formatFitValue = (value) => {
+    if (typeof value !== 'number' || !isFinite(value)) return '-';
+    return Math.abs(value) >= 1e4 || (Math.abs(value) < 1e-3 && value !== 0) ? value.toExponential(3) : value.toFixed(4);
+};
+
+/**
+ * Calibration view: each sensor's event responses against concentration with the selected model's fitted curve,
+ * and a table of all models' parameters, R², sensitivity and limit of detection.
+ * @param {Object} props
+ * @param {Array<Object>} props.calibrations - From calculateCalibrations.
+ * @param {string} props.responseMetric - 'steadyStateResponse' or 'peakResponse'.
+ * @param {Function} props.onResponseMetricChange - Called with the new response metric.
+ * @param {string} [props.signalLabel] - Label of the signal the responses are measured in.
+ * @param {string} [props.concentrationLabel] - Axis title for the concentration.
+ */
+const CalibrationPanel = ({ calibrations, responseMetric, onResponseMetricChange, signalLabel, concentrationLabel }) => {
+    const [plottedModel, setPlottedModel] = useState('linear');
+
+    if (!calibrations || calibrations.every(calibration => calibration.points.length === 0)) {
+        return <p>No calibration points. Calibration needs gas exposure events with a concentration and a measurable response.</p>;
+    }
+
+    const maximumConcentration = Math.max(...calibrations.flatMap(calibration => calibration.points.map(p => p.concentration)));
+    const curveConcentrations = Array.from({ length: CURVE_POINTS + 1 }, (_, i) => (maximumConcentration * 1.1 * i) / CURVE_POINTS);
+
+    const traces = [];
+    calibrations.forEach((calibration, i) => {
+        const color = sensorColors[i % sensorColors.length];
+        traces.push({
+            x: calibration.points.map(p => p.concentration),
+            y: calibration.points.map(p => p.response),
+            text: calibration.points.map(p => `Event ${p.eventNumber}`),
+            name: `Sensor ${calibration.sensorNumber}`,
+            type: 'scatter', mode: 'markers', marker: { color, size: 8 }
+        });
+        const fit = calibration.fits.find(f => f.model === plottedModel);
+        if (fit && isFinite(fit.rSquared)) {
+            traces.push({
+                x: curveConcentrations,
+                y: curveConcentrations.map(c => evaluateCalibrationFit(fit, c)),
+                name: `Sensor ${calibration.sensorNumber} fit (R² ${fit.rSquared.toFixed(3)})`,
+                type: 'scatter', mode: 'lines', line: { color, dash: 'dash', width: 1.5 }
+            });
+        }
+    });
+
+    const layout = {
+        title: { text: `Calibration: ${CALIBRATION_MODELS.find(m => m.id === plottedModel).label}`, font: { size: 14 } },
+        xaxis: { title: { text: concentrationLabel || 'Concentration' }, rangemode: 'tozero' },
+        yaxis: { title: { text: `|${CALIBRATION_RESPONSE_METRICS.find(m => m.value === responseMetric).label}|${signalLabel ? ` [${signalLabel}]` : ''}` }, rangemode: 'tozero', automargin: true },
+        margin: { l: 70, r: 40, t: 60, b: 50 },
+        legend: { x: 0.5, y: -0.2, xanchor: 'center', yanchor: 'top', orientation: "h", font: { size: 10 } },
+        height: 450
+    };
+
+    return (
+        <div className="calibration-panel">
+            <div className="calibration-options">
+                <label htmlFor="calibration-response">Response:</label>
+                <select id="calibration-response" value={responseMetric} onChange={(e) => onResponseMetricChange(e.target.value)}>
+                    {CALIBRATION_RESPONSE_METRICS.map(metric => (
+                        <option key={metric.value} value={metric.value}>{metric.label}</option>
+                    ))}
+                </select>
+                <label htmlFor="calibration-model">Plotted model:</label>
+                <select id="calibration-model" value={plottedModel} onChange={(e) => setPlottedModel(e.target.value)}>
+                    {CALIBRATION_MODELS.map(model => (
+                        <option key={model.id} value={model.id}>{model.label}</option>
+                    ))}
+                </select>
+            </div>
+            <PlotlyChart divId="chart-calibration" data={traces} layout={layout} exportPlotName="Calibration" />
+            <table className="calibration-table">
+                <thead>
+                    <tr>
+                        <th>Sensor</th><th>Model</th><th>Parameters</th><th>R²</th><th>Sensitivity (signal/conc.)</th>
+                        <th>Noise σ</th><th>LOD (3σ)</th><th>Points</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {calibrations.flatMap(calibration => calibration.fits.map(fit => (
+                        <tr key={`${calibration.fileName}-${fit.model}`}>
+                            <td>{calibration.sensorNumber}</td>
+                            <td>{fit.label}</td>
+                            <td>{Object.entries(fit.parameters).map(([name, value]) => `${name} = ${formatFitValue(value)}`).join(', ')}</td>
+                            <td>{formatFitValue(fit.rSquared)}</td>
+                            <td>{formatFitValue(fit.sensitivity)}</td>
+                            <td>{formatFitValue(calibration.noise)}</td>
+                            <td>{formatFitValue(fit.lod)}</td>
+                            <td>{calibration.points.length}</td>
+                        </tr>
+                    )))}
+                </tbody>
+            </table>
+            <small>Responses are magnitudes relative to the pre-exposure baseline. The LOD is the concentration at which the fitted curve reaches three times the baseline noise.</small>
+        </div>
+    );
+};
+
+export default CalibrationPanel;
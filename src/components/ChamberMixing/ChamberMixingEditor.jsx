@@ -0,0 +1,35 @@
+// src/components/ChamberMixing/ChamberMixingEditor.jsx
+import React from 'react';
+import { DEFAULT_CHAMBER_MIXING, calculateMixingTimeConstant } from '../../utils/gasCalculations.js';
+import './ChamberMixingEditor.css';
+
+const ChamberMixingEditor = ({ settings, totalFlowrate, onChange, onTotalFlowrateChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_CHAMBER_MIXING, ...(settings || {}) };
+    const timeConstantMinutes = calculateMixingTimeConstant(Number(currentSettings.chamberVolumeMl), Number(totalFlowrate));
+
+    const handleChange = (event) => {
+        const { name, value, type, checked } = event.target;
+        onChange({ ...currentSettings, [name]: type === 'checkbox' ? checked : parseFloat(value) });
+    };
+
+    return (
+        <div className="parameter-group chamber-mixing-editor">
+            <label>Chamber Mixing:</label>
+            <div className="chamber-mixing-grid">
+                <label htmlFor="chamber-mixing-enabled">Model chamber response</label>
+                <input type="checkbox" id="chamber-mixing-enabled" name="enabled" checked={currentSettings.enabled} onChange={handleChange} disabled={disabled} />
+                <label htmlFor="chamber-mixing-volume">Chamber volume (mL)</label>
+                <input type="number" id="chamber-mixing-volume" name="chamberVolumeMl" min="0" step="any" value={currentSettings.chamberVolumeMl} onChange={handleChange} disabled={disabled || !currentSettings.enabled} />
+                <label htmlFor="totalFlowrate">Total flow rate (sccm)</label>
+                <input type="number" id="totalFlowrate" name="totalFlowrate" min="0" step="any" value={totalFlowrate} onChange={onTotalFlowrateChange} disabled={disabled} />
+            </div>
+            <small>
+                Treats the chamber as well mixed: each concentration step rises and decays exponentially with the time constant
+                τ = volume / flow{isNaN(timeConstantMinutes) ? '' : ` (${(timeConstantMinutes * 60).toFixed(1)} s)`}. The plotted and
+                exported concentrations follow the modelled curve, and exposure events start and end at its half-response point.
+            </small>
+        </div>
+    );
+};
+
+export default ChamberMixingEditor;
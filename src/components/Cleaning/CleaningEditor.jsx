@@ -0,0 +1,79 @@
+// src/components/Cleaning/CleaningEditor.jsx
+import React from 'react';
+import { DEFAULT_CLEANING_SETTINGS, SMOOTHING_METHODS, SPIKE_FILTERS } from '../../utils/signalCleaning.js';
+import './CleaningEditor.css';
+
+const RANGE_FIELDS = [
+    { name: 'impedanceMin', label: 'Impedance min (Ohm)' },
+    { name: 'impedanceMax', label: 'Impedance max (Ohm)' },
+    { name: 'phaseMin', label: 'Phase min (deg)' },
+    { name: 'phaseMax', label: 'Phase max (deg)' }
+];
+
+const CleaningEditor = ({ settings, onChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_CLEANING_SETTINGS, ...(settings || {}) };
+
+    const handleChange = (event) => {
+        const { name, value, type } = event.target;
+        onChange({ ...currentSettings, [name]: type === 'number' ? parseFloat(value) : value });
+    };
+
+    // Empty range fields leave that side of the range open
+    const handleRangeChange = (event) => {
+        const { name, value } = event.target;
+        onChange({ ...currentSettings, [name]: value === '' ? null : parseFloat(value) });
+    };
+
+    return (
+        <div className="parameter-group cleaning-editor">
+            <label>Data Cleaning:</label>
+            <div className="cleaning-grid">
+                {RANGE_FIELDS.map(field => (
+                    <React.Fragment key={field.name}>
+                        <label htmlFor={`cleaning-${field.name}`}>{field.label}</label>
+                        <input type="number" id={`cleaning-${field.name}`} name={field.name} step="any" placeholder="No limit" value={currentSettings[field.name] === null ? '' : currentSettings[field.name]} onChange={handleRangeChange} disabled={disabled} />
+                    </React.Fragment>
+                ))}
+                <label htmlFor="cleaning-spike-filter">Spike removal</label>
+                <select id="cleaning-spike-filter" name="spikeFilter" value={currentSettings.spikeFilter} onChange={handleChange} disabled={disabled}>
+                    {SPIKE_FILTERS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                {currentSettings.spikeFilter !== 'none' && (
+                    <>
+                        <label htmlFor="cleaning-spike-window">Spike window (points)</label>
+                        <input type="number" id="cleaning-spike-window" name="spikeWindow" min="3" step="2" value={currentSettings.spikeWindow} onChange={handleChange} disabled={disabled} />
+                    </>
+                )}
+                {currentSettings.spikeFilter === 'hampel' && (
+                    <>
+                        <label htmlFor="cleaning-spike-threshold">Spike threshold (MAD)</label>
+                        <input type="number" id="cleaning-spike-threshold" name="spikeThreshold" min="0" step="any" value={currentSettings.spikeThreshold} onChange={handleChange} disabled={disabled} />
+                    </>
+                )}
+                <label htmlFor="cleaning-smoothing">Smoothing</label>
+                <select id="cleaning-smoothing" name="smoothing" value={currentSettings.smoothing} onChange={handleChange} disabled={disabled}>
+                    {SMOOTHING_METHODS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                {currentSettings.smoothing !== 'none' && (
+                    <>
+                        <label htmlFor="cleaning-smoothing-window">Smoothing window (points)</label>
+                        <input type="number" id="cleaning-smoothing-window" name="smoothingWindow" min="3" step="2" value={currentSettings.smoothingWindow} onChange={handleChange} disabled={disabled} />
+                    </>
+                )}
+                {currentSettings.smoothing === 'savitzky_golay' && (
+                    <>
+                        <label htmlFor="cleaning-smoothing-order">Polynomial order</label>
+                        <input type="number" id="cleaning-smoothing-order" name="smoothingOrder" min="0" max="6" step="1" value={currentSettings.smoothingOrder} onChange={handleChange} disabled={disabled} />
+                    </>
+                )}
+            </div>
+            <small>Applied to impedance and phase before drift correction and the signal. Out-of-range values and Hampel spikes (further than the threshold in scaled median absolute deviations from the window median) are removed; the running median and smoothing replace values. Windows are rounded up to an odd number of points.</small>
+        </div>
+    );
+};
+
+export default CleaningEditor;
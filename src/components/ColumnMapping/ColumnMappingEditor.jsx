@@ -0,0 +1,142 @@
+// src/components/ColumnMapping/ColumnMappingEditor.jsx
+import React, { useState } from 'react';
+import {
+    DEFAULT_COLUMN_MAPPING,
+    loadSavedColumnMappings,
+    saveColumnMapping,
+    deleteSavedColumnMapping
+} from '../../utils/columnMapping.js';
+import './ColumnMappingEditor.css';
+
+const ColumnMappingEditor = ({ mapping, onChange, disabled }) => {
+    const [savedMappings, setSavedMappings] = useState(() => loadSavedColumnMappings());
+    const [statusMessage, setStatusMessage] = useState('');
+
+    const currentMapping = { ...DEFAULT_COLUMN_MAPPING, ...(mapping || {}) };
+    const extraChannels = currentMapping.extraChannels || [];
+
+    const updateMapping = (changes) => {
+        onChange({ ...currentMapping, ...changes });
+    };
+
+    const handleFieldChange = (event) => {
+        const { name, value } = event.target;
+        updateMapping({ [name]: value });
+    };
+
+    const handleExtraChannelChange = (index, field, value) => {
+        const updatedChannels = extraChannels.map((channel, i) => (i === index ? { ...channel, [field]: value } : channel));
+        updateMapping({ extraChannels: updatedChannels });
+    };
+
+    const handleAddExtraChannel = () => {
+        updateMapping({ extraChannels: [...extraChannels, { name: '', column: '' }] });
+    };
+
+    const handleRemoveExtraChannel = (index) => {
+        updateMapping({ extraChannels: extraChannels.filter((_, i) => i !== index) });
+    };
+
+    const handleSelectSavedMapping = (event) => {
+        const selectedName = event.target.value;
+        if (selectedName === '__default__') {
+            onChange({ ...DEFAULT_COLUMN_MAPPING });
+            setStatusMessage(`Loaded "${DEFAULT_COLUMN_MAPPING.name}".`);
+            return;
+        }
+        const selected = savedMappings.find(m => m.name === selectedName);
+        if (selected) {
+            onChange({ ...DEFAULT_COLUMN_MAPPING, ...selected });
+            setStatusMessage(`Loaded "${selected.name}".`);
+        }
+    };
+
+    const handleSaveMapping = () => {
+        try {
+            setSavedMappings(saveColumnMapping(currentMapping));
+            setStatusMessage(`Saved "${currentMapping.name.trim()}".`);
+        } catch (e) {
+            setStatusMessage(e.message);
+        }
+    };
+
+    const handleDeleteMapping = () => {
+        setSavedMappings(deleteSavedColumnMapping(currentMapping.name));
+        setStatusMessage(`Deleted "${currentMapping.name}".`);
+    };
+
+    const isSavedMapping = savedMappings.some(m => m.name === currentMapping.name);
+
+    return (
+        <div className="parameter-group column-mapping-editor">
+            <label htmlFor="column-mapping-profile">Time-Series Column Mapping:</label>
+            <select
+                id="column-mapping-profile"
+                value={isSavedMapping ? currentMapping.name : ''}
+                onChange={handleSelectSavedMapping}
+                disabled={disabled}
+            >
+                <option value="" disabled>Select a saved mapping...</option>
+                <option value="__default__">{DEFAULT_COLUMN_MAPPING.name} (built-in)</option>
+                {savedMappings.map(m => (
+                    <option key={m.name} value={m.name}>{m.name}</option>
+                ))}
+            </select>
+            <small>Columns are 1-based column numbers or header names (when the file has a header row).</small>
+
+            <div className="column-mapping-grid">
+                <label htmlFor="mapping-name">Mapping name</label>
+                <input type="text" id="mapping-name" name="name" value={currentMapping.name} onChange={handleFieldChange} disabled={disabled}/>
+
+                <label htmlFor="mapping-time">Time column</label>
+                <input type="text" id="mapping-time" name="time" value={currentMapping.time} onChange={handleFieldChange} disabled={disabled}/>
+
+                <label htmlFor="mapping-impedance">Impedance column</label>
+                <input type="text" id="mapping-impedance" name="impedance" value={currentMapping.impedance} onChange={handleFieldChange} disabled={disabled}/>
+
+                <label htmlFor="mapping-phase">Phase column</label>
+                <input type="text" id="mapping-phase" name="phase" value={currentMapping.phase} onChange={handleFieldChange} disabled={disabled}/>
+
+                <label htmlFor="mapping-header-mode">Header row</label>
+                <select id="mapping-header-mode" name="headerMode" value={currentMapping.headerMode} onChange={handleFieldChange} disabled={disabled}>
+                    <option value="auto">Detect automatically</option>
+                    <option value="header">First row is a header</option>
+                    <option value="no_header">No header row</option>
+                </select>
+            </div>
+
+            <div className="column-mapping-extra-channels">
+                <span>Extra channels:</span>
+                {extraChannels.length === 0 && <small>None. Add channels such as temperature or humidity to carry them into the results.</small>}
+                {extraChannels.map((channel, index) => (
+                    <div key={index} className="column-mapping-extra-channel">
+                        <input
+                            type="text"
+                            placeholder="Channel name"
+                            value={channel.name}
+                            onChange={(e) => handleExtraChannelChange(index, 'name', e.target.value)}
+                            disabled={disabled}
+                        />
+                        <input
+                            type="text"
+                            placeholder="Column"
+                            value={channel.column}
+                            onChange={(e) => handleExtraChannelChange(index, 'column', e.target.value)}
+                            disabled={disabled}
+                        />
+                        <button type="button" onClick={() => handleRemoveExtraChannel(index)} disabled={disabled}>Remove</button>
+                    </div>
+                ))}
+                <button type="button" onClick={handleAddExtraChannel} disabled={disabled}>Add Channel</button>
+            </div>
+
+            <div className="column-mapping-actions">
+                <button type="button" onClick={handleSaveMapping} disabled={disabled}>Save Mapping</button>
+                <button type="button" onClick={handleDeleteMapping} disabled={disabled || !isSavedMapping}>Delete Saved Mapping</button>
+                {statusMessage && <small>{statusMessage}</small>}
+            </div>
+        </div>
+    );
+};
+
+export default ColumnMappingEditor;
@@ -0,0 +1,42 @@
+// src/components/DriftCorrection/DriftCorrectionEditor.jsx
+import React from 'react';
+import { DEFAULT_DRIFT_CORRECTION, DRIFT_CORRECTION_METHODS } from '../../utils/driftCorrection.js';
+import './DriftCorrectionEditor.css';
+
+const DriftCorrectionEditor = ({ settings, onChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_DRIFT_CORRECTION, ...(settings || {}) };
+
+    const handleChange = (event) => {
+        const { name, value, type } = event.target;
+        onChange({ ...currentSettings, [name]: type === 'number' ? parseFloat(value) : value });
+    };
+
+    return (
+        <div className="parameter-group drift-correction-editor">
+            <label>Baseline Drift Correction:</label>
+            <div className="drift-correction-grid">
+                <label htmlFor="drift-method">Method</label>
+                <select id="drift-method" name="method" value={currentSettings.method} onChange={handleChange} disabled={disabled}>
+                    {DRIFT_CORRECTION_METHODS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                {currentSettings.method === 'polynomial' && (
+                    <>
+                        <label htmlFor="drift-order">Polynomial order</label>
+                        <input type="number" id="drift-order" name="polynomialOrder" min="1" max="6" step="1" value={currentSettings.polynomialOrder} onChange={handleChange} disabled={disabled} />
+                    </>
+                )}
+                {currentSettings.method !== 'none' && (
+                    <>
+                        <label htmlFor="drift-settle">Recovery after exposure (min)</label>
+                        <input type="number" id="drift-settle" name="settleMinutes" min="0" step="any" value={currentSettings.settleMinutes} onChange={handleChange} disabled={disabled} />
+                    </>
+                )}
+            </div>
+            <small>The baseline is fitted through the data between gas exposures (skipping the recovery time after each) and its change since the reference time is subtracted from the impedance before the signal is calculated.</small>
+        </div>
+    );
+};
+
+export default DriftCorrectionEditor;
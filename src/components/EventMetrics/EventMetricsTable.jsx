@@ -0,0 +1,68 @@
+// src/components/EventMetrics/EventMetricsTable.jsx
+import React, { useMemo, useState } from 'react';
+import { EVENT_METRIC_COLUMNS } from '../../utils/eventMetrics.js';
+import './EventMetricsTable.css';
+
+const formatMetricValue = (value) => {
+    if (typeof value !== 'number') return value;
+    if (isNaN(value)) return '-';
+    return Number.isInteger(value) ? value : value.toFixed(3);
+};
+
+/**
+ * Shows per-sensor, per-event metrics in a table sortable by any column (click a header; click again to reverse).
+ * Undefined values (NaN) sort last.
+ * @param {Object} props
+ * @param {Array<Object>} props.metrics - Rows from calculateEventMetrics.
+ */
+const EventMetricsTable = ({ metrics }) => {
+    const [sort, setSort] = useState({ key: 'sensorNumber', ascending: true });
+
+    const sortedMetrics = useMemo(() => {
+        const direction = sort.ascending ? 1 : -1;
+        const isMissing = (value) => value === null || value === undefined || (typeof value === 'number' && isNaN(value));
+        return [...metrics].sort((a, b) => {
+            const valueA = a[sort.key];
+            const valueB = b[sort.key];
+            if (isMissing(valueA) || isMissing(valueB)) return isMissing(valueA) - isMissing(valueB);
+            if (typeof valueA === 'number' && typeof valueB === 'number') return (valueA - valueB) * direction || a.eventNumber - b.eventNumber;
+            return String(valueA).localeCompare(String(valueB)) * direction;
+        });
+    }, [metrics, sort]);
+
+    if (!metrics || metrics.length === 0) {
+        return <p>No gas exposure events to evaluate. Event metrics need a gas flow table.</p>;
+    }
+
+    const handleSort = (key) => {
+        setSort(prevSort => ({ key, ascending: prevSort.key === key ? !prevSort.ascending : true }));
+    };
+
+    return (
+        <div className="event-metrics">
+            <table className="event-metrics-table">
+                <thead>
+                    <tr>
+                        {EVENT_METRIC_COLUMNS.map(column => (
+                            <th key={column.key} onClick={() => handleSort(column.key)} className={sort.key === column.key ? 'sorted' : ''}>
+                                {column.label}{sort.key === column.key ? (sort.ascending ? ' ▲' : ' ▼') : ''}
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {sortedMetrics.map(row => (
+                        <tr key={`${row.fileName}-${row.eventNumber}`}>
+                            {EVENT_METRIC_COLUMNS.map(column => (
+                                <td key={column.key}>{formatMetricValue(row[column.key])}</td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <small>Responses are relative to the mean signal in the minutes before each exposure. t90: time to 90% of the steady-state response; t10: time after the exposure until the response falls to 10%.</small>
+        </div>
+    );
+};
+
+export default EventMetricsTable;
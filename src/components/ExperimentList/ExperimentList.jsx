@@ -0,0 +1,61 @@
+// src/components/ExperimentList/ExperimentList.jsx
+import React from 'react';
+import './ExperimentList.css';
+
+const ANALYSIS_TYPE_LABELS = { time_series: 'Time-series', spectroscopy: 'Spectroscopy' };
+
+/**
+ * Lists the experiments found in a folder upload with a checkbox each; checked experiments are processed in turn.
+ * @param {Object} props
+ * @param {Array<Object>} props.experiments - From discoverExperiments.
+ * @param {Function} props.onChange - Called with the updated experiments when a selection changes.
+ * @param {boolean} props.disabled - Disables the checkboxes.
+ */
+const ExperimentList = ({ experiments, onChange, disabled }) => {
+    const setSelected = (experimentIds, selected) => {
+        onChange(experiments.map(experiment => (experimentIds.includes(experiment.id) ? { ...experiment, selected } : experiment)));
+    };
+    const allIds = experiments.map(experiment => experiment.id);
+    const selectedCount = experiments.filter(experiment => experiment.selected).length;
+
+    return (
+        <div className="parameter-group experiment-list">
+            <label>Experiments found ({selectedCount} of {experiments.length} selected):</label>
+            <div className="experiment-list-actions">
+                <button type="button" onClick={() => setSelected(allIds, true)} disabled={disabled}>Select all</button>
+                <button type="button" onClick={() => setSelected(allIds, false)} disabled={disabled}>Select none</button>
+            </div>
+            <table className="experiment-list-table">
+                <thead>
+                    <tr>
+                        <th>Process</th>
+                        <th>Experiment</th>
+                        <th>Type</th>
+                        <th>Sensor files</th>
+                        <th>Gas flow table</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {experiments.map(experiment => (
+                        <tr key={experiment.id}>
+                            <td>
+                                <input
+                                    type="checkbox"
+                                    checked={experiment.selected}
+                                    onChange={(e) => setSelected([experiment.id], e.target.checked)}
+                                    disabled={disabled}
+                                />
+                            </td>
+                            <td title={experiment.folderPath}>{experiment.name}</td>
+                            <td>{ANALYSIS_TYPE_LABELS[experiment.analysisType]}</td>
+                            <td>{experiment.fileItems.length}</td>
+                            <td>{experiment.analysisType === 'time_series' ? (experiment.gasFlowFile ? 'Yes' : 'No') : '-'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default ExperimentList;
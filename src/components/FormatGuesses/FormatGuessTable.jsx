@@ -0,0 +1,50 @@
+// src/components/FormatGuesses/FormatGuessTable.jsx
+import React from 'react';
+import { getFileFolderPath } from '../../services/experimentDiscoveryService.js';
+import { MIN_FORMAT_CONFIDENCE } from '../../utils/formatDetection.js';
+import './FormatGuessTable.css';
+
+const MAX_LISTED_GUESSES = 3;
+
+const formatScore = (score) => `${Math.round(score * 100)}%`;
+
+/**
+ * Shows the ranked format guesses of every selected file and whether it was accepted.
+ * Expanded by default when a file was rejected.
+ * @param {Object} props
+ * @param {Array<Object>} props.recognitions - From recognizeFileFormats: { file, guesses, parser }.
+ */
+const FormatGuessTable = ({ recognitions }) => {
+    const rejectedCount = recognitions.filter(recognition => !recognition.parser).length;
+
+    return (
+        <details className="parameter-group format-guesses" open={rejectedCount > 0}>
+            <summary>
+                Detected file formats: {recognitions.length - rejectedCount} recognised
+                {rejectedCount > 0 && <span className="format-guesses-rejected-count">, {rejectedCount} rejected</span>}
+            </summary>
+            <table className="format-guesses-table">
+                <thead>
+                    <tr><th>File</th><th>Best guess</th><th>Other guesses</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    {recognitions.map(({ file, guesses, parser }, index) => {
+                        const folderPath = getFileFolderPath(file);
+                        return (
+                            <tr key={`${folderPath}/${file.name}-${index}`} className={parser ? '' : 'format-guess-rejected'}>
+                                <td>{folderPath ? `${folderPath}/` : ''}{file.name}</td>
+                                <td>{guesses.length > 0 ? `${guesses[0].label} (${formatScore(guesses[0].score)})` : '-'}</td>
+                                <td>
+                                    {guesses.slice(1, MAX_LISTED_GUESSES).map(guess => `${guess.label} (${formatScore(guess.score)})`).join('; ') || '-'}
+                                </td>
+                                <td>{parser ? 'Accepted' : `Rejected (below ${formatScore(MIN_FORMAT_CONFIDENCE)})`}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </details>
+    );
+};
+
+export default FormatGuessTable;
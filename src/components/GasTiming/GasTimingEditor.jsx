@@ -0,0 +1,43 @@
+// src/components/GasTiming/GasTimingEditor.jsx
+import React from 'react';
+import { DEFAULT_GAS_TIMING, GAS_TIMING_MODES } from '../../utils/gasTiming.js';
+import './GasTimingEditor.css';
+
+const GasTimingEditor = ({ settings, onChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_GAS_TIMING, ...(settings || {}) };
+
+    const handleChange = (event) => {
+        const { name, value, type } = event.target;
+        onChange({ ...currentSettings, [name]: type === 'number' ? parseFloat(value) : value });
+    };
+
+    return (
+        <div className="parameter-group gas-timing-editor">
+            <label>Gas Delivery Timing:</label>
+            <div className="gas-timing-grid">
+                <label htmlFor="gas-timing-mode">Mode</label>
+                <select id="gas-timing-mode" name="mode" value={currentSettings.mode} onChange={handleChange} disabled={disabled}>
+                    {GAS_TIMING_MODES.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                <label htmlFor="gas-timing-offset">Program start offset (s)</label>
+                <input type="number" id="gas-timing-offset" name="startOffsetSeconds" step="any" value={currentSettings.startOffsetSeconds} onChange={handleChange} disabled={disabled} />
+                {currentSettings.mode === 'manual' ? (
+                    <>
+                        <label htmlFor="gas-timing-dead-time">Dead time (s)</label>
+                        <input type="number" id="gas-timing-dead-time" name="deadTimeSeconds" min="0" step="any" value={currentSettings.deadTimeSeconds} onChange={handleChange} disabled={disabled} />
+                    </>
+                ) : (
+                    <>
+                        <label htmlFor="gas-timing-max-lag">Largest lag searched (s)</label>
+                        <input type="number" id="gas-timing-max-lag" name="maxLagSeconds" min="0" step="any" value={currentSettings.maxLagSeconds} onChange={handleChange} disabled={disabled} />
+                    </>
+                )}
+            </div>
+            <small>The gas program is delayed by the start offset (when it started after the sensor log) plus the transport dead time to the chamber. Auto-align estimates the dead time as the delay at which the concentration profile correlates best with the sensors' impedance.</small>
+        </div>
+    );
+};
+
+export default GasTimingEditor;
@@ -0,0 +1,68 @@
+// src/components/ParseDiagnostics/ParseDiagnosticsReport.jsx
+import React from 'react';
+import { summarizeFileDiagnostics } from '../../utils/parseDiagnostics.js';
+import './ParseDiagnosticsReport.css';
+
+const KIND_LABELS = {
+    time_series: 'Time-series',
+    spectroscopy: 'Spectroscopy',
+    gas_program: 'Gas program'
+};
+
+/**
+ * Lists the parse diagnostics of each file in a collapsible section: what was detected,
+ * how many rows were accepted, file-level notices, and which lines were skipped and why.
+ * Files with notices, skipped rows or errors are expanded by default.
+ * @param {Object} props
+ * @param {Array<Object>} props.diagnostics - Entries from createFileDiagnostics.
+ */
+const ParseDiagnosticsReport = ({ diagnostics }) => {
+    if (!diagnostics || diagnostics.length === 0) return null;
+
+    return (
+        <div className="parse-diagnostics-report">
+            <h3>Parse Diagnostics:</h3>
+            {diagnostics.map((entry, index) => (
+                <details key={`${entry.fileName}-${index}`} className={`parse-diagnostics-file diagnostics-${entry.status}`} open={entry.status !== 'ok'}>
+                    <summary>
+                        <strong>{entry.fileName}</strong> ({KIND_LABELS[entry.kind] || entry.kind}): {summarizeFileDiagnostics(entry)}
+                    </summary>
+                    {entry.status !== 'failed' && (
+                        <table className="parse-diagnostics-table">
+                            <tbody>
+                                <tr><th>Total rows</th><td>{entry.totalRows}</td></tr>
+                                <tr><th>Accepted rows</th><td>{entry.acceptedRows}</td></tr>
+                                <tr><th>Skipped rows</th><td>{entry.skippedRowCount}</td></tr>
+                                {Object.entries(entry.detectedFormat || {}).map(([label, value]) => (
+                                    <tr key={label}><th>{label}</th><td>{value}</td></tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {(entry.notices || []).length > 0 && (
+                        <ul className="parse-diagnostics-notices">
+                            {entry.notices.map((notice, i) => <li key={i}>{notice}</li>)}
+                        </ul>
+                    )}
+                    {entry.skippedRows.length > 0 && (
+                        <table className="parse-diagnostics-table parse-diagnostics-skipped">
+                            <thead>
+                                <tr><th>Line</th><th>Reason</th></tr>
+                            </thead>
+                            <tbody>
+                                {entry.skippedRows.map((skipped, i) => (
+                                    <tr key={i}><td>{skipped.line}</td><td>{skipped.reason}</td></tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {entry.skippedRowCount > entry.skippedRows.length && (
+                        <small>{entry.skippedRowCount - entry.skippedRows.length} further skipped rows not listed.</small>
+                    )}
+                </details>
+            ))}
+        </div>
+    );
+};
+
+export default ParseDiagnosticsReport;
@@ -0,0 +1,43 @@
+// src/components/ParseSettings/ParseSettingsEditor.jsx
+import React from 'react';
+import {
+    DEFAULT_PARSE_SETTINGS,
+    DELIMITER_OPTIONS,
+    DECIMAL_SEPARATOR_OPTIONS,
+    ENCODING_OPTIONS
+} from '../../utils/localeDetection.js';
+import './ParseSettingsEditor.css';
+
+const ParseSettingsEditor = ({ settings, onChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_PARSE_SETTINGS, ...(settings || {}) };
+
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        onChange({ ...currentSettings, [name]: value });
+    };
+
+    const renderSelect = (id, name, label, options) => (
+        <>
+            <label htmlFor={id}>{label}</label>
+            <select id={id} name={name} value={currentSettings[name]} onChange={handleChange} disabled={disabled}>
+                {options.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+        </>
+    );
+
+    return (
+        <div className="parameter-group parse-settings-editor">
+            <label>File Format (delimiter, decimal mark, encoding):</label>
+            <div className="parse-settings-grid">
+                {renderSelect('parse-delimiter', 'delimiter', 'Delimiter', DELIMITER_OPTIONS)}
+                {renderSelect('parse-decimal', 'decimalSeparator', 'Decimal mark', DECIMAL_SEPARATOR_OPTIONS)}
+                {renderSelect('parse-encoding', 'encoding', 'Encoding', ENCODING_OPTIONS)}
+            </div>
+            <small>Automatic detection handles semicolon-separated, comma-decimal and UTF-16 exports from German/French Windows. The detected settings are logged per file.</small>
+        </div>
+    );
+};
+
+export default ParseSettingsEditor;
@@ -0,0 +1,169 @@
+// src/components/PatternRecognition/PatternRecognitionPanel.jsx
+import React, { useMemo, useState } from 'react';
+import PlotlyChart from '../PlotDisplay/PlotlyChart.jsx';
+import { calculateEventMetrics } from '../../utils/eventMetrics.js';
+import { CALIBRATION_RESPONSE_METRICS } from '../../utils/calibration.js';
+import {
+    DEFAULT_PATTERN_SETTINGS, FEATURE_SCALINGS, buildFeatureMatrix, calculateLda, calculatePca
+} from '../../utils/patternRecognition.js';
+import './PatternRecognitionPanel.css';
+
+const gasColors = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+/**
+ * Sensor-array pattern recognition: PCA (or LDA by gas when the events carry at least two gas labels) on the
+ * events × sensors response matrix, with a score plot of the events and a loading plot of the sensors.
+ * @param {Object} props
+ * @param {Array<Object>} props.timeSeriesData - Processed sensor tables.
+ * @param {Array<Object>} props.events - Exposure events { startTime, endTime, concentration, gas } (see collectLabelledEvents).
+ * @param {string} [props.concentrationLabel] - Title of the concentration colour bar.
+ */
+const PatternRecognitionPanel = ({ timeSeriesData, events, concentrationLabel }) => {
+    const [settings, setSettings] = useState({ ...DEFAULT_PATTERN_SETTINGS });
+    const [colorBy, setColorBy] = useState('concentration'); // 'concentration' or 'gas'
+    const [axes, setAxes] = useState({ x: 0, y: 1 });
+
+    const eventMetrics = useMemo(() => calculateEventMetrics(timeSeriesData, events), [timeSeriesData, events]);
+    const featureMatrix = useMemo(
+        () => buildFeatureMatrix(eventMetrics, settings.responseMetric),
+        [eventMetrics, settings.responseMetric]
+    );
+    const gasLabels = featureMatrix.events.map(event => event.gas || 'Unlabelled');
+    const gasClasses = [...new Set(gasLabels)];
+    const ldaAvailable = gasClasses.length >= 2;
+    const method = settings.method === 'lda' && ldaAvailable ? 'lda' : 'pca';
+    const result = useMemo(
+        () => (method === 'lda'
+            ? calculateLda(featureMatrix, featureMatrix.events.map(event => event.gas || 'Unlabelled'), settings.scaling)
+            : calculatePca(featureMatrix, settings.scaling)),
+        [featureMatrix, method, settings.scaling]
+    );
+
+    if (!events || events.length === 0) {
+        return <p>No gas exposure events to analyse. Pattern recognition needs a gas flow table.</p>;
+    }
+    if (!result) {
+        return <p>Not enough complete events for a multivariate analysis ({featureMatrix.events.length} event(s) with a response from every sensor; at least 2{method === 'lda' ? ' more than the number of gases' : ''} are needed).</p>;
+    }
+
+    const handleSettingChange = (event) => {
+        const { name, value } = event.target;
+        setSettings(prevSettings => ({ ...prevSettings, [name]: value }));
+        if (name === 'method') setAxes({ x: 0, y: 1 });
+    };
+
+    const componentPrefix = method === 'lda' ? 'LD' : 'PC';
+    const componentCount = result.explainedVariance.length;
+    const componentTitle = (k) => `${componentPrefix}${k + 1} (${(result.explainedVariance[k] * 100).toFixed(1)}%)`;
+    const xComponent = Math.min(axes.x, componentCount - 1);
+    const yComponent = componentCount > 1 ? Math.min(axes.y, componentCount - 1) : null; // One discriminant: plot against event number
+    const eventText = featureMatrix.events.map(event => `Event ${event.eventNumber}: ${event.gas ? `${event.gas}, ` : ''}${event.concentration}`);
+    const scoreY = (i) => (yComponent === null ? featureMatrix.events[i].eventNumber : result.scores[i][yComponent]);
+
+    const scoreTraces = colorBy === 'gas'
+        ? gasClasses.map((gas, g) => {
+            const indices = gasLabels.map((label, i) => (label === gas ? i : -1)).filter(i => i >= 0);
+            return {
+                x: indices.map(i => result.scores[i][xComponent]),
+                y: indices.map(scoreY),
+                text: indices.map(i => eventText[i]),
+                name: gas, type: 'scatter', mode: 'markers',
+                marker: { color: gasColors[g % gasColors.length], size: 10 }
+            };
+        })
+        : [{
+            x: result.scores.map(score => score[xComponent]),
+            y: featureMatrix.events.map((event, i) => scoreY(i)),
+            text: eventText,
+            name: 'Events', type: 'scatter', mode: 'markers',
+            marker: {
+                color: featureMatrix.events.map(event => event.concentration), colorscale: 'Viridis', size: 10,
+                colorbar: { title: { text: concentrationLabel || 'Concentration' } }
+            }
+        }];
+
+    const scoreLayout = {
+        title: { text: `${method === 'lda' ? 'LDA' : 'PCA'} scores (events)`, font: { size: 14 } },
+        xaxis: { title: { text: componentTitle(xComponent) }, zeroline: true },
+        yaxis: { title: { text: yComponent === null ? 'Event' : componentTitle(yComponent) }, zeroline: yComponent !== null, automargin: true },
+        margin: { l: 70, r: 40, t: 60, b: 50 },
+        legend: { x: 0.5, y: -0.2, xanchor: 'center', yanchor: 'top', orientation: "h", font: { size: 10 } },
+        height: 450
+    };
+
+    const sensorNames = featureMatrix.sensors.map(sensor => `Sensor ${sensor.sensorNumber}`);
+    const loadingTraces = yComponent === null
+        ? [{ x: sensorNames, y: result.loadings.map(loading => loading[xComponent]), name: componentTitle(xComponent), type: 'bar', marker: { color: '#007bff' } }]
+        : [{
+            x: result.loadings.map(loading => loading[xComponent]),
+            y: result.loadings.map(loading => loading[yComponent]),
+            text: sensorNames,
+            name: 'Sensors', type: 'scatter', mode: 'markers+text', textposition: 'top center',
+            marker: { color: '#6c757d', size: 8 }
+        }];
+    const loadingLayout = {
+        title: { text: `${method === 'lda' ? 'Discriminant weights' : 'Loadings'} (sensors)`, font: { size: 14 } },
+        xaxis: { title: { text: yComponent === null ? '' : componentTitle(xComponent) }, zeroline: true },
+        yaxis: { title: { text: yComponent === null ? componentTitle(xComponent) : componentTitle(yComponent) }, zeroline: true, automargin: true },
+        margin: { l: 70, r: 40, t: 60, b: 50 },
+        showlegend: false,
+        height: 450
+    };
+
+    const componentOptions = result.explainedVariance.map((_, k) => (
+        <option key={k} value={k}>{componentPrefix}{k + 1}</option>
+    ));
+
+    return (
+        <div className="pattern-recognition-panel">
+            <div className="pattern-recognition-options">
+                <label htmlFor="pattern-method">Method:</label>
+                <select id="pattern-method" name="method" value={method} onChange={handleSettingChange}>
+                    <option value="pca">PCA</option>
+                    <option value="lda" disabled={!ldaAvailable}>LDA by gas{ldaAvailable ? '' : ' (needs 2+ gases)'}</option>
+                </select>
+                <label htmlFor="pattern-response">Feature:</label>
+                <select id="pattern-response" name="responseMetric" value={settings.responseMetric} onChange={handleSettingChange}>
+                    {CALIBRATION_RESPONSE_METRICS.map(metric => (
+                        <option key={metric.value} value={metric.value}>{metric.label}</option>
+                    ))}
+                </select>
+                <label htmlFor="pattern-scaling">Scaling:</label>
+                <select id="pattern-scaling" name="scaling" value={settings.scaling} onChange={handleSettingChange}>
+                    {FEATURE_SCALINGS.map(scaling => (
+                        <option key={scaling.value} value={scaling.value}>{scaling.label}</option>
+                    ))}
+                </select>
+                <label htmlFor="pattern-color">Colour by:</label>
+                <select id="pattern-color" value={colorBy} onChange={(e) => setColorBy(e.target.value)}>
+                    <option value="concentration">Concentration</option>
+                    <option value="gas">Gas</option>
+                </select>
+                {componentCount > 1 && (
+                    <>
+                        <label htmlFor="pattern-x">X:</label>
+                        <select id="pattern-x" value={xComponent} onChange={(e) => setAxes(prevAxes => ({ ...prevAxes, x: Number(e.target.value) }))}>
+                            {componentOptions}
+                        </select>
+                        <label htmlFor="pattern-y">Y:</label>
+                        <select id="pattern-y" value={yComponent} onChange={(e) => setAxes(prevAxes => ({ ...prevAxes, y: Number(e.target.value) }))}>
+                            {componentOptions}
+                        </select>
+                    </>
+                )}
+            </div>
+            <div className="charts-grid">
+                <PlotlyChart divId="chart-pattern-scores" data={scoreTraces} layout={scoreLayout} exportPlotName={`${method.toUpperCase()}_scores`} />
+                <PlotlyChart divId="chart-pattern-loadings" data={loadingTraces} layout={loadingLayout} exportPlotName={`${method.toUpperCase()}_loadings`} />
+            </div>
+            <small>
+                {featureMatrix.sensors.length} sensor(s) × {featureMatrix.events.length} event(s)
+                {featureMatrix.droppedEvents > 0 ? `; ${featureMatrix.droppedEvents} event(s) without a response from every sensor left out` : ''}
+                {featureMatrix.droppedSensors > 0 ? `; ${featureMatrix.droppedSensors} sensor(s) without any response left out` : ''}.
+                Each event is described by the responses of all sensors. LDA finds the sensor combinations that best separate the gases.
+            </small>
+        </div>
+    );
+};
+
+export default PatternRecognitionPanel;
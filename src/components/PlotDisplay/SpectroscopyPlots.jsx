@@ -2,6 +2,7 @@
 import React, { useMemo, useState } from 'react';
 import { useAppContext } from '../../contexts/AppContext.jsx';
 import PlotlyChart from './PlotlyChart.jsx';
+import SweepMetadataPanel from './SweepMetadataPanel.jsx';
 
 const SpectroscopyPlots = ({ activeTab }) => {
     const { spectroscopyData, config } = useAppContext();
@@ -142,6 +143,8 @@ const SpectroscopyPlots = ({ activeTab }) => {
                 layout={layout2d}
                 exportPlotName={`2D_Slice_${plotType}_at_${selectedFrequency ? selectedFrequency.toExponential(1) : 'default'}Hz`}
             />
+
+            <SweepMetadataPanel sweeps={spectroscopyData} />
         </div>
     );
 };
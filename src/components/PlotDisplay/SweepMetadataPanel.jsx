@@ -0,0 +1,75 @@
+// src/components/PlotDisplay/SweepMetadataPanel.jsx
+import React, { useMemo, useState } from 'react';
+import { collectMetadataKeys, getChangedMetadataKeys } from '../../utils/instrumentMetadata.js';
+
+/**
+ * Shows the instrument metadata of one spectroscopy sweep at a time.
+ * Values that differ from the previous sweep are highlighted, so setting changes mid-experiment stand out.
+ * @param {Object} props
+ * @param {Array<Object>} props.sweeps - Sweeps sorted by time, each with an optional `metadata` object.
+ */
+const SweepMetadataPanel = ({ sweeps }) => {
+    const [selectedSweepIndex, setSelectedSweepIndex] = useState(0);
+
+    const metadataKeys = useMemo(() => collectMetadataKeys(sweeps), [sweeps]);
+
+    // Indices of sweeps whose settings differ from the sweep before them
+    const changedSweepIndices = useMemo(() => (sweeps || [])
+        .map((sweep, i) => (i > 0 && getChangedMetadataKeys(sweeps[i - 1].metadata, sweep.metadata).length > 0 ? i : -1))
+        .filter(i => i !== -1), [sweeps]);
+
+    if (!sweeps || sweeps.length === 0 || metadataKeys.length === 0) {
+        return null;
+    }
+
+    const sweepIndex = Math.min(selectedSweepIndex, sweeps.length - 1);
+    const sweep = sweeps[sweepIndex];
+    const metadata = sweep.metadata || {};
+    const changedKeys = sweepIndex > 0 ? getChangedMetadataKeys(sweeps[sweepIndex - 1].metadata, metadata) : [];
+    const formatSweepLabel = (s, i) => `#${i + 1} - ${isFinite(s.relativeTimeMin) ? s.relativeTimeMin.toFixed(2) : 'N/A'} min (${s.effectiveName || s.fileName})`;
+
+    return (
+        <div className="sweep-metadata-panel">
+            <h3 className="plot-subtitle">Sweep Instrument Settings</h3>
+            <div className="sweep-metadata-controls">
+                <label htmlFor="sweep-metadata-select">Sweep:</label>
+                <select
+                    id="sweep-metadata-select"
+                    value={sweepIndex}
+                    onChange={(e) => setSelectedSweepIndex(parseInt(e.target.value, 10))}
+                >
+                    {sweeps.map((s, i) => (
+                        <option key={i} value={i}>
+                            {formatSweepLabel(s, i)}{changedSweepIndices.includes(i) ? ' *' : ''}
+                        </option>
+                    ))}
+                </select>
+                <small>
+                    {changedSweepIndices.length === 0
+                        ? 'Settings are identical in all sweeps.'
+                        : `Settings change in ${changedSweepIndices.length} sweep(s), marked with *.`}
+                </small>
+            </div>
+            <table className="sweep-metadata-table">
+                <thead>
+                    <tr><th>Setting</th><th>Value</th></tr>
+                </thead>
+                <tbody>
+                    {metadataKeys.map(key => (
+                        <tr key={key} className={changedKeys.includes(key) ? 'metadata-changed' : ''}>
+                            <td>{key}</td>
+                            <td>
+                                {metadata[key] ?? '-'}
+                                {changedKeys.includes(key) && (
+                                    <span className="metadata-previous"> (was {sweeps[sweepIndex - 1].metadata?.[key] ?? '-'})</span>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default SweepMetadataPanel;
@@ -1,10 +1,13 @@
 // src/components/PlotDisplay/TimeSeriesPlots.jsx
-import React from 'react';
+import React, { useState } from 'react';
 import { useAppContext } from '../../contexts/AppContext.jsx';
 import PlotlyChart from './PlotlyChart.jsx';
+import SensorQualityBadge from '../SensorQuality/SensorQualityBadge.jsx';
+import { getSignalLabel } from '../../utils/signalDefinitions.js';
 
 const TimeSeriesPlots = ({ activeTab }) => {
-    const { timeSeriesData, gasConcProfile, config, plotTimeRange } = useAppContext();
+    const { timeSeriesData, gasConcProfile, gasConcProfiles, config, plotTimeRange } = useAppContext();
+    const [cleaningTraceMode, setCleaningTraceMode] = useState('cleaned'); // 'cleaned', 'raw' or 'both'
 
     if (!timeSeriesData || timeSeriesData.length === 0) {
         return <p>No time-series sensor data processed or available to display.</p>;
@@ -13,6 +16,21 @@ const TimeSeriesPlots = ({ activeTab }) => {
     let dataKey, yLabelPrimary;
     const primaryTraceColor = '#007bff';
     const secondaryTraceColor = '#ff7f0e';
+    const gasTraceStyles = [
+        { color: secondaryTraceColor, dash: 'dashdot' },
+        { color: '#2ca02c', dash: 'dot' },
+        { color: '#9467bd', dash: 'dash' },
+        { color: '#8c564b', dash: 'longdash' },
+        { color: '#e377c2', dash: 'dashdot' }
+    ];
+
+    // One overlay per gas of the gas program; older results only carry the single target-gas profile
+    const gasOverlays = gasConcProfiles && gasConcProfiles.length > 0
+        ? gasConcProfiles
+        : (gasConcProfile && gasConcProfile.length > 0 ? [{ rowKey: 'gas_concentration', label: config.gasConcentrationLabel }] : []);
+    const gasAxisTitle = gasOverlays.length === 1
+        ? (gasOverlays[0].label || 'Gas Conc. (ppm)')
+        : `Gas Conc. (${[...new Set(gasOverlays.map(overlay => overlay.unit || 'ppm'))].join(', ')})`;
 
     switch (activeTab) {
         case 'phase':
@@ -21,7 +39,7 @@ const TimeSeriesPlots = ({ activeTab }) => {
             break;
         case 'signal':
             dataKey = 'signal';
-            yLabelPrimary = 'Signal (%)';
+            yLabelPrimary = `Signal: ${getSignalLabel(timeSeriesData)}`;
             break;
         default: // 'impedance'
             dataKey = 'impedance';
@@ -29,7 +47,21 @@ const TimeSeriesPlots = ({ activeTab }) => {
             break;
     }
 
+    // Raw traces are kept for impedance and phase when cleaning is enabled (see utils/signalCleaning.js)
+    const hasRawTraces = dataKey !== 'signal' && timeSeriesData.some(sensorTable => sensorTable.cleaning);
+
     return (
+        <>
+        {hasRawTraces && (
+            <div className="plot-range-controls">
+                <label htmlFor="cleaning-trace-mode">Show:</label>
+                <select id="cleaning-trace-mode" value={cleaningTraceMode} onChange={(e) => setCleaningTraceMode(e.target.value)}>
+                    <option value="cleaned">Cleaned data</option>
+                    <option value="raw">Raw data</option>
+                    <option value="both">Raw and cleaned</option>
+                </select>
+            </div>
+        )}
         <div className="charts-grid">
             {timeSeriesData.map((sensorTable) => {
                 const validTimeData = sensorTable.data.filter(row => !isNaN(row.time_min));
@@ -44,8 +76,8 @@ const TimeSeriesPlots = ({ activeTab }) => {
 
                 // --- NEW: Calculate data's natural time boundaries ---
                 const timeValues = validTimeData.map(row => row.time_min);
-                const dataMinTime = Math.min(...timeValues);
-                const dataMaxTime = Math.max(...timeValues);
+                const dataMinTime = timeValues.reduce((min, time) => Math.min(min, time), Infinity);
+                const dataMaxTime = timeValues.reduce((max, time) => Math.max(max, time), -Infinity);
 
                 // --- NEW: Determine the final range for the plot ---
                 const startInputVal = parseFloat(plotTimeRange.start);
@@ -64,16 +96,18 @@ const TimeSeriesPlots = ({ activeTab }) => {
                 const layoutShapes = [];
                 let yaxis2Config = null;
 
-                if (gasConcProfile && gasConcProfile.length > 0 && config.gasExposureEvents && config.gasExposureEvents.length > 0) {
-                    traces.push({
-                        x: validTimeData.map(row => row.time_min),
-                        y: validTimeData.map(row => row.gas_concentration),
-                        name: config.gasConcentrationLabel || 'Gas Conc. (ppm)',
-                        type: 'scatter', mode: 'lines', yaxis: 'y2',
-                        line: { color: secondaryTraceColor, dash: 'dashdot' }
+                if (gasOverlays.length > 0 && config.gasExposureEvents && config.gasExposureEvents.length > 0) {
+                    gasOverlays.forEach((overlay, i) => {
+                        traces.push({
+                            x: validTimeData.map(row => row.time_min),
+                            y: validTimeData.map(row => row[overlay.rowKey]),
+                            name: overlay.label || 'Gas Conc. (ppm)',
+                            type: 'scatter', mode: 'lines', yaxis: 'y2',
+                            line: gasTraceStyles[i % gasTraceStyles.length]
+                        });
                     });
                     yaxis2Config = {
-                        title: { text: config.gasConcentrationLabel || 'Gas Conc. (ppm)', font: { size: 11, color: secondaryTraceColor } },
+                        title: { text: gasAxisTitle, font: { size: 11, color: secondaryTraceColor } },
                         overlaying: 'y', side: 'right', showgrid: false, automargin: true, tickfont: { size: 9 }
                     };
                     config.gasExposureEvents.forEach(event => {
@@ -85,12 +119,54 @@ const TimeSeriesPlots = ({ activeTab }) => {
                     });
                 }
 
-                traces.push({
-                    x: validTimeData.map(row => row.time_min),
-                    y: validTimeData.map(row => row[dataKey]),
-                    name: yLabelPrimary, type: 'scatter', mode: 'lines', yaxis: 'y1',
-                    line: { color: primaryTraceColor }
-                });
+                const showRaw = hasRawTraces && sensorTable.cleaning && cleaningTraceMode !== 'cleaned';
+                if (showRaw) {
+                    traces.push({
+                        x: validTimeData.map(row => row.time_min),
+                        y: validTimeData.map(row => row[`${dataKey}_raw`]),
+                        name: `${yLabelPrimary} (raw)`, type: 'scatter', mode: 'lines', yaxis: 'y1',
+                        line: cleaningTraceMode === 'both' ? { color: '#adb5bd', width: 1 } : { color: primaryTraceColor }
+                    });
+                }
+                if (!showRaw || cleaningTraceMode === 'both') {
+                    traces.push({
+                        x: validTimeData.map(row => row.time_min),
+                        y: validTimeData.map(row => row[dataKey]),
+                        name: sensorTable.cleaning && dataKey !== 'signal' ? `${yLabelPrimary} (cleaned)` : yLabelPrimary,
+                        type: 'scatter', mode: 'lines', yaxis: 'y1',
+                        line: { color: primaryTraceColor }
+                    });
+                }
+
+                // Fitted drift baseline (see utils/driftCorrection.js) over the raw impedance
+                if (dataKey === 'impedance' && sensorTable.driftCorrection) {
+                    traces.push({
+                        x: validTimeData.map(row => row.time_min),
+                        y: validTimeData.map(row => row.baseline_fit),
+                        name: 'Drift baseline', type: 'scatter', mode: 'lines', yaxis: 'y1',
+                        line: { color: '#6c757d', dash: 'dash', width: 1.5 }
+                    });
+                }
+
+                // Per-event references (see utils/baselineReference.js): the reference in force and each baseline window's mean
+                if ((dataKey === 'impedance' || dataKey === 'phase') && sensorTable.eventReferences) {
+                    const referenceKey = dataKey === 'impedance' ? 'reference_impedance' : 'reference_phase';
+                    const referenceName = dataKey === 'impedance' && sensorTable.driftCorrection ? 'Event reference (drift-corrected)' : 'Event reference';
+                    traces.push({
+                        x: validTimeData.map(row => row.time_min),
+                        y: validTimeData.map(row => row[referenceKey]),
+                        name: referenceName, type: 'scatter', mode: 'lines', yaxis: 'y1',
+                        line: { color: '#2ca02c', dash: 'dot', width: 1.5, shape: 'hv' }
+                    });
+                    const measuredReferences = sensorTable.eventReferences.filter(reference => reference.pointCount > 0);
+                    traces.push({
+                        x: measuredReferences.map(reference => (reference.windowStart + reference.startTime) / 2),
+                        y: measuredReferences.map(reference => reference[dataKey]),
+                        text: measuredReferences.map(reference => `Event ${reference.eventNumber}: baseline ${reference.windowStart.toFixed(1)}-${reference.startTime.toFixed(1)} min`),
+                        name: 'Baseline windows', type: 'scatter', mode: 'markers', yaxis: 'y1', showlegend: false,
+                        marker: { color: '#2ca02c', size: 7, symbol: 'diamond' }
+                    });
+                }
 
                 const layout = {
                     title: {
@@ -114,17 +190,24 @@ const TimeSeriesPlots = ({ activeTab }) => {
                 };
 
                 return (
-                <PlotlyChart
-                    key={sensorTable.fileName}
-                    divId={`chart-<span class="math-inline">\{dataKey\}\-</span>{sensorTable.sensorNumber || sensorTable.fileName}`}
-                    data={traces}
-                    layout={layout}
-                    exportPlotName={sensorTable.fileName} // Pass filename
-                    exportSensorNumber={sensorTable.sensorNumber} // Pass sensor number
-                />
+                <div key={sensorTable.fileName} className="sensor-chart">
+                    {sensorTable.quality && (
+                        <div className="sensor-chart-quality">
+                            Sensor {sensorTable.sensorNumber} quality: <SensorQualityBadge quality={sensorTable.quality} />
+                        </div>
+                    )}
+                    <PlotlyChart
+                        divId={`chart-<span class="math-inline">\{dataKey\}\-</span>{sensorTable.sensorNumber || sensorTable.fileName}`}
+                        data={traces}
+                        layout={layout}
+                        exportPlotName={sensorTable.fileName} // Pass filename
+                        exportSensorNumber={sensorTable.sensorNumber} // Pass sensor number
+                    />
+                </div>
             );
             })}
         </div>
+        </>
     );
 };
 
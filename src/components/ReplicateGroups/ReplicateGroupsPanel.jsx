@@ -0,0 +1,124 @@
+// src/components/ReplicateGroups/ReplicateGroupsPanel.jsx
+import React, { useMemo } from 'react';
+import PlotlyChart from '../PlotDisplay/PlotlyChart.jsx';
+import {
+    DEFAULT_REPLICATE_SETTINGS, REPLICATE_BANDS, REPLICATE_CHANNELS, calculateReplicateGroups
+} from '../../utils/replicateGroups.js';
+import './ReplicateGroupsPanel.css';
+
+const bandColor = 'rgba(0, 123, 255, 0.2)';
+const meanColor = '#007bff';
+
+/**
+ * Replicate groups: the group definition and options, one plot per group with the mean and its band over the
+ * individual sensors, and each sensor's deviation from its group.
+ * @param {Object} props
+ * @param {Array<Object>} props.timeSeriesData - Processed sensor tables.
+ * @param {Object} props.settings - See DEFAULT_REPLICATE_SETTINGS.
+ * @param {Function} props.onSettingsChange - Called with the new settings.
+ * @param {string} [props.signalLabel] - Unit label of the signal.
+ */
+const ReplicateGroupsPanel = ({ timeSeriesData, settings, onSettingsChange, signalLabel }) => {
+    const currentSettings = { ...DEFAULT_REPLICATE_SETTINGS, ...(settings || {}) };
+
+    const { groups, error } = useMemo(() => {
+        try {
+            return { groups: calculateReplicateGroups(timeSeriesData, settings), error: null };
+        } catch (e) {
+            return { groups: [], error: e.message };
+        }
+    }, [timeSeriesData, settings]);
+
+    const handleChange = (event) => {
+        const { name, value, type } = event.target;
+        onSettingsChange({ ...currentSettings, [name]: type === 'number' ? parseFloat(value) : value });
+    };
+
+    const channelLabel = currentSettings.channel === 'signal'
+        ? `Signal${signalLabel ? `: ${signalLabel}` : ''}`
+        : REPLICATE_CHANNELS.find(channel => channel.value === currentSettings.channel).label;
+
+    const renderGroupPlot = (group) => {
+        const lower = group.mean.map((mean, t) => (currentSettings.band === 'sd' ? mean - group.sd[t] : group.min[t]));
+        const upper = group.mean.map((mean, t) => (currentSettings.band === 'sd' ? mean + group.sd[t] : group.max[t]));
+        const bandName = currentSettings.band === 'sd' ? '± SD' : 'Min/max';
+        const traces = [
+            ...group.sensors.map(sensor => ({
+                x: group.grid, y: sensor.values,
+                name: `Sensor ${sensor.sensorNumber}${sensor.flagged ? ' (deviates)' : ''}`,
+                type: 'scatter', mode: 'lines',
+                line: sensor.flagged ? { color: '#d62728', width: 1.5, dash: 'dot' } : { color: '#adb5bd', width: 1 }
+            })),
+            { x: group.grid, y: lower, name: bandName, type: 'scatter', mode: 'lines', line: { width: 0 }, showlegend: false, hoverinfo: 'skip' },
+            { x: group.grid, y: upper, name: bandName, type: 'scatter', mode: 'lines', line: { width: 0 }, fill: 'tonexty', fillcolor: bandColor },
+            { x: group.grid, y: group.mean, name: `Mean (n = ${group.sensors.length})`, type: 'scatter', mode: 'lines', line: { color: meanColor, width: 2 } }
+        ];
+        const layout = {
+            title: { text: `${group.name}<br><span style="font-size:0.8em; color:#555;">Sensors ${group.sensorNumbers.join(', ')}</span>`, font: { size: 14 } },
+            xaxis: { title: { text: 'Time (min)' } },
+            yaxis: { title: { text: channelLabel }, automargin: true },
+            margin: { l: 70, r: 40, t: 60, b: 50 },
+            legend: { x: 0.5, y: -0.2, xanchor: 'center', yanchor: 'top', orientation: "h", font: { size: 10 } },
+            height: 380
+        };
+        return <PlotlyChart key={group.name} divId={`chart-replicates-${group.name.replace(/\W+/g, '_')}`} data={traces} layout={layout} exportPlotName={`Replicates_${group.name}`} />;
+    };
+
+    const plottedGroups = groups.filter(group => group.grid.length > 0);
+
+    return (
+        <div className="replicate-groups-panel">
+            <div className="replicate-groups-options">
+                <label htmlFor="replicate-definition">Groups:</label>
+                <input type="text" id="replicate-definition" name="definition" className="replicate-definition" placeholder="SnO2: 1, 2, 3; WO3: 4-6" value={currentSettings.definition} onChange={handleChange} />
+                <label htmlFor="replicate-channel">Channel:</label>
+                <select id="replicate-channel" name="channel" value={currentSettings.channel} onChange={handleChange}>
+                    {REPLICATE_CHANNELS.map(channel => (
+                        <option key={channel.value} value={channel.value}>{channel.label}</option>
+                    ))}
+                </select>
+                <label htmlFor="replicate-band">Band:</label>
+                <select id="replicate-band" name="band" value={currentSettings.band} onChange={handleChange}>
+                    {REPLICATE_BANDS.map(band => (
+                        <option key={band.value} value={band.value}>{band.label}</option>
+                    ))}
+                </select>
+                <label htmlFor="replicate-interval">Grid (s):</label>
+                <input type="number" id="replicate-interval" name="intervalSeconds" min="0" step="any" value={currentSettings.intervalSeconds} onChange={handleChange} />
+                <label htmlFor="replicate-threshold">Flag above (× typical deviation):</label>
+                <input type="number" id="replicate-threshold" name="deviationThreshold" min="0" step="any" value={currentSettings.deviationThreshold} onChange={handleChange} />
+            </div>
+            {error && <p className="replicate-groups-error">{error}</p>}
+            {!error && groups.length === 0 && <p>Define replicate groups by sensor number, e.g. "SnO2: 1, 2, 3; WO3: 4-6".</p>}
+            {groups.filter(group => group.missingSensorNumbers.length > 0).map(group => (
+                <p key={group.name} className="replicate-groups-error">{group.name}: no processed sensor {group.missingSensorNumbers.join(', ')}.</p>
+            ))}
+            {plottedGroups.length > 0 && (
+                <>
+                    <div className="charts-grid">
+                        {plottedGroups.map(renderGroupPlot)}
+                    </div>
+                    <table className="replicate-groups-table">
+                        <thead>
+                            <tr><th>Group</th><th>Sensor</th><th>Mean |deviation| from group median</th><th>× typical</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            {plottedGroups.flatMap(group => group.sensors.map(sensor => (
+                                <tr key={`${group.name}-${sensor.fileName}`} className={sensor.flagged ? 'flagged' : ''}>
+                                    <td>{group.name}</td>
+                                    <td>{sensor.sensorNumber}</td>
+                                    <td>{isNaN(sensor.deviation) ? '-' : sensor.deviation.toPrecision(4)}</td>
+                                    <td>{isNaN(sensor.deviationScore) ? '-' : sensor.deviationScore.toFixed(2)}</td>
+                                    <td>{sensor.flagged ? 'Deviates' : 'OK'}</td>
+                                </tr>
+                            )))}
+                        </tbody>
+                    </table>
+                    <small>Sensors are interpolated onto a common grid before averaging. Deviations are only flagged in groups of three or more sensors.</small>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ReplicateGroupsPanel;
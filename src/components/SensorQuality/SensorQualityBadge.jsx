@@ -0,0 +1,21 @@
+// src/components/SensorQuality/SensorQualityBadge.jsx
+import React from 'react';
+import { QUALITY_GRADES } from '../../utils/sensorQuality.js';
+import './SensorQualityBadge.css';
+
+/**
+ * Pass/warn/fail badge of a sensor's quality assessment; the reasons are shown on hover.
+ * @param {Object} props
+ * @param {Object} props.quality - From assessSensorQuality.
+ */
+const SensorQualityBadge = ({ quality }) => {
+    if (!quality) return null;
+    const grade = QUALITY_GRADES.find(g => g.value === quality.grade) || QUALITY_GRADES[0];
+    return (
+        <span className={`sensor-quality-badge sensor-quality-${grade.value}`} title={quality.reasons.length > 0 ? quality.reasons.join('\n') : 'All quality checks passed'}>
+            {grade.label}
+        </span>
+    );
+};
+
+export default SensorQualityBadge;
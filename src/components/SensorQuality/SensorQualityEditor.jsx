@@ -0,0 +1,39 @@
+// src/components/SensorQuality/SensorQualityEditor.jsx
+import React from 'react';
+import { DEFAULT_SENSOR_QUALITY } from '../../utils/sensorQuality.js';
+import './SensorQualityEditor.css';
+
+const QUALITY_FIELDS = [
+    { name: 'baselineWindowMinutes', label: 'Noise window before first exposure (min)' },
+    { name: 'gapFactor', label: 'Gap: longer than N sampling intervals' },
+    { name: 'warnNanPercent', label: 'Warn above missing rows (%)' },
+    { name: 'failNanPercent', label: 'Fail above missing rows (%)' },
+    { name: 'warnSnr', label: 'Warn below exposure SNR' },
+    { name: 'failSnr', label: 'Fail below best exposure SNR' }
+];
+
+const SensorQualityEditor = ({ settings, onChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_SENSOR_QUALITY, ...(settings || {}) };
+
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        onChange({ ...currentSettings, [name]: parseFloat(value) });
+    };
+
+    return (
+        <div className="parameter-group sensor-quality-editor">
+            <label>Sensor Quality Checks:</label>
+            <div className="sensor-quality-grid">
+                {QUALITY_FIELDS.map(field => (
+                    <React.Fragment key={field.name}>
+                        <label htmlFor={`sensor-quality-${field.name}`}>{field.label}</label>
+                        <input type="number" id={`sensor-quality-${field.name}`} name={field.name} min="0" step="any" value={currentSettings[field.name]} onChange={handleChange} disabled={disabled} />
+                    </React.Fragment>
+                ))}
+            </div>
+            <small>Each sensor is graded pass, warn or fail from its missing rows, sampling gaps and the signal-to-noise ratio of its exposures (steady-state response over the baseline RMS noise).</small>
+        </div>
+    );
+};
+
+export default SensorQualityEditor;
@@ -0,0 +1,58 @@
+// src/components/SensorQuality/SensorQualityPanel.jsx
+import React from 'react';
+import SensorQualityBadge from './SensorQualityBadge.jsx';
+import './SensorQualityPanel.css';
+
+const MAX_LISTED_GAPS = 3;
+
+const formatNumber = (value, digits = 3) => (typeof value === 'number' && isFinite(value) ? Number(value.toPrecision(digits)) : '-');
+
+/**
+ * Per-sensor quality table: baseline noise, SNR of each exposure, sampling interval statistics, gaps and missing rows.
+ * @param {Object} props
+ * @param {Array<Object>} props.timeSeriesData - Processed sensor tables with quality (see utils/sensorQuality.js).
+ * @param {string} [props.signalLabel] - Unit label of the signal, for the noise column.
+ */
+const SensorQualityPanel = ({ timeSeriesData, signalLabel }) => {
+    const assessedTables = (timeSeriesData || []).filter(sensorTable => sensorTable.quality);
+    if (assessedTables.length === 0) {
+        return <p>No quality assessment available. Process the data again to assess the sensors.</p>;
+    }
+
+    return (
+        <div className="sensor-quality-panel">
+            <table className="sensor-quality-table">
+                <thead>
+                    <tr>
+                        <th>Sensor</th><th>Quality</th><th>RMS noise{signalLabel ? ` [${signalLabel}]` : ''}</th><th>SNR per exposure</th>
+                        <th>Median interval (s)</th><th>Max interval (s)</th><th>Gaps</th><th>Missing rows</th><th>Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {assessedTables.map(sensorTable => {
+                        const { quality } = sensorTable;
+                        return (
+                            <tr key={sensorTable.fileName}>
+                                <td>{sensorTable.sensorNumber}</td>
+                                <td><SensorQualityBadge quality={quality} /></td>
+                                <td title={`${quality.noiseWindow.pointCount} points, ${formatNumber(quality.noiseWindow.start)}-${formatNumber(quality.noiseWindow.end)} min`}>{formatNumber(quality.noise)}</td>
+                                <td>{quality.eventSnr.length > 0 ? quality.eventSnr.map(entry => `E${entry.eventNumber}: ${formatNumber(entry.snr)}`).join(', ') : '-'}</td>
+                                <td>{formatNumber(quality.medianIntervalSeconds)}</td>
+                                <td>{formatNumber(quality.maxIntervalSeconds)}</td>
+                                <td>
+                                    {quality.gapCount}
+                                    {quality.gaps.length > 0 && ` (${quality.gaps.slice(0, MAX_LISTED_GAPS).map(gap => `${formatNumber(gap.startTime)} min, ${formatNumber(gap.durationSeconds)} s`).join('; ')}${quality.gapCount > MAX_LISTED_GAPS ? '; ...' : ''})`}
+                                </td>
+                                <td>{(quality.nanFraction * 100).toFixed(1)}%</td>
+                                <td>{quality.reasons.join('; ')}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            <small>The noise is the RMS of the detrended signal in the baseline window before the first exposure. The SNR of an exposure is its steady-state response over that noise. Sampling statistics describe the rows as recorded, before any resampling.</small>
+        </div>
+    );
+};
+
+export default SensorQualityPanel;
@@ -0,0 +1,52 @@
+// src/components/SignalDefinition/SignalDefinitionEditor.jsx
+import React from 'react';
+import {
+    DEFAULT_SIGNAL_DEFINITION,
+    SIGNAL_DEFINITIONS,
+    SIGNAL_VARIABLES,
+    resolveSignalDefinition
+} from '../../utils/signalDefinitions.js';
+import './SignalDefinitionEditor.css';
+
+const SignalDefinitionEditor = ({ settings, onChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_SIGNAL_DEFINITION, ...(settings || {}) };
+
+    let expressionError = null;
+    let resolved = null;
+    try {
+        resolved = resolveSignalDefinition(currentSettings);
+    } catch (e) {
+        expressionError = e.message;
+    }
+
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        onChange({ ...currentSettings, [name]: value });
+    };
+
+    return (
+        <div className="parameter-group signal-definition-editor">
+            <label htmlFor="signal-definition">Signal Definition:</label>
+            <select id="signal-definition" name="id" value={currentSettings.id} onChange={handleChange} disabled={disabled}>
+                {SIGNAL_DEFINITIONS.map(definition => (
+                    <option key={definition.id} value={definition.id}>
+                        {definition.id === 'custom' ? definition.label : `${definition.label} = ${definition.expression}`}
+                    </option>
+                ))}
+            </select>
+            {currentSettings.id === 'custom' && (
+                <div className="signal-definition-grid">
+                    <label htmlFor="signal-expression">Expression</label>
+                    <input type="text" id="signal-expression" name="expression" value={currentSettings.expression} onChange={handleChange} placeholder="e.g. (Z0 - Z) / Z * 100" disabled={disabled} />
+                    <label htmlFor="signal-label">Axis label</label>
+                    <input type="text" id="signal-label" name="label" value={currentSettings.label} onChange={handleChange} placeholder="Defaults to the expression" disabled={disabled} />
+                </div>
+            )}
+            {expressionError
+                ? <small className="signal-definition-error">{expressionError}</small>
+                : <small>Signal axis: {resolved.label}. Variables: {SIGNAL_VARIABLES.map(v => `${v.name} (${v.description})`).join(', ')}. Functions: abs, sqrt, exp, ln, log10, min, max, pow; operators + - * / ^.</small>}
+        </div>
+    );
+};
+
+export default SignalDefinitionEditor;
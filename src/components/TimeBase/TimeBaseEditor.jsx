@@ -0,0 +1,53 @@
+// src/components/TimeBase/TimeBaseEditor.jsx
+import React from 'react';
+import { DEFAULT_TIME_BASE, INTERPOLATION_METHODS, TIME_BASE_MODES } from '../../utils/timeBase.js';
+import './TimeBaseEditor.css';
+
+const TimeBaseEditor = ({ settings, onChange, disabled }) => {
+    const currentSettings = { ...DEFAULT_TIME_BASE, ...(settings || {}) };
+
+    const handleChange = (event) => {
+        const { name, value, type, checked } = event.target;
+        let newValue = value;
+        if (type === 'checkbox') newValue = checked;
+        else if (type === 'number') newValue = parseFloat(value);
+        onChange({ ...currentSettings, [name]: newValue });
+    };
+
+    return (
+        <div className="parameter-group time-base-editor">
+            <label>Time Base:</label>
+            <div className="time-base-grid">
+                <label htmlFor="time-base-mode">Time zero</label>
+                <select id="time-base-mode" name="mode" value={currentSettings.mode} onChange={handleChange} disabled={disabled}>
+                    {TIME_BASE_MODES.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                {currentSettings.mode === 'clock' && (
+                    <>
+                        <label htmlFor="time-base-clock">Experiment start</label>
+                        <input type="text" id="time-base-clock" name="clockTime" value={currentSettings.clockTime} onChange={handleChange} placeholder="HH:MM:SS" disabled={disabled} />
+                    </>
+                )}
+                <label htmlFor="time-base-resample">Resample onto a shared grid</label>
+                <input type="checkbox" id="time-base-resample" name="resample" checked={currentSettings.resample} onChange={handleChange} disabled={disabled} />
+                {currentSettings.resample && (
+                    <>
+                        <label htmlFor="time-base-interval">Grid interval (s)</label>
+                        <input type="number" id="time-base-interval" name="intervalSeconds" min="0" step="any" value={currentSettings.intervalSeconds} onChange={handleChange} disabled={disabled} />
+                        <label htmlFor="time-base-interpolation">Interpolation</label>
+                        <select id="time-base-interpolation" name="interpolation" value={currentSettings.interpolation} onChange={handleChange} disabled={disabled}>
+                            {INTERPOLATION_METHODS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </>
+                )}
+            </div>
+            <small>With a common time zero, sensors started a few seconds apart line up with each other and with the gas program. A clock time (HH:MM:SS) is taken on the day of the earliest recording. Resampled sensors share one time column, and the export adds a Combined sheet with one signal column per sensor.</small>
+        </div>
+    );
+};
+
+export default TimeBaseEditor;
@@ -0,0 +1,198 @@
+// src/components/XlsxImport/XlsxImportPanel.jsx
+import React, { useMemo, useState } from 'react';
+import { createImportedFile, suggestSensorNumber } from '../../services/xlsxImportService.js';
+import './XlsxImportPanel.css';
+
+/**
+ * Lists the sheets (or column blocks) of the selected workbooks and maps each one to a sensor number
+ * (time-series) or a sweep time (spectroscopy), then converts the mapped data into CSV files.
+ * @param {Object} props
+ * @param {Array<Object>} props.workbooks - Workbooks from readWorkbookFile.
+ * @param {Function} props.onImport - Called with the generated File objects.
+ * @param {Function} props.onCancel - Called when the import is abandoned.
+ * @param {boolean} props.disabled - Disables all inputs.
+ */
+const XlsxImportPanel = ({ workbooks, onImport, onCancel, disabled }) => {
+    const [targetType, setTargetType] = useState('time_series');
+    const [splitBlocks, setSplitBlocks] = useState({}); // sheetKey -> true to map column blocks separately
+    const [mappings, setMappings] = useState({}); // targetKey -> { include, sensorNumber }
+    const [sweepStart, setSweepStart] = useState('');
+    const [sweepIntervalMin, setSweepIntervalMin] = useState(1);
+    const [errors, setErrors] = useState([]);
+
+    // One target per sheet, or per column block where the sheet is split
+    const targets = useMemo(() => {
+        const list = [];
+        workbooks.forEach((workbook, workbookIndex) => {
+            workbook.sheets.forEach(sheet => {
+                if (sheet.rowCount === 0) return;
+                const sheetKey = `${workbookIndex}|${sheet.name}`;
+                const split = splitBlocks[sheetKey] ?? sheet.blocks.length > 1;
+                const blocks = split && sheet.blocks.length > 1 ? sheet.blocks : [null];
+                blocks.forEach(block => {
+                    list.push({
+                        key: `${sheetKey}|${block ? block.index : 'sheet'}`,
+                        sheetKey,
+                        workbook,
+                        sheet,
+                        block,
+                        label: block ? `${sheet.name} / ${block.label}` : sheet.name
+                    });
+                });
+            });
+        });
+        return list;
+    }, [workbooks, splitBlocks]);
+
+    const getMapping = (target, index) => ({
+        include: true,
+        sensorNumber: suggestSensorNumber(target.block ? target.block.label : target.sheet.name, index + 1),
+        ...(mappings[target.key] || {})
+    });
+
+    const updateMapping = (target, index, changes) => {
+        setMappings(prev => ({ ...prev, [target.key]: { ...getMapping(target, index), ...changes } }));
+    };
+
+    // Sweep times are spaced evenly from the start time, in the order of the included targets
+    const getSweepTime = (includedIndex) => {
+        const start = new Date(sweepStart);
+        if (!sweepStart || isNaN(start.getTime())) return null;
+        return new Date(start.getTime() + includedIndex * (parseFloat(sweepIntervalMin) || 0) * 60000);
+    };
+
+    const includedTargets = targets.filter((target, i) => getMapping(target, i).include);
+
+    const handleImport = () => {
+        const files = [];
+        const importErrors = [];
+        targets.forEach((target, i) => {
+            const mapping = getMapping(target, i);
+            if (!mapping.include) return;
+            try {
+                files.push(createImportedFile(target.workbook, { sheetName: target.sheet.name, block: target.block }, {
+                    analysisType: targetType,
+                    sensorNumber: parseInt(mapping.sensorNumber, 10),
+                    sweepTime: getSweepTime(includedTargets.indexOf(target))
+                }));
+            } catch (e) {
+                importErrors.push(`${target.workbook.fileName} - ${target.label}: ${e.message}`);
+            }
+        });
+
+        if (targetType === 'time_series') {
+            const sensorNumbers = includedTargets.map(target => parseInt(getMapping(target, targets.indexOf(target)).sensorNumber, 10));
+            const duplicates = sensorNumbers.filter((n, i) => sensorNumbers.indexOf(n) !== i);
+            if (duplicates.length > 0) {
+                importErrors.push(`Sensor number(s) ${[...new Set(duplicates)].join(', ')} are mapped more than once.`);
+            }
+        }
+
+        setErrors(importErrors);
+        if (importErrors.length === 0 && files.length > 0) {
+            onImport(files);
+        } else if (files.length === 0 && importErrors.length === 0) {
+            setErrors(['Select at least one sheet or column block to import.']);
+        }
+    };
+
+    return (
+        <div className="parameter-group xlsx-import-panel">
+            <label>Import from Excel Workbook{workbooks.length > 1 ? 's' : ''}:</label>
+            <div className="xlsx-import-options">
+                <label htmlFor="xlsx-import-type">Data type:</label>
+                <select id="xlsx-import-type" value={targetType} onChange={(e) => setTargetType(e.target.value)} disabled={disabled}>
+                    <option value="time_series">Time-series (one sensor per sheet/block)</option>
+                    <option value="spectroscopy">Spectroscopy (one sweep per sheet/block)</option>
+                </select>
+                {targetType === 'spectroscopy' && (
+                    <>
+                        <label htmlFor="xlsx-sweep-start">First sweep time:</label>
+                        <input type="datetime-local" id="xlsx-sweep-start" step="1" value={sweepStart} onChange={(e) => setSweepStart(e.target.value)} disabled={disabled} />
+                        <label htmlFor="xlsx-sweep-interval">Interval (min):</label>
+                        <input type="number" id="xlsx-sweep-interval" min="0" step="any" value={sweepIntervalMin} onChange={(e) => setSweepIntervalMin(e.target.value)} disabled={disabled} />
+                    </>
+                )}
+            </div>
+
+            {workbooks.map((workbook, workbookIndex) => (
+                <div key={workbook.fileName} className="xlsx-import-workbook">
+                    <strong>{workbook.fileName}</strong>
+                    {workbook.sheets.filter(sheet => sheet.rowCount > 0 && sheet.blocks.length > 1).map(sheet => {
+                        const sheetKey = `${workbookIndex}|${sheet.name}`;
+                        return (
+                            <label key={sheetKey} className="xlsx-import-split">
+                                <input
+                                    type="checkbox"
+                                    checked={splitBlocks[sheetKey] ?? true}
+                                    onChange={(e) => setSplitBlocks(prev => ({ ...prev, [sheetKey]: e.target.checked }))}
+                                    disabled={disabled}
+                                />
+                                Map the {sheet.blocks.length} column blocks of "{sheet.name}" separately
+                            </label>
+                        );
+                    })}
+                </div>
+            ))}
+
+            <table className="xlsx-import-table">
+                <thead>
+                    <tr>
+                        <th>Import</th>
+                        <th>Sheet / column block</th>
+                        <th>Rows</th>
+                        <th>{targetType === 'spectroscopy' ? 'Sweep time' : 'Sensor number'}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {targets.map((target, i) => {
+                        const mapping = getMapping(target, i);
+                        const sweepTime = mapping.include ? getSweepTime(includedTargets.indexOf(target)) : null;
+                        return (
+                            <tr key={target.key}>
+                                <td>
+                                    <input type="checkbox" checked={mapping.include} onChange={(e) => updateMapping(target, i, { include: e.target.checked })} disabled={disabled} />
+                                </td>
+                                <td>{workbooks.length > 1 ? `${target.workbook.fileName}: ` : ''}{target.label}</td>
+                                <td>{target.sheet.rowCount}</td>
+                                <td>
+                                    {targetType === 'spectroscopy' ? (
+                                        sweepTime ? sweepTime.toLocaleString() : '-'
+                                    ) : (
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            step="1"
+                                            value={mapping.sensorNumber}
+                                            onChange={(e) => updateMapping(target, i, { sensorNumber: e.target.value })}
+                                            disabled={disabled || !mapping.include}
+                                        />
+                                    )}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+
+            {errors.length > 0 && (
+                <ul className="xlsx-import-errors">
+                    {errors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+            )}
+            <div className="xlsx-import-actions">
+                <button type="button" onClick={handleImport} disabled={disabled || includedTargets.length === 0}>
+                    Import {includedTargets.length} {targetType === 'spectroscopy' ? 'sweep(s)' : 'sensor(s)'}
+                </button>
+                <button type="button" onClick={onCancel} disabled={disabled}>Cancel</button>
+                <small>
+                    {targetType === 'spectroscopy'
+                        ? 'Each sheet/block needs a spectroscopy header row (e.g. frequency, |Z|, phase).'
+                        : 'Columns are read with the time-series column mapping below; Excel dates become ISO 8601 timestamps.'}
+                </small>
+            </div>
+        </div>
+    );
+};
+
+export default XlsxImportPanel;
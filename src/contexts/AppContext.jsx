@@ -1,5 +1,16 @@
 // src/contexts/AppContext.js
 import React, { createContext, useState, useContext } from 'react';
+import { DEFAULT_COLUMN_MAPPING } from '../utils/columnMapping.js';
+import { DEFAULT_PARSE_SETTINGS } from '../utils/localeDetection.js';
+import { DEFAULT_DRIFT_CORRECTION } from '../utils/driftCorrection.js';
+import { DEFAULT_SIGNAL_DEFINITION } from '../utils/signalDefinitions.js';
+import { DEFAULT_BASELINE_REFERENCE } from '../utils/baselineReference.js';
+import { DEFAULT_CLEANING_SETTINGS } from '../utils/signalCleaning.js';
+import { DEFAULT_TIME_BASE } from '../utils/timeBase.js';
+import { DEFAULT_GAS_TIMING } from '../utils/gasTiming.js';
+import { DEFAULT_CHAMBER_MIXING } from '../utils/gasCalculations.js';
+import { DEFAULT_REPLICATE_SETTINGS } from '../utils/replicateGroups.js';
+import { DEFAULT_SENSOR_QUALITY } from '../utils/sensorQuality.js';
 
 const AppContext = createContext();
 
@@ -20,7 +31,20 @@ export const AppProvider = ({ children }) => {
         gasConcPrecision: 1, // [cite: 96]
         totalFlowrate: 500, // [cite: 96]
         gasConcCyl1: 0, // [cite: 96]
-        gasConcentrationLabel: "Target Gas concentration (ppm)" // Will be updated
+        gasConcentrationLabel: "Target Gas concentration (ppm)", // Will be updated
+        columnMapping: { ...DEFAULT_COLUMN_MAPPING }, // Time-series column mapping profile
+        parseSettings: { ...DEFAULT_PARSE_SETTINGS }, // Delimiter, decimal mark and encoding ('auto' = sniff per file)
+        timestampFormat: 'auto', // Timestamp format id from dateTimeUtils, or 'auto' to detect per file
+        chamberMixing: { ...DEFAULT_CHAMBER_MIXING }, // First-order chamber response from volume and total flow (see utils/gasCalculations.js)
+        gasTiming: { ...DEFAULT_GAS_TIMING }, // Gas program start offset and dead time, or auto-alignment (see utils/gasTiming.js)
+        timeBase: { ...DEFAULT_TIME_BASE }, // Common time zero across sensors and resampling (see utils/timeBase.js)
+        cleaning: { ...DEFAULT_CLEANING_SETTINGS }, // Time-series valid ranges, spike removal and smoothing (see utils/signalCleaning.js)
+        driftCorrection: { ...DEFAULT_DRIFT_CORRECTION }, // Time-series baseline drift correction (see utils/driftCorrection.js)
+        baselineReference: { ...DEFAULT_BASELINE_REFERENCE }, // Fixed reference time or per-event baselines (see utils/baselineReference.js)
+        signalDefinition: { ...DEFAULT_SIGNAL_DEFINITION }, // How the signal is computed from Z, Z0, P, P0, t (see utils/signalDefinitions.js)
+        sensorQuality: { ...DEFAULT_SENSOR_QUALITY }, // Noise, SNR, gap and missing-data thresholds for the per-sensor grade (see utils/sensorQuality.js)
+        calibrationResponseMetric: 'steadyStateResponse', // Event response used for calibration curves (see utils/calibration.js)
+        replicateGroups: { ...DEFAULT_REPLICATE_SETTINGS } // Replicate sensor groups combined into mean ± SD (see utils/replicateGroups.js)
     });
     const [processingLog, setProcessingLog] = useState([]); // Array of log messages/objects
     const [progressBarValue, setProgressBarValue] = useState(0);
@@ -33,6 +57,11 @@ export const AppProvider = ({ children }) => {
     const [timeSeriesData, setTimeSeriesData] = useState([]); // Will hold data like original sensorDataTables
     const [spectroscopyData, setSpectroscopyData] = useState([]); // Will hold data like original spectroscopyDataCollections
     const [gasConcProfile, setGasConcProfile] = useState([]); // For the calculated gas concentration profile
+    const [gasConcProfiles, setGasConcProfiles] = useState([]); // One profile per gas of the gas program (first = gasConcProfile)
+    const [parseDiagnostics, setParseDiagnostics] = useState([]); // Per-file parse diagnostics (see utils/parseDiagnostics.js)
+    const [experiments, setExperiments] = useState([]); // Experiments found in a folder upload (see services/experimentDiscoveryService.js)
+    const [experimentResults, setExperimentResults] = useState([]); // Processed results, one entry per experiment
+    const [activeExperimentId, setActiveExperimentId] = useState(null); // Experiment whose results are shown
 
     const [showAnalysisTypeModal, setShowAnalysisTypeModal] = useState(false); // New state
     const [analysisTypeModalMessage, setAnalysisTypeModalMessage] = useState(''); // New state
@@ -51,6 +80,19 @@ export const AppProvider = ({ children }) => {
         setProcessingLog(prevLog => [...prevLog, { text: `[${new Date().toLocaleTimeString()}] ${message}`, type }]);
     };
 
+    // Loads the stored results of one experiment into the state the result views read
+    const showExperimentResult = (experimentResult) => {
+        setActiveExperimentId(experimentResult.experimentId);
+        setAnalysisType(experimentResult.analysisType);
+        setTimeSeriesData(experimentResult.timeSeriesData);
+        setSpectroscopyData(experimentResult.spectroscopyData);
+        setGasConcProfile(experimentResult.gasConcProfile);
+        setGasConcProfiles(experimentResult.gasConcProfiles);
+        setParseDiagnostics(experimentResult.parseDiagnostics);
+        updateConfig(experimentResult.configUpdates);
+        setPlotTimeRange({ start: '', end: '' });
+    };
+
     const resetAppState = () => {
         setCurrentStep('upload_config');
         setAnalysisType(null);
@@ -65,7 +107,20 @@ export const AppProvider = ({ children }) => {
             gasConcPrecision: 1,
             totalFlowrate: 500,
             gasConcCyl1: 0,
-            gasConcentrationLabel: "Target Gas concentration (ppm)"
+            gasConcentrationLabel: "Target Gas concentration (ppm)",
+            columnMapping: { ...DEFAULT_COLUMN_MAPPING },
+            parseSettings: { ...DEFAULT_PARSE_SETTINGS },
+            timestampFormat: 'auto',
+            chamberMixing: { ...DEFAULT_CHAMBER_MIXING },
+            gasTiming: { ...DEFAULT_GAS_TIMING },
+            timeBase: { ...DEFAULT_TIME_BASE },
+            cleaning: { ...DEFAULT_CLEANING_SETTINGS },
+            driftCorrection: { ...DEFAULT_DRIFT_CORRECTION },
+            baselineReference: { ...DEFAULT_BASELINE_REFERENCE },
+            signalDefinition: { ...DEFAULT_SIGNAL_DEFINITION },
+            sensorQuality: { ...DEFAULT_SENSOR_QUALITY },
+            calibrationResponseMetric: 'steadyStateResponse',
+            replicateGroups: { ...DEFAULT_REPLICATE_SETTINGS }
         });
         setProcessingLog([]);
         setProgressBarValue(0);
@@ -75,6 +130,11 @@ export const AppProvider = ({ children }) => {
         setTimeSeriesData([]);
         setSpectroscopyData([]);
         setGasConcProfile([]);
+        setGasConcProfiles([]);
+        setParseDiagnostics([]);
+        setExperiments([]);
+        setExperimentResults([]);
+        setActiveExperimentId(null);
         setShowAnalysisTypeModal(false);
         setAnalysisTypeModalMessage('');
         setStep1Status({ message: 'Please select data files and configure parameters to begin.', type: 'info' });
@@ -99,6 +159,11 @@ export const AppProvider = ({ children }) => {
         timeSeriesData, setTimeSeriesData,
         spectroscopyData, setSpectroscopyData,
         gasConcProfile, setGasConcProfile,
+        gasConcProfiles, setGasConcProfiles,
+        parseDiagnostics, setParseDiagnostics,
+        experiments, setExperiments,
+        experimentResults, setExperimentResults,
+        activeExperimentId, showExperimentResult,
         showAnalysisTypeModal, setShowAnalysisTypeModal,
         analysisTypeModalMessage, setAnalysisTypeModalMessage,
         step1Status, setStep1Status,
@@ -0,0 +1,50 @@
+// src/services/archiveImportService.js
+// Unpacks zipped experiment folders in memory so their entries can be categorised like individually selected files.
+import JSZip from 'jszip';
+
+/**
+ * Checks whether a file is a zip archive.
+ * @param {File} file - The file to check.
+ * @returns {boolean} True for .zip files.
+ */
+export function isZipFile(file) {
+    return Boolean(file && /\.zip$/i.test(file.name));
+}
+
+/**
+ * Checks whether a zip entry is OS clutter rather than data (macOS resource forks, hidden files, Thumbs.db).
+ * @param {string} entryPath - The entry's path inside the archive.
+ * @returns {boolean} True if the entry should be skipped.
+ */
+const isIgnoredEntry = (entryPath) => {
+    const parts = entryPath.split('/');
+    return parts.some(part => part === '__MACOSX' || part.startsWith('.')) ||
+        /^(thumbs\.db|desktop\.ini)$/i.test(parts[parts.length - 1]);
+};
+
+/**
+ * Extracts all files of a zip archive into File objects named after the entry's file name (without folders).
+ * The entry's folder path inside the archive is kept on each File as `relativePath`.
+ * @param {File} zipFile - The .zip file.
+ * @returns {Promise<Array<File>>} The extracted files, in archive order.
+ * Rejects if the archive cannot be read.
+ */
+export async function extractZipFiles(zipFile) {
+    let archive;
+    try {
+        archive = await JSZip.loadAsync(await zipFile.arrayBuffer());
+    } catch (e) {
+        throw new Error(`Could not open archive ${zipFile.name}: ${e.message}`);
+    }
+
+    const entries = Object.values(archive.files).filter(entry => !entry.dir && !isIgnoredEntry(entry.name));
+    const extractedFiles = [];
+    for (const entry of entries) {
+        const content = await entry.async('uint8array');
+        const fileName = entry.name.split('/').pop();
+        const file = new File([content], fileName, { lastModified: entry.date ? entry.date.getTime() : zipFile.lastModified });
+        Object.defineProperty(file, 'relativePath', { value: entry.name, enumerable: true });
+        extractedFiles.push(file);
+    }
+    return extractedFiles;
+}
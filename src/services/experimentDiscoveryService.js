@@ -0,0 +1,151 @@
+// src/services/experimentDiscoveryService.js
+// Groups uploaded files into experiments by folder (directory picker or zipped folders), so one upload can hold
+// several runs, each with its own gas flow table, sensor files and analysis type.
+import { rankFileFormats } from './fileParserService.js';
+import { extractSensorNumberFromName, sortFileItemsBySensorNumber } from '../utils/fileNameUtils.js';
+import { extractFileNameTimestampText } from '../utils/dateTimeUtils.js';
+import { MIN_FORMAT_CONFIDENCE } from '../utils/formatDetection.js';
+
+const ANALYSIS_TYPE_LABELS = { time_series: 'time-series', spectroscopy: 'spectroscopy' };
+
+/**
+ * Ranks the format of every file with the registered format detectors. A file is recognised if its best guess
+ * scores at least MIN_FORMAT_CONFIDENCE; the others are rejected (and logged).
+ * @param {Array<File>} files - The uploaded files.
+ * @param {Object} parseSettings - Delimiter/decimal/encoding settings ('auto' fields are sniffed).
+ * @param {Function} [onLog] - Called with (message, type) for every rejected file.
+ * @returns {Promise<Array<Object>>} One entry per file: { file, guesses (best first), parser } where parser is
+ * 'time_series', 'spectroscopy', 'gas_program' (or the parser of another registered detector), or null if rejected.
+ */
+export async function recognizeFileFormats(files, parseSettings, onLog = () => {}) {
+    const recognitions = [];
+    for (const file of files) {
+        let guesses = [];
+        try {
+            guesses = await rankFileFormats(file, parseSettings);
+        } catch (e) {
+            onLog(`${file.name}: ${e.message}`, 'warn');
+        }
+        const recognised = guesses.length > 0 && guesses[0].score >= MIN_FORMAT_CONFIDENCE;
+        if (!recognised) {
+            onLog(`Rejected '${file.name}': format not recognised${guesses.length > 0 ? ` (best guess: ${guesses[0].label}, ${Math.round(guesses[0].score * 100)}%)` : ''}.`, 'warn');
+        }
+        recognitions.push({ file, guesses, parser: recognised ? guesses[0].parser : null });
+    }
+    return recognitions;
+}
+
+/**
+ * Turns data files into file items for one analysis type. Files that do not fit the type's naming pattern
+ * (sensor number for time-series, timestamp for spectroscopy) are skipped.
+ * @param {string} chosenType - 'time_series' or 'spectroscopy'.
+ * @param {Array<File>} files - The data files.
+ * @param {Function} [onSkip] - Called with a message for every skipped file.
+ * @returns {Array<Object>} Items { originalFile, effectiveName, originalName, sensorNumberRaw, sensorNumberDisplay, type },
+ * sorted by sensor number.
+ */
+export function categorizeDataFiles(chosenType, files, onSkip = () => {}) {
+    const items = [];
+    files.forEach(file => {
+        const originalName = file.name;
+        let sensorNumberRaw = null;
+        let sensorNumberDisplay = null;
+        if (chosenType === 'time_series') {
+            sensorNumberRaw = extractSensorNumberFromName(originalName, false);
+            if (sensorNumberRaw === null) {
+                onSkip(`Skipping file (time_series analysis): '${originalName}' - could not extract sensor number.`);
+                return;
+            }
+            sensorNumberDisplay = sensorNumberRaw + 1;
+        } else if (chosenType === 'spectroscopy') {
+            if (extractFileNameTimestampText(originalName) === null) {
+                onSkip(`Skipping file (spectroscopy analysis): '${originalName}' - does not match spectroscopy naming pattern.`);
+                return;
+            }
+        } else {
+            return;
+        }
+        items.push({
+            originalFile: file,
+            effectiveName: originalName,
+            originalName,
+            sensorNumberRaw,
+            sensorNumberDisplay,
+            type: chosenType
+        });
+    });
+    return sortFileItemsBySensorNumber(items);
+}
+
+/**
+ * Returns the folder a file was selected from, relative to the chosen directory or archive.
+ * @param {File} file - A file from a directory picker (webkitRelativePath) or archive (relativePath).
+ * @returns {string} The folder path without the file name ('' for files without folder information).
+ */
+export function getFileFolderPath(file) {
+    const path = file.webkitRelativePath || file.relativePath || '';
+    return path.split('/').slice(0, -1).join('/');
+}
+
+/**
+ * Finds the experiments in an upload: every folder that directly contains sensor files becomes one experiment,
+ * named after the folder and using the gas program of that folder. A folder holding both time-series and
+ * spectroscopy files gives one experiment per type.
+ * @param {Array<Object>} recognitions - From recognizeFileFormats; rejected files are left out.
+ * @param {Function} [onLog] - Called with (message, type) for progress and skipped files.
+ * @returns {Array<Object>} Experiments { id, name, folderPath, analysisType, gasFlowFile, fileItems, selected },
+ * ordered by folder. Empty if the files come from fewer than two folders (a single experiment).
+ */
+export function discoverExperiments(recognitions, onLog = () => {}) {
+    const filesByFolder = new Map();
+    recognitions.forEach(recognition => {
+        const folderPath = getFileFolderPath(recognition.file);
+        if (!filesByFolder.has(folderPath)) filesByFolder.set(folderPath, []);
+        filesByFolder.get(folderPath).push(recognition);
+    });
+    if (filesByFolder.size < 2) return [];
+
+    const folderPaths = [...filesByFolder.keys()].sort((a, b) => a.localeCompare(b));
+    const folderNames = folderPaths.map(path => path.split('/').pop() || '(top level)');
+    const experiments = [];
+
+    for (let i = 0; i < folderPaths.length; i++) {
+        const folderPath = folderPaths[i];
+        // Use the full path only where two folders share a name
+        const folderName = folderNames.filter(name => name === folderNames[i]).length > 1 ? folderPath : folderNames[i];
+        const filesByType = { gas_program: [], time_series: [], spectroscopy: [], other: [] };
+        // Most confident first, so a folder with several gas programs uses the clearest one
+        const bestScore = (recognition) => (recognition.guesses.length > 0 ? recognition.guesses[0].score : 0);
+        const folderRecognitions = [...filesByFolder.get(folderPath)].sort((a, b) => bestScore(b) - bestScore(a));
+        folderRecognitions.forEach(({ file, parser }) => {
+            if (parser) filesByType[filesByType[parser] ? parser : 'other'].push(file);
+        });
+
+        const typesInFolder = ['time_series', 'spectroscopy'].filter(type => filesByType[type].length > 0);
+        if (typesInFolder.length === 0) {
+            onLog(`Folder '${folderName}' contains no sensor data files; skipped.`, 'warn');
+            continue;
+        }
+        if (filesByType.other.length > 0) {
+            onLog(`Folder '${folderName}': ignoring ${filesByType.other.length} file(s) of a format this analysis does not read.`, 'warn');
+        }
+        if (filesByType.gas_program.length > 1) {
+            onLog(`Folder '${folderName}' has ${filesByType.gas_program.length} gas programs; using ${filesByType.gas_program[0].name}.`, 'warn');
+        }
+
+        typesInFolder.forEach(analysisType => {
+            const fileItems = categorizeDataFiles(analysisType, filesByType[analysisType], message => onLog(`${folderName}: ${message}`, 'warn'));
+            if (fileItems.length === 0) return;
+            experiments.push({
+                id: `${folderPath}|${analysisType}`,
+                name: typesInFolder.length > 1 ? `${folderName} (${ANALYSIS_TYPE_LABELS[analysisType]})` : folderName,
+                folderPath,
+                analysisType,
+                gasFlowFile: analysisType === 'time_series' ? filesByType.gas_program[0] || null : null,
+                fileItems,
+                selected: true
+            });
+        });
+    }
+    return experiments;
+}
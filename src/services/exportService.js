@@ -2,21 +2,30 @@
 import * as XLSX from 'xlsx';
 import JSZip from 'jszip';
 import Plotly from 'plotly.js';
+import { collectMetadataKeys } from '../utils/instrumentMetadata.js';
+import { summarizeFileDiagnostics } from '../utils/parseDiagnostics.js';
+import { EVENT_METRIC_COLUMNS, calculateEventMetrics } from '../utils/eventMetrics.js';
+import { calculateCalibrations } from '../utils/calibration.js';
+import { getSignalLabel } from '../utils/signalDefinitions.js';
+import { buildCombinedTable } from '../utils/timeBase.js';
+import { REPLICATE_CHANNELS, calculateReplicateGroups } from '../utils/replicateGroups.js';
 
 /**
  * Replaces NaN, Infinity, and -Infinity with a placeholder string for export.
  * @param {Array<Object>} data - The array of data objects to sanitize.
+ * @param {string} [signalLabel] - If given, the 'signal' column is exported as "signal [<label>]".
  * @returns {Array<Object>} The sanitized data.
  */
-const sanitizeDataForExport = (data) => {
+const sanitizeDataForExport = (data, signalLabel) => {
     const placeholder = "N/A"; // Use this string for invalid numbers
     return data.map(row => {
         const newRow = {};
         for (const key in row) {
+            const exportKey = key === 'signal' && signalLabel ? `signal [${signalLabel}]` : key;
             if (typeof row[key] === 'number' && !isFinite(row[key])) {
-                newRow[key] = placeholder;
+                newRow[exportKey] = placeholder;
             } else {
-                newRow[key] = row[key];
+                newRow[exportKey] = row[key];
             }
         }
         return newRow;
@@ -26,12 +35,12 @@ const sanitizeDataForExport = (data) => {
 /**
  * Creates a pivoted data table as an array of arrays for spectroscopy export, ensuring column order.
  * @param {Array} spectroscopyData - The processed spectroscopy data.
- * @param {string} dataType - 'impedances' or 'phases'.
+ * @param {string} dataType - 'impedances' (|Z|), 'phases', 'zReal' or 'zImag'.
  * @param {Array<number>} uniqueFrequencies - A sorted array of unique frequencies.
  * @returns {Array<Array<any>>} The pivoted data ready for aoa_to_sheet.
  */
 const createPivotedSheetAOA = (spectroscopyData, dataType, uniqueFrequencies) => {
-    const valueKey = dataType === 'impedances' ? 'impedances' : 'phases';
+    const valueKey = ['impedances', 'phases', 'zReal', 'zImag'].includes(dataType) ? dataType : 'phases';
 
     const headers = ['Time (min)', ...uniqueFrequencies];
     const dataRows = [headers];
@@ -54,14 +63,167 @@ const createPivotedSheetAOA = (spectroscopyData, dataType, uniqueFrequencies) =>
     return dataRows;
 };
 
+/**
+ * Creates a table of the instrument metadata of each spectroscopy sweep (one row per sweep).
+ * @param {Array} spectroscopyData - The processed spectroscopy data.
+ * @returns {Array<Array<any>>} The rows for aoa_to_sheet; only the header row if no sweep has metadata.
+ */
+const createMetadataSheetAOA = (spectroscopyData) => {
+    const metadataKeys = collectMetadataKeys(spectroscopyData);
+    const dataRows = [['File', 'Time (min)', ...metadataKeys]];
+    if (metadataKeys.length === 0) return dataRows;
+
+    spectroscopyData.forEach(sweep => {
+        const metadata = sweep.metadata || {};
+        dataRows.push([
+            sweep.effectiveName || sweep.fileName || "N/A",
+            sweep.relativeTimeMin !== undefined && sweep.relativeTimeMin !== null ? sweep.relativeTimeMin.toFixed(4) : "N/A",
+            ...metadataKeys.map(key => metadata[key] ?? "N/A")
+        ]);
+    });
+    return dataRows;
+};
+
+/**
+ * Creates the parse diagnostics table: one summary row per file, followed by one row per notice and per skipped line.
+ * @param {Array<Object>} parseDiagnostics - Entries from createFileDiagnostics.
+ * @returns {Array<Array<any>>} The rows for aoa_to_sheet; only the header row if there are no diagnostics.
+ */
+const createDiagnosticsSheetAOA = (parseDiagnostics) => {
+    const dataRows = [['File', 'Kind', 'Status', 'Summary', 'Total rows', 'Accepted rows', 'Skipped rows', 'Detected format', 'Skipped line', 'Reason']];
+    (parseDiagnostics || []).forEach(entry => {
+        const detectedFormat = Object.entries(entry.detectedFormat || {}).map(([label, value]) => `${label}: ${value}`).join('; ');
+        dataRows.push([
+            entry.fileName, entry.kind, entry.status, summarizeFileDiagnostics(entry),
+            entry.totalRows, entry.acceptedRows, entry.skippedRowCount, detectedFormat, '', ''
+        ]);
+        (entry.notices || []).forEach(notice => {
+            dataRows.push([entry.fileName, entry.kind, '', '', '', '', '', '', '', notice]);
+        });
+        entry.skippedRows.forEach(skipped => {
+            dataRows.push([entry.fileName, entry.kind, '', '', '', '', '', '', skipped.line, skipped.reason]);
+        });
+        if (entry.skippedRowCount > entry.skippedRows.length) {
+            dataRows.push([entry.fileName, entry.kind, '', '', '', '', '', '', '', `${entry.skippedRowCount - entry.skippedRows.length} further skipped rows not listed`]);
+        }
+    });
+    return dataRows;
+};
+
+/**
+ * Creates the per-sensor, per-event metrics table (see utils/eventMetrics.js).
+ * @param {Array} timeSeriesData - The processed time-series data.
+ * @param {Array<Object>} gasExposureEvents - The exposure events from the gas program.
+ * @returns {Array<Array<any>>} The rows for aoa_to_sheet; only the header row if there are no events.
+ */
+const createEventMetricsSheetAOA = (timeSeriesData, gasExposureEvents) => {
+    const dataRows = [['File', ...EVENT_METRIC_COLUMNS.map(column => column.label)]];
+    calculateEventMetrics(timeSeriesData, gasExposureEvents).forEach(metrics => {
+        dataRows.push([
+            metrics.fileName,
+            ...EVENT_METRIC_COLUMNS.map(column => (typeof metrics[column.key] === 'number' && !isFinite(metrics[column.key]) ? "N/A" : metrics[column.key]))
+        ]);
+    });
+    return dataRows;
+};
+
+/**
+ * Creates the calibration table: the fitted parameters, R², sensitivity and LOD of every model per sensor,
+ * followed by the calibration points (see utils/calibration.js).
+ * @param {Array} timeSeriesData - The processed time-series data.
+ * @param {Object} config - The application config (gasExposureEvents, calibrationResponseMetric).
+ * @returns {Array<Array<any>>} The rows for aoa_to_sheet; only the header row if there are no calibration points.
+ */
+const createCalibrationSheetAOA = (timeSeriesData, config) => {
+    const toCell = (value) => (typeof value === 'number' && !isFinite(value) ? "N/A" : value);
+    const dataRows = [['File', 'Sensor', 'Model', 'Parameters', 'R²', 'Sensitivity (signal/conc.)', 'Noise σ', 'LOD (3σ)', 'Points']];
+    const calibrations = calculateCalibrations(calculateEventMetrics(timeSeriesData, config.gasExposureEvents), config.calibrationResponseMetric)
+        .filter(calibration => calibration.points.length > 0);
+    if (calibrations.length === 0) return dataRows;
+
+    calibrations.forEach(calibration => {
+        calibration.fits.forEach(fit => {
+            dataRows.push([
+                calibration.fileName, calibration.sensorNumber, fit.label,
+                Object.entries(fit.parameters).map(([name, value]) => `${name}=${toCell(value)}`).join('; '),
+                toCell(fit.rSquared), toCell(fit.sensitivity), toCell(calibration.noise), toCell(fit.lod), calibration.points.length
+            ]);
+        });
+    });
+    dataRows.push([]);
+    dataRows.push(['File', 'Sensor', 'Event', 'Concentration', `|${config.calibrationResponseMetric || 'steadyStateResponse'}| [${getSignalLabel(timeSeriesData)}]`]);
+    calibrations.forEach(calibration => {
+        calibration.points.forEach(point => {
+            dataRows.push([calibration.fileName, calibration.sensorNumber, point.eventNumber, point.concentration, point.response]);
+        });
+    });
+    return dataRows;
+};
+
+/**
+ * Creates the combined wide table of sensors resampled onto a shared time grid (see utils/timeBase.js):
+ * one time column and one signal column per sensor.
+ * @param {Array} timeSeriesData - The processed time-series data.
+ * @returns {Array<Array<any>>} The rows for aoa_to_sheet; empty if the sensors were not resampled.
+ */
+const createCombinedSheetAOA = (timeSeriesData) => {
+    const combined = buildCombinedTable(timeSeriesData, 'signal');
+    if (combined.length === 0) return combined;
+    const signalLabel = getSignalLabel(timeSeriesData);
+    const [header, ...rows] = combined;
+    return [
+        header.map((cell, i) => (i === 0 ? cell : `${cell} [${signalLabel}]`)),
+        ...rows.map(row => row.map(value => (typeof value === 'number' && !isFinite(value) ? "N/A" : value)))
+    ];
+};
+
+/**
+ * Creates the replicate group statistics (see utils/replicateGroups.js): mean, SD, min, max and sensor count of each
+ * group on its common grid, followed by each sensor's deviation from its group.
+ * @param {Array} timeSeriesData - The processed time-series data.
+ * @param {Object} config - The application config (replicateGroups).
+ * @returns {Array<Array<any>>} The rows for aoa_to_sheet; only the header row if no group is defined or the definition is invalid.
+ */
+const createReplicateGroupsSheetAOA = (timeSeriesData, config) => {
+    const toCell = (value) => (typeof value === 'number' && !isFinite(value) ? "N/A" : value);
+    const settings = config.replicateGroups || {};
+    const channel = REPLICATE_CHANNELS.find(c => c.value === settings.channel) || REPLICATE_CHANNELS[0];
+    const unit = channel.value === 'signal' ? ` [${getSignalLabel(timeSeriesData)}]` : '';
+    const dataRows = [['Group', 'Sensors', 'Time (min)', `Mean ${channel.label}${unit}`, 'SD', 'Min', 'Max', 'N']];
+    let groups;
+    try {
+        groups = calculateReplicateGroups(timeSeriesData, settings).filter(group => group.grid.length > 0);
+    } catch (error) {
+        console.warn("Replicate groups not exported:", error.message);
+        return dataRows;
+    }
+    if (groups.length === 0) return dataRows;
+
+    groups.forEach(group => {
+        group.grid.forEach((time, t) => {
+            dataRows.push([group.name, group.sensorNumbers.join(' '), time, toCell(group.mean[t]), toCell(group.sd[t]), toCell(group.min[t]), toCell(group.max[t]), group.count[t]]);
+        });
+    });
+    dataRows.push([]);
+    dataRows.push(['Group', 'Sensor', 'File', 'Mean |deviation| from group median', 'Deviation / typical', 'Flagged']);
+    groups.forEach(group => {
+        group.sensors.forEach(sensor => {
+            dataRows.push([group.name, sensor.sensorNumber, sensor.fileName, toCell(sensor.deviation), toCell(sensor.deviationScore), sensor.flagged ? 'yes' : 'no']);
+        });
+    });
+    return dataRows;
+};
+
 /**
  * Prepares and exports data to an XLSX file.
  * @param {string} analysisType - 'time_series' or 'spectroscopy'.
  * @param {Array} timeSeriesData - The processed time-series data from AppContext.
  * @param {Array} spectroscopyData - The processed spectroscopy data from AppContext.
- * @param {Object} config - The application config for filenames.
+ * @param {Object} config - The application config for filenames, the gas exposure events, calibration settings and
+ * replicate groups (for the "Events", "Calibration" and "Replicates" sheets).
+ * @param {Array} [parseDiagnostics] - Per-file parse diagnostics, exported as a "Diagnostics" sheet.
  */
-export const exportDataToXlsx = (analysisType, timeSeriesData, spectroscopyData, config) => {
+export const exportDataToXlsx = (analysisType, timeSeriesData, spectroscopyData, config, parseDiagnostics = []) => {
     console.log("Attempting XLSX export for type:", analysisType);
     try {
         const wb = XLSX.utils.book_new();
@@ -73,7 +235,7 @@ export const exportDataToXlsx = (analysisType, timeSeriesData, spectroscopyData,
             timeSeriesData.forEach(sensorTable => {
                 if (sensorTable && sensorTable.data) {
                     const sheetName = `Sensor ${sensorTable.sensorNumber || 'Unknown'}`.substring(0, 31);
-                    const sanitizedData = sanitizeDataForExport(sensorTable.data);
+                    const sanitizedData = sanitizeDataForExport(sensorTable.data, getSignalLabel([sensorTable]));
                     if (sanitizedData.length > 0) {
                         const ws = XLSX.utils.json_to_sheet(sanitizedData);
                         XLSX.utils.book_append_sheet(wb, ws, sheetName);
@@ -84,6 +246,27 @@ export const exportDataToXlsx = (analysisType, timeSeriesData, spectroscopyData,
                     }
                 }
             });
+
+            const combinedAOA = createCombinedSheetAOA(timeSeriesData);
+            if (combinedAOA.length > 1) {
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(combinedAOA), "Combined");
+                console.log("Combined sheet created.");
+            }
+            const eventMetricsAOA = createEventMetricsSheetAOA(timeSeriesData, config.gasExposureEvents);
+            if (eventMetricsAOA.length > 1) {
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(eventMetricsAOA), "Events");
+                console.log("Events sheet created.");
+            }
+            const calibrationAOA = createCalibrationSheetAOA(timeSeriesData, config);
+            if (calibrationAOA.length > 1) {
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(calibrationAOA), "Calibration");
+                console.log("Calibration sheet created.");
+            }
+            const replicateGroupsAOA = createReplicateGroupsSheetAOA(timeSeriesData, config);
+            if (replicateGroupsAOA.length > 1) {
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(replicateGroupsAOA), "Replicates");
+                console.log("Replicates sheet created.");
+            }
         } else if (analysisType === 'spectroscopy' && spectroscopyData && spectroscopyData.length > 0) {
             console.log("Exporting spectroscopy data...");
             const freqSet = new Set();
@@ -117,6 +300,23 @@ export const exportDataToXlsx = (analysisType, timeSeriesData, spectroscopyData,
                 } else {
                     console.warn("No data rows for phase sheet.");
                 }
+
+                // Real and imaginary parts of the complex impedance
+                [['zReal', 'Z_real'], ['zImag', 'Z_imag']].forEach(([dataType, sheetName]) => {
+                    if (!spectroscopyData.some(sweep => sweep && Array.isArray(sweep[dataType]))) return;
+                    const complexPartAOA = createPivotedSheetAOA(spectroscopyData, dataType, uniqueFrequencies);
+                    if (complexPartAOA.length > 1) {
+                        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(complexPartAOA), sheetName);
+                        sheetsAdded++;
+                        console.log(`${sheetName} sheet created.`);
+                    }
+                });
+
+                const metadataAOA = createMetadataSheetAOA(spectroscopyData);
+                if (metadataAOA.length > 1) { // Only if the files carried instrument metadata
+                    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(metadataAOA), "Metadata");
+                    console.log("Metadata sheet created.");
+                }
             } else {
                 console.warn("No data to create spectroscopy sheets (no time points or frequencies).");
             }
@@ -132,6 +332,12 @@ export const exportDataToXlsx = (analysisType, timeSeriesData, spectroscopyData,
             return;
         }
 
+        const diagnosticsAOA = createDiagnosticsSheetAOA(parseDiagnostics);
+        if (diagnosticsAOA.length > 1) {
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(diagnosticsAOA), "Diagnostics");
+            console.log("Diagnostics sheet created.");
+        }
+
         console.log("Writing XLSX file...");
         XLSX.writeFile(wb, `${experimentName}_Data.xlsx`);
         console.log("XLSX file write initiated.");
@@ -148,9 +354,11 @@ export const exportDataToXlsx = (analysisType, timeSeriesData, spectroscopyData,
  * @param {string} analysisType - 'time_series' or 'spectroscopy'.
  * @param {Array} timeSeriesData - The processed time-series data from AppContext.
  * @param {Array} spectroscopyData - The processed spectroscopy data from AppContext.
- * @param {Object} config - The application config for filenames.
+ * @param {Object} config - The application config for filenames, the gas exposure events, calibration settings and
+ * replicate groups (for Events.csv, Calibration.csv and Replicates.csv).
+ * @param {Array} [parseDiagnostics] - Per-file parse diagnostics, exported as Diagnostics.csv.
  */
-export const exportDataToCsv = async (analysisType, timeSeriesData, spectroscopyData, config) => {
+export const exportDataToCsv = async (analysisType, timeSeriesData, spectroscopyData, config, parseDiagnostics = []) => {
     try {
         const zip = new JSZip();
         const experimentName = config.experimentName || 'Experiment';
@@ -159,7 +367,7 @@ export const exportDataToCsv = async (analysisType, timeSeriesData, spectroscopy
         if (analysisType === 'time_series' && timeSeriesData && timeSeriesData.length > 0) {
             timeSeriesData.forEach(sensorTable => {
                 if (sensorTable && sensorTable.data && sensorTable.data.length > 0) {
-                    const sanitizedData = sanitizeDataForExport(sensorTable.data);
+                    const sanitizedData = sanitizeDataForExport(sensorTable.data, getSignalLabel([sensorTable]));
                     const ws = XLSX.utils.json_to_sheet(sanitizedData);
                     const csvString = XLSX.utils.sheet_to_csv(ws);
                     const fileName = `Sensor_${sensorTable.sensorNumber}.csv`;
@@ -167,6 +375,23 @@ export const exportDataToCsv = async (analysisType, timeSeriesData, spectroscopy
                     filesAdded++;
                 }
             });
+
+            const combinedAOA = createCombinedSheetAOA(timeSeriesData);
+            if (combinedAOA.length > 1) {
+                zip.file("Combined.csv", XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(combinedAOA)));
+            }
+            const eventMetricsAOA = createEventMetricsSheetAOA(timeSeriesData, config.gasExposureEvents);
+            if (eventMetricsAOA.length > 1) {
+                zip.file("Events.csv", XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(eventMetricsAOA)));
+            }
+            const calibrationAOA = createCalibrationSheetAOA(timeSeriesData, config);
+            if (calibrationAOA.length > 1) {
+                zip.file("Calibration.csv", XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(calibrationAOA)));
+            }
+            const replicateGroupsAOA = createReplicateGroupsSheetAOA(timeSeriesData, config);
+            if (replicateGroupsAOA.length > 1) {
+                zip.file("Replicates.csv", XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(replicateGroupsAOA)));
+            }
         } else if (analysisType === 'spectroscopy' && spectroscopyData && spectroscopyData.length > 0) {
             const freqSet = new Set();
             spectroscopyData.forEach(sweep => sweep.frequencies.forEach(f => freqSet.add(f)));
@@ -189,6 +414,22 @@ export const exportDataToCsv = async (analysisType, timeSeriesData, spectroscopy
                 zip.file("Phase.csv", csvStringPhase);
                 filesAdded++;
             }
+
+            // Real and imaginary parts of the complex impedance
+            [['zReal', 'Z_real.csv'], ['zImag', 'Z_imag.csv']].forEach(([dataType, csvName]) => {
+                if (!spectroscopyData.some(sweep => Array.isArray(sweep[dataType]))) return;
+                const complexPartAOA = createPivotedSheetAOA(spectroscopyData, dataType, uniqueFrequencies);
+                if (complexPartAOA.length > 1) {
+                    zip.file(csvName, XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(complexPartAOA)));
+                    filesAdded++;
+                }
+            });
+
+            // Instrument metadata per sweep, if the files carried any
+            const metadataAOA = createMetadataSheetAOA(spectroscopyData);
+            if (metadataAOA.length > 1) {
+                zip.file("Metadata.csv", XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(metadataAOA)));
+            }
         } else {
             alert("No data available to export.");
             return;
@@ -199,6 +440,11 @@ export const exportDataToCsv = async (analysisType, timeSeriesData, spectroscopy
             return;
         }
 
+        const diagnosticsAOA = createDiagnosticsSheetAOA(parseDiagnostics);
+        if (diagnosticsAOA.length > 1) {
+            zip.file("Diagnostics.csv", XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(diagnosticsAOA)));
+        }
+
         // Generate the ZIP file and trigger download
         const zipContent = await zip.generateAsync({ type: "blob" });
         const link = document.createElement('a');
@@ -224,6 +470,8 @@ export const exportDataToCsv = async (analysisType, timeSeriesData, spectroscopy
  * @param {Object} config - The application config for filenames.
  * @param {Function} setIsExporting - Setter to control UI feedback.
  * @param {Function} addLogMsg - For providing feedback in a log if needed.
+ * @param {Array} [timeSeriesData] - The processed time-series data; on the calibration tab the fitted parameters
+ * are added to the ZIP as Calibration.csv, on the replicates tab the group statistics as Replicates.csv.
  */
 
 export const exportPlotsToZip = async (
@@ -231,7 +479,8 @@ export const exportPlotsToZip = async (
     activeTab,
     config,
     setIsExporting,
-    addLogMessage
+    addLogMessage,
+    timeSeriesData = []
 ) => {
     setIsExporting(true);
     addLogMessage("Starting plot export (DEBUGGING VERSION)...", "info");
@@ -324,6 +573,18 @@ export const exportPlotsToZip = async (
         addLogMessage(`Loop finished. Success count: ${successCount}`, "info");
 
         if (successCount > 0) {
+            if (analysisType === 'time_series' && activeTab === 'calibration') {
+                const calibrationAOA = createCalibrationSheetAOA(timeSeriesData, config);
+                if (calibrationAOA.length > 1) {
+                    zip.file(`${config.experimentName || "ExperimentData"}_Calibration.csv`, XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(calibrationAOA)));
+                }
+            }
+            if (analysisType === 'time_series' && activeTab === 'replicates') {
+                const replicateGroupsAOA = createReplicateGroupsSheetAOA(timeSeriesData, config);
+                if (replicateGroupsAOA.length > 1) {
+                    zip.file(`${config.experimentName || "ExperimentData"}_Replicates.csv`, XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(replicateGroupsAOA)));
+                }
+            }
             addLogMessage('Generating ZIP file...', "info");
             const zipContent = await zip.generateAsync({ type: "blob" });
             console.log("ZIP content generated, size:", zipContent.size);
@@ -1,282 +1,363 @@
 // src/services/fileParserService.js
-import * as d3 from 'd3'; // Import D3
+import { STREAM_PARSERS } from './streamingParsers.js';
+import { formatByteSize } from '../utils/textStreamUtils.js';
+import { DEFAULT_PARSE_SETTINGS, describeParseSettings, parseLocaleNumber, readDecodedFileSample, sniffParseSettings } from '../utils/localeDetection.js';
+import { detectTimestampFormat, extractFileNameTimestamp, parseTimestamp } from '../utils/dateTimeUtils.js';
+import { parseGasProgramHeader } from '../utils/gasCalculations.js';
+import { createDiagnosticsCollector } from '../utils/parseDiagnostics.js';
+import { scoreFormatDetectors } from '../utils/formatDetection.js';
+
+const LARGE_FILE_LOG_THRESHOLD_BYTES = 10 * 1024 * 1024; // Log read progress for files above 10 MB
+const FORMAT_SAMPLE_LINES = 50; // Non-empty lines handed to the format detectors
 
 /**
- * Parses a CSV file string into an array of objects or rows.
+ * Runs one of the streaming parsers (see streamingParsers.js) in a Web Worker,
+ * falling back to the main thread when workers are unavailable.
+ * @param {string} kind - Parser kind: 'csv_rows', 'time_series' or 'spectroscopy'.
  * @param {File} file - The File object to parse.
- * @param {boolean} [hasHeader=false] - Indicates if the CSV has a header row for d3.autoType.
- * @returns {Promise<Array<Object>|Array<Array<string>>>} A promise that resolves with the parsed data.
- * Rejects with an error if parsing fails or d3 is not available (though d3 import should handle this).
+ * @param {Object} options - Parser-specific options (must be structured-cloneable).
+ * @param {Object} [callbacks] - { onProgress(bytesRead, totalBytes), onRows(rowsBatch) }.
+ * @returns {Promise<Object|null>} The parser result.
  */
-export function parseCsvFile(file, hasHeader = false) {
-    return new Promise((resolve, reject) => {
-        if (!file) {
-            reject(new Error("No file provided for parsing."));
-            return;
-        }
-
-        const reader = new FileReader();
-
-        reader.onload = (event) => {
-            try {
-                const fileString = event.target.result;
-                let parsedData;
+function runStreamParser(kind, file, options, { onProgress, onRows } = {}) {
+    if (typeof Worker === 'undefined') {
+        return STREAM_PARSERS[kind](file, options, { onProgress, onRows });
+    }
 
-                if (hasHeader) {
-                    // d3.csvParse uses the first row as headers and applies autoType to subsequent rows.
-                    parsedData = d3.csvParse(fileString, d3.autoType);
-                } else {
-                    // d3.dsvFormat(",").parseRows parses all rows as arrays of strings.
-                    parsedData = d3.dsvFormat(",").parseRows(fileString);
-                }
-                resolve(parsedData);
-            } catch (e) {
-                reject(new Error(`Error parsing ${file.name} with D3.js: ${e.message}`));
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('../workers/fileParser.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+            const message = event.data;
+            switch (message.type) {
+                case 'progress':
+                    if (onProgress) onProgress(message.bytesRead, message.totalBytes);
+                    break;
+                case 'rows':
+                    if (onRows) onRows(message.rows);
+                    break;
+                case 'result':
+                    worker.terminate();
+                    resolve(message.result);
+                    break;
+                case 'error':
+                    worker.terminate();
+                    reject(new Error(message.message));
+                    break;
+                default:
+                    break;
             }
         };
-
-        reader.onerror = (error) => {
-            reject(new Error(`Error reading file ${file.name}: ${error.message || error}`));
+        worker.onerror = (errorEvent) => {
+            worker.terminate();
+            reject(new Error(`Parser worker failed for ${file.name}: ${errorEvent.message || 'unknown error'}`));
         };
-
-        reader.readAsText(file);
+        worker.postMessage({ kind, file, options });
     });
 }
 
+/**
+ * Creates an onProgress callback that forwards the read fraction of one file and logs
+ * milestones (every 25%) for large files.
+ * @param {File} file - The file being read.
+ * @param {Function} addLogMsg - Function to add messages to the processing log.
+ * @param {Function} [onFraction] - Called with the fraction (0..1) of the file read so far.
+ * @returns {Function} A callback (bytesRead, totalBytes) => void.
+ */
+export function createReadProgressReporter(file, addLogMsg, onFraction) {
+    let nextLoggedQuarter = 1;
+    return (bytesRead, totalBytes) => {
+        const fraction = totalBytes > 0 ? bytesRead / totalBytes : 1;
+        if (onFraction) onFraction(fraction);
+        if (totalBytes >= LARGE_FILE_LOG_THRESHOLD_BYTES && fraction * 4 >= nextLoggedQuarter && nextLoggedQuarter < 4) {
+            addLogMsg(`Reading ${file.name}: ${nextLoggedQuarter * 25}% (${formatByteSize(bytesRead)} of ${formatByteSize(totalBytes)}).`);
+            nextLoggedQuarter = Math.floor(fraction * 4) + 1;
+        }
+    };
+}
 
 /**
- * Parses the gas_flow_table.csv file.
- * Expects no header and at least 3 columns per row after parsing.
- * Column 2 (index 1) is targetGasFlow, Column 3 (index 2) is durationSeconds.
- * @param {File} file - The gas_flow_table.csv File object.
- * @returns {Promise<Array<Object>>} A promise that resolves with an array of
- * { targetGasFlow: number, durationSeconds: number } objects.
- * Rejects with an error if parsing fails or data is invalid.
+ * Parses a CSV file into an array of objects or rows, streaming it in a Web Worker.
+ * @param {File} file - The File object to parse.
+ * @param {boolean} [hasHeader=false] - Indicates if the CSV has a header row for d3.autoType.
+ * @param {Object} [options] - { onProgress(bytesRead, totalBytes), parseSettings (delimiter/decimal/encoding) }.
+ * @returns {Promise<Array<Object>|Array<Array<string>>>} A promise that resolves with the parsed data.
+ * Rejects with an error if parsing fails.
  */
-export async function parseGasFlowFile(file) {
+export async function parseCsvFile(file, hasHeader = false, { onProgress, parseSettings = DEFAULT_PARSE_SETTINGS } = {}) {
     if (!file) {
-        return Promise.reject(new Error("No gas flow file provided."));
+        throw new Error("No file provided for parsing.");
     }
 
+    const parsedData = [];
     try {
-        // Gas flow table typically does not have a header, as per original app.js and user's sample.
-        const parsedRows = await parseCsvFile(file, false);
+        await runStreamParser('csv_rows', file, { hasHeader, parseSettings }, {
+            onProgress,
+            onRows: (rows) => { for (const row of rows) parsedData.push(row); }
+        });
+    } catch (e) {
+        throw new Error(`Error parsing ${file.name}: ${e.message}`);
+    }
+    return parsedData;
+}
 
-        if (!parsedRows || parsedRows.length === 0) {
-            throw new Error("Gas flow file is empty or could not be parsed into rows.");
-        }
+/**
+ * Parses a time-series sensor file according to a column mapping profile.
+ * The file is streamed in a Web Worker and row objects are built incrementally.
+ * @param {File} file - The time-series File object.
+ * @param {Object} columnMapping - The column mapping profile (see utils/columnMapping.js).
+ * @param {Object} [options] - { onProgress(bytesRead, totalBytes), parseSettings (delimiter/decimal/encoding),
+ * timestampFormat ('auto' or a format id from dateTimeUtils) }.
+ * @returns {Promise<Object>} { rows, headerRow, extraChannels, t0String, t0Milliseconds, timestampFormat, warnings, diagnostics,
+ * parseSettings }.
+ * Rejects if the file cannot be read, the mapping does not fit the file or the timestamp format is unrecognised.
+ */
+export async function parseTimeSeriesFile(file, columnMapping, { onProgress, parseSettings = DEFAULT_PARSE_SETTINGS, timestampFormat = 'auto' } = {}) {
+    if (!file) {
+        throw new Error("No time-series file provided.");
+    }
 
-        const gasFlowData = parsedRows.map((row, index) => {
-            if (!Array.isArray(row) || row.length < 3) { // [cite: 1]
-                console.warn(`Gas flow file: Row ${index + 1} is invalid (expected at least 3 columns). Skipping.`);
-                return null;
-            }
-            // Column 2 (index 1) is targetGasFlow, Column 3 (index 2) is durationSeconds. [cite: 1]
-            const targetGasFlow = parseFloat(row[1]); // [cite: 1]
-            const durationSeconds = parseFloat(row[2]); // [cite: 1]
+    const rows = [];
+    const result = await runStreamParser('time_series', file, { columnMapping, parseSettings, timestampFormat }, {
+        onProgress,
+        onRows: (batch) => { for (const row of batch) rows.push(row); }
+    });
+    return { ...result, rows };
+}
 
-            if (isNaN(targetGasFlow) || isNaN(durationSeconds)) { // [cite: 1]
-                console.warn(`Gas flow file: Row ${index + 1} contains non-numeric data in required columns (cols 2 or 3). Skipping.`);
-                return null;
-            }
-            return { targetGasFlow, durationSeconds }; // [cite: 1]
-        }).filter(r => r !== null); // [cite: 1]
 
-        if (gasFlowData.length === 0) { // [cite: 1]
-            throw new Error("No valid data parsed from gas flow file. Check file format and content.");
-        }
-        // console.log("Parsed Gas Flow Data (in service):", gasFlowData); // Optional: for debugging
-        return gasFlowData;
-    } catch (e) {
-        // Catch errors from parseCsvFile or thrown within this function
-        throw new Error(`Failed to parse gas flow file (${file.name}): ${e.message}`); // [cite: 1]
+/**
+ * Builds the steps of a headerless gas flow table from its parsed rows.
+ * Column 1 (index 0) is the balance line flow (balanceFlow), Column 2 (index 1) is targetGasFlow,
+ * Column 3 (index 2) is durationSeconds.
+ * @param {Array<Array<string>>} parsedRows - The rows from parseCsvFile.
+ * @param {string} decimalSeparator - '.' or ','.
+ * @param {Object} diagnostics - A collector from createDiagnosticsCollector that records accepted and skipped rows.
+ * @returns {Array<Object>} { balanceFlow: number, targetGasFlow: number, durationSeconds: number } objects
+ * (balanceFlow is NaN if not numeric).
+ * @throws {Error} If there are no rows or no valid steps.
+ */
+function buildGasFlowSteps(parsedRows, decimalSeparator, diagnostics) {
+    if (!parsedRows || parsedRows.length === 0) {
+        throw new Error("Gas flow file is empty or could not be parsed into rows.");
     }
-}
 
+    const gasFlowData = parsedRows.map((row, index) => {
+        if (!Array.isArray(row) || row.length < 3) { // [cite: 1]
+            diagnostics.skip(index + 1, `Expected at least 3 columns, got ${Array.isArray(row) ? row.length : 0}`);
+            return null;
+        }
+        // Column 2 (index 1) is targetGasFlow, Column 3 (index 2) is durationSeconds. [cite: 1]
+        const targetGasFlow = parseLocaleNumber(row[1], decimalSeparator); // [cite: 1]
+        const durationSeconds = parseLocaleNumber(row[2], decimalSeparator); // [cite: 1]
+        const balanceFlow = parseLocaleNumber(row[0], decimalSeparator);
+
+        if (isNaN(targetGasFlow) || isNaN(durationSeconds)) { // [cite: 1]
+            diagnostics.skip(index + 1, 'Non-numeric data in required columns (cols 2 or 3)');
+            return null;
+        }
+        diagnostics.accept();
+        return { balanceFlow, targetGasFlow, durationSeconds }; // [cite: 1]
+    }).filter(r => r !== null); // [cite: 1]
 
+    if (gasFlowData.length === 0) { // [cite: 1]
+        throw new Error("No valid data parsed from gas flow file. Check file format and content.");
+    }
+    return gasFlowData;
+}
 
 /**
  * Parses a single impedance spectroscopy CSV file.
- * - Extracts timestamp from filename (format: __IS_DD_MM_YYYY hh_mm_ss(.ms?).csv).
- * - Skips initial metadata lines until a header "frequency (hz)" is found,
+ * - Extracts timestamp from filename (e.g. __IS_DD_MM_YYYY hh_mm_ss(.ms?).csv, __IS_YYYY-MM-DDThh-mm-ss.csv
+ * or __IS_<epoch>.csv), interpreted with the given timestamp format.
+ * - Collects the instrument metadata lines (key/value pairs) until a column header row is found,
  * OR attempts to find the first fully numeric data row if header is missing.
- * - Expects data columns: frequency, angle, impedance (based on user sample).
+ * - Detects |Z|/phase, Z'/Z'' and admittance columns from the header (fixed order frequency, angle, impedance
+ * without one) and converts every point to complex impedance.
+ * The file content is streamed in a Web Worker.
  *
  * @param {File} fileObject - The File object to parse.
  * @param {string} effectiveName - The effective name of the file (often original name for spectroscopy).
+ * @param {Object} [options] - { onProgress(bytesRead, totalBytes), parseSettings (delimiter/decimal/encoding),
+ * timestampFormat ('auto' or a format id from dateTimeUtils) }.
  * @returns {Promise<Object|null>} A promise that resolves with an object containing
- * { fileName (original), effectiveName, timestamp, frequencies, impedances, phases},
- * or null if critical parsing steps fail (will reject promise for file read errors).
+ * { fileName (original), effectiveName, timestamp, frequencies, impedances (|Z|), phases (deg), zReal, zImag,
+ * columnLayout, metadata, parseSettings},
+ * or null if critical parsing steps fail (will reject promise for file read errors or an unrecognised filename timestamp).
  */
-export function parseSpectroscopyFile(fileObject, effectiveName) {
-    return new Promise((resolve, reject) => {
-        if (!fileObject) {
-            reject(new Error("No spectroscopy file object provided."));
-            return;
-        }
-
-        const originalFileName = fileObject.name;
-        const currentEffectiveFileName = effectiveName || originalFileName;
-
-        // Timestamp extraction from filename (similar to original)
-        const timestampMatch = originalFileName.match(/__IS_(\d{2})_(\d{2})_(\d{4}) (\d{2})_(\d{2})_(\d{2}(?:\.\d*)?)\.csv$/i);
-        let fileTimestamp = null;
-        if (timestampMatch) {
-            const day = parseInt(timestampMatch[1], 10);
-            const month = parseInt(timestampMatch[2], 10) - 1; // JS months 0-indexed
-            const year = parseInt(timestampMatch[3], 10);
-            const hour = parseInt(timestampMatch[4], 10);
-            const minute = parseInt(timestampMatch[5], 10);
-            const secParts = timestampMatch[6].split('.');
-            const second = parseInt(secParts[0], 10);
-            const millisecond = secParts[1] ? parseInt(secParts[1].padEnd(3, '0').substring(0, 3), 10) : 0;
+export async function parseSpectroscopyFile(fileObject, effectiveName, { onProgress, parseSettings = DEFAULT_PARSE_SETTINGS, timestampFormat = 'auto' } = {}) {
+    if (!fileObject) {
+        throw new Error("No spectroscopy file object provided.");
+    }
 
-            fileTimestamp = new Date(year, month, day, hour, minute, second, millisecond);
-            if (isNaN(fileTimestamp.getTime())) {
-                console.warn(`Could not parse valid date from filename: ${originalFileName}. Using null timestamp.`);
-                fileTimestamp = null;
-            }
-        } else {
-            console.warn(`Timestamp pattern not found in filename: ${originalFileName}. Using file modification date as fallback.`);
-            fileTimestamp = new Date(fileObject.lastModified);
+    const originalFileName = fileObject.name;
+    const currentEffectiveFileName = effectiveName || originalFileName;
+
+    // Timestamp extraction from filename, using the timestamp format registry
+    const fileNameTimestamp = extractFileNameTimestamp(originalFileName);
+    let fileTimestamp = null;
+    let timestampNotice = null;
+    if (fileNameTimestamp) {
+        // Self-describing names (e.g. ISO 8601) carry their own format
+        const detection = detectTimestampFormat([fileNameTimestamp.text], fileNameTimestamp.formatId || timestampFormat);
+        if (!detection.formatId) {
+            throw new Error(`${currentEffectiveFileName}: ${detection.error}`);
         }
+        timestampNotice = detection.warning;
+        fileTimestamp = parseTimestamp(fileNameTimestamp.text, detection.formatId);
+        if (!fileTimestamp) {
+            console.warn(`Could not parse valid date from filename: ${originalFileName}. Using null timestamp.`);
+        }
+    } else {
+        console.warn(`Timestamp pattern not found in filename: ${originalFileName}. Using file modification date as fallback.`);
+        fileTimestamp = new Date(fileObject.lastModified);
+    }
 
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const fileString = event.target.result;
-                const lines = fileString.split(/\r\n|\n/);
-
-                let dataStartIndex = -1;
-                let headerFound = false;
-                const headerPattern = 'frequency (hz)';
-
-                // Find header or first valid data line
-                for (let i = 0; i < lines.length; i++) {
-                    const trimmedLine = lines[i].trim().toLowerCase();
-                    if (trimmedLine.startsWith(headerPattern)) {
-                        dataStartIndex = i + 1; // Data starts on the next line
-                        headerFound = true;
-                        break;
-                    }
-                }
-
-                if (!headerFound) {
-                    // Fallback: if header "frequency (hz)" is not found,
-                    // try to find the first row that looks like data (3 numeric CSV values)
-                    for (let i = 0; i < lines.length; i++) {
-                        if (lines[i].trim() === '') continue;
-                        const values = lines[i].split(',');
-                        if (values.length >= 3 &&
-                            !isNaN(parseFloat(values[0])) &&
-                            !isNaN(parseFloat(values[1])) &&
-                            !isNaN(parseFloat(values[2]))) {
-                            dataStartIndex = i;
-                            console.warn(`Header "${headerPattern}" not found in ${currentEffectiveFileName}. Attempting to parse data from line ${i + 1} based on numeric content.`);
-                            break;
-                        }
-                    }
-                }
-
-                if (dataStartIndex === -1) {
-                    // If still no data start found, resolve with null as per original implicit behavior for unparsable.
-                    // Consider rejecting for a more explicit error handling in React.
-                    // For now, matching original behavior of potentially returning null.
-                    console.error(`Data table start (marked by '${headerPattern}' or numeric rows) not found in ${currentEffectiveFileName}`);
-                    resolve(null); // Or reject(new Error(...))
-                    return;
-                }
-
-                const frequencies = [];
-                const impedances = [];
-                const phases = [];
-
-                for (let i = dataStartIndex; i < lines.length; i++) {
-                    if (lines[i].trim() === '') continue;
-                    const values = lines[i].split(',');
-
-                    if (values.length >= 3) {
-                        const freq = parseFloat(values[0]);
-                        // Adjusted column order based on user's sample: Freq, Angle, Z
-                        const angle = parseFloat(values[1]);
-                        const z = parseFloat(values[2]);
-
-                        if (!isNaN(freq) && !isNaN(angle) && !isNaN(z)) {
-                            frequencies.push(freq);
-                            phases.push(angle); // Storing angle in phases array
-                            impedances.push(z); // Storing Z in impedances array
-                        } else {
-                            // console.warn(`Skipping non-numeric data row in ${currentEffectiveFileName} at line ${i+1}: ${lines[i]}`);
-                        }
-                    }
-                }
-
-                if (frequencies.length === 0) {
-                    console.warn(`No valid data rows found in ${currentEffectiveFileName} after data start index.`);
-                    resolve(null); // Or reject
-                    return;
-                }
-
-                resolve({
-                    fileName: originalFileName,
-                    effectiveName: currentEffectiveFileName,
-                    timestamp: fileTimestamp,
-                    frequencies,
-                    impedances,
-                    phases
-                });
+    let parsed;
+    try {
+        parsed = await runStreamParser('spectroscopy', fileObject, { parseSettings }, { onProgress });
+    } catch (e) {
+        console.error(`Error processing content of spectroscopy file ${currentEffectiveFileName}:`, e);
+        throw new Error(`Error processing content of ${currentEffectiveFileName}: ${e.message}`);
+    }
 
-            } catch (e) {
-                console.error(`Error processing content of spectroscopy file ${currentEffectiveFileName}:`, e);
-                reject(new Error(`Error processing content of ${currentEffectiveFileName}: ${e.message}`));
-            }
-        };
+    if (!parsed) {
+        // Matching original behavior of returning null for files without a data table.
+        console.error(`Data table start (marked by 'frequency (hz)' or numeric rows) not found in ${currentEffectiveFileName}`);
+        return null;
+    }
+    parsed.warnings.forEach(warning => console.warn(`${currentEffectiveFileName}: ${warning}`));
+    if (timestampNotice) parsed.diagnostics.notices.push(`File name timestamp: ${timestampNotice}`);
+
+    return {
+        fileName: originalFileName,
+        effectiveName: currentEffectiveFileName,
+        timestamp: fileTimestamp,
+        frequencies: parsed.frequencies,
+        impedances: parsed.impedances,
+        phases: parsed.phases,
+        zReal: parsed.zReal,
+        zImag: parsed.zImag,
+        columnLayout: parsed.columnLayout,
+        metadata: parsed.metadata,
+        diagnostics: parsed.diagnostics,
+        parseSettings: parsed.parseSettings
+    };
+}
 
-        reader.onerror = (errorEvent) => {
-            console.error(`FileReader error for ${currentEffectiveFileName}:`, errorEvent);
-            reject(new Error(`FileReader error for ${currentEffectiveFileName}.`));
-        };
 
-        reader.readAsText(fileObject);
+/**
+ * Ranks the registered format detectors (see formatDetection.js) against the first lines of a file.
+ * @param {File} file - The file to inspect.
+ * @param {Object} [parseSettings=DEFAULT_PARSE_SETTINGS] - Delimiter/decimal/encoding settings ('auto' fields are sniffed).
+ * @returns {Promise<Array<{id: string, label: string, parser: string, score: number}>>} The guesses, best first.
+ * Empty if no detector recognises the file.
+ */
+export async function rankFileFormats(file, parseSettings = DEFAULT_PARSE_SETTINGS) {
+    if (!file) {
+        return [];
+    }
+    let settings;
+    let fileSample;
+    try {
+        settings = await sniffParseSettings(file, parseSettings);
+        fileSample = await readDecodedFileSample(file, settings.encoding); // Only the first 64 KB, not the whole file
+    } catch (e) {
+        console.error("Error during file content read for format detection:", e);
+        throw new Error("Could not read file for format detection.");
+    }
+    const lines = fileSample.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, FORMAT_SAMPLE_LINES);
+    const rows = lines.map(line => line.split(settings.delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+    return scoreFormatDetectors({
+        fileName: file.name,
+        lines,
+        rows,
+        delimiter: settings.delimiter,
+        decimalSeparator: settings.decimalSeparator
     });
 }
 
-
 /**
- * Detects analysis type ('spectroscopy' or 'time_series') by reading file content.
- * @param {File} file - The file to inspect.
- * @returns {Promise<string|null>} A promise that resolves with the detected type or null.
+ * Parses a gas program: either the legacy headerless gas_flow_table.csv (see buildGasFlowSteps) or a headered
+ * table with a duration column, an optional step type (step|ramp) and one flow column per mass flow controller,
+ * e.g. "step,duration_s,type,NO2 (10 ppm),H2O (100 %RH),N2 (carrier)" (see parseGasProgramHeader).
+ * @param {File} file - The gas program File object.
+ * @param {Object} [parseSettings=DEFAULT_PARSE_SETTINGS] - Delimiter/decimal/encoding settings ('auto' fields are sniffed).
+ * Row numbers in the warnings and diagnostics count non-empty rows.
+ * @returns {Promise<Object>} { format: 'legacy', steps: [{ balanceFlow, targetGasFlow, durationSeconds }], diagnostics } or
+ * { format: 'headered', channels, steps: [{ durationSeconds, type, flows: { channelName: flow } }], warnings, diagnostics }.
+ * Rejects if the file cannot be parsed or contains no valid steps.
  */
-export function detectAnalysisTypeFromFile(file) { // Renamed to avoid conflict if we need a broader one later
-    return new Promise((resolve, reject) => {
-        if (!file) {
-            resolve(null);
+export async function parseGasProgramFile(file, parseSettings = DEFAULT_PARSE_SETTINGS) {
+    if (!file) {
+        throw new Error("No gas flow file provided.");
+    }
+
+    const settings = await sniffParseSettings(file, parseSettings);
+    const parsedRows = await parseCsvFile(file, false, { parseSettings: settings });
+    const firstRow = parsedRows[0] || [];
+    const hasHeader = firstRow.some(cell => String(cell).trim() !== '' && isNaN(parseLocaleNumber(cell, settings.decimalSeparator)));
+    const diagnostics = createDiagnosticsCollector();
+    if (!hasHeader) {
+        // The rows are already read, so build the steps from them rather than streaming the file again
+        let steps;
+        try {
+            steps = buildGasFlowSteps(parsedRows, settings.decimalSeparator, diagnostics);
+        } catch (e) {
+            throw new Error(`Failed to parse gas flow file (${file.name}): ${e.message}`);
+        }
+        return {
+            format: 'legacy',
+            steps,
+            diagnostics: diagnostics.toObject({ 'Parse settings': describeParseSettings(settings), 'Format': 'Headerless gas flow table' })
+        };
+    }
+
+    const header = parseGasProgramHeader(firstRow);
+    if (!header) {
+        throw new Error(`Failed to parse gas flow file (${file.name}): the header needs a duration column (e.g. "duration_s") and at least one flow column.`);
+    }
+    if (header.channels.every(channel => channel.isCarrier)) {
+        throw new Error(`Failed to parse gas flow file (${file.name}): no flow column has a cylinder concentration (e.g. "NO2 (10 ppm)").`);
+    }
+
+    const warnings = [];
+    const steps = [];
+    parsedRows.slice(1).forEach((row, index) => {
+        const lineNumber = index + 2;
+        const durationSeconds = parseLocaleNumber(row[header.durationColumn], settings.decimalSeparator) * header.durationScale;
+        if (isNaN(durationSeconds) || durationSeconds < 0) {
+            warnings.push(`Row ${lineNumber}: invalid duration "${row[header.durationColumn] ?? ''}". Skipped.`);
+            diagnostics.skip(lineNumber, `Invalid duration "${row[header.durationColumn] ?? ''}"`);
             return;
         }
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const fileString = event.target.result;
-                const lines = fileString.split(/\r\n|\n/).slice(0, 20); // Read first 20 lines
-                for (const line of lines) {
-                    const lowerLine = line.toLowerCase();
-                    if (lowerLine.includes('frequency (hz)') &&
-                        (lowerLine.includes('z') || lowerLine.includes('impedance')) &&
-                        lowerLine.includes('angle')) {
-                        resolve('spectroscopy');
-                        return;
-                    }
-                }
-                resolve('time_series'); // Default if spectroscopy markers not found
-            } catch (e) {
-                console.error("Error during file content read for type detection:", e);
-                reject(new Error("Could not read file for type detection."));
+        const typeText = header.typeColumn !== -1 ? String(row[header.typeColumn] ?? '').trim().toLowerCase() : '';
+        if (typeText !== '' && !['step', 'ramp'].includes(typeText)) {
+            warnings.push(`Row ${lineNumber}: unknown step type "${typeText}", treated as a step.`);
+        }
+        const flows = {};
+        header.channels.forEach(channel => {
+            const flow = parseLocaleNumber(row[channel.column], settings.decimalSeparator);
+            if (isNaN(flow) && String(row[channel.column] ?? '').trim() !== '') {
+                warnings.push(`Row ${lineNumber}: non-numeric flow "${row[channel.column]}" for ${channel.name}, using 0.`);
             }
-        };
-        reader.onerror = (e) => {
-            console.error("FileReader error for type detection:", e);
-            reject(new Error("FileReader error during type detection."));
-        };
-        reader.readAsText(file);
+            flows[channel.name] = isNaN(flow) ? 0 : flow;
+        });
+        steps.push({ durationSeconds, type: typeText === 'ramp' ? 'ramp' : 'step', flows });
+        diagnostics.accept();
     });
-}
\ No newline at end of file
+
+    if (steps.length === 0) {
+        throw new Error(`Failed to parse gas flow file (${file.name}): no valid steps found.`);
+    }
+    return {
+        format: 'headered',
+        channels: header.channels,
+        steps,
+        warnings,
+        diagnostics: diagnostics.toObject({
+            'Parse settings': describeParseSettings(settings),
+            'Format': 'Headered gas program',
+            'Channels': header.channels.map(c => (c.isCarrier ? `${c.name} (carrier)` : `${c.name} (${c.cylinderConc} ${c.unit})`)).join(', ')
+        })
+    };
+}
@@ -1,5 +1,9 @@
 // src/services/spectroscopyAnalysisService.js
-import { parseSpectroscopyFile } from './fileParserService.js'; // We created this earlier
+import { parseSpectroscopyFile, createReadProgressReporter } from './fileParserService.js'; // We created this earlier
+import { DEFAULT_PARSE_SETTINGS, describeParseSettings } from '../utils/localeDetection.js';
+import { detectTimestampFormat, extractFileNameTimestamp, getTimestampFormats } from '../utils/dateTimeUtils.js';
+import { getChangedMetadataKeys } from '../utils/instrumentMetadata.js';
+import { createFileDiagnostics } from '../utils/parseDiagnostics.js';
 
 // Helper function to simulate progress updates
 const updateOverallProgress = (current, total, setProgressBarValue) => {
@@ -10,10 +14,11 @@ const updateOverallProgress = (current, total, setProgressBarValue) => {
 /**
  * Orchestrates the entire impedance spectroscopy data analysis process.
  * @param {Array<Object>} categorizedSpectroscopyFiles - Files identified for spectroscopy analysis.
- * @param {Object} currentConfig - The application configuration (not heavily used by spectroscopy in original).
+ * @param {Object} currentConfig - The application configuration (spectroscopy uses parseSettings and timestampFormat).
  * @param {Function} addLogMsg - Function to add messages to the processing log.
  * @param {Function} setProgressVal - Function to update the progress bar value.
  * @param {Function} setSpectroscopyDataResult - Function to set the final processed spectroscopy data.
+ * @param {Function} [setParseDiagnosticsResult] - Function to set the per-file parse diagnostics (see utils/parseDiagnostics.js).
  * @returns {Promise<boolean>} True if processing was successful, false otherwise.
  */
 export async function runSpectroscopyAnalysis(
@@ -21,13 +26,15 @@ export async function runSpectroscopyAnalysis(
     currentConfig, // Kept for consistency, though original spectroscopy didn't use much from main config
     addLogMsg,
     setProgressVal,
-    setSpectroscopyDataResult
+    setSpectroscopyDataResult,
+    setParseDiagnosticsResult = () => {}
 ) {
     addLogMsg('Starting Spectroscopy Analysis Orchestration...');
     let overallStep = 0;
     let totalOverallSteps = categorizedSpectroscopyFiles.length; // Main steps are per file
     updateOverallProgress(overallStep, totalOverallSteps, setProgressVal);
 
+    const parseDiagnostics = []; // One entry per file, reported even if the analysis fails
     try {
         if (!categorizedSpectroscopyFiles || categorizedSpectroscopyFiles.length === 0) {
             addLogMsg('No spectroscopy files to process.', 'warn');
@@ -39,13 +46,17 @@ export async function runSpectroscopyAnalysis(
 
         const processedSpectroscopyCollections = await processAllSpectroscopyFiles(
             categorizedSpectroscopyFiles,
+            currentConfig.parseSettings || DEFAULT_PARSE_SETTINGS,
+            currentConfig.timestampFormat || 'auto',
             addLogMsg,
             (completedFiles) => { // Progress callback
                 updateOverallProgress(completedFiles, totalOverallSteps, setProgressVal);
-            }
+            },
+            parseDiagnostics
         );
 
         setSpectroscopyDataResult(processedSpectroscopyCollections);
+        setParseDiagnosticsResult(parseDiagnostics);
         addLogMsg('All spectroscopy sensor files processed successfully.');
         // overallStep = totalOverallSteps; // Mark as complete by progress callback
         // updateOverallProgress(overallStep, totalOverallSteps, setProgressVal); // Ensure 100%
@@ -56,6 +67,7 @@ export async function runSpectroscopyAnalysis(
         addLogMsg(`Error during spectroscopy analysis: ${error.message}`, 'error');
         console.error("Spectroscopy Analysis Error:", error);
         setSpectroscopyDataResult([]); // Clear data on error
+        setParseDiagnosticsResult(parseDiagnostics);
         return false; // Indicate failure
     }
 }
@@ -67,12 +79,37 @@ export async function runSpectroscopyAnalysis(
  */
 async function processAllSpectroscopyFiles(
     spectroscopyFileItems, // categorizedFileItems of type 'spectroscopy'
+    parseSettings, // Delimiter/decimal/encoding settings from config ('auto' fields are sniffed per file)
+    timestampFormat, // 'auto' or a format id from dateTimeUtils, used for the filename timestamps
     addLogMsg,
-    reportFileProgress // Callback: (completedCount) => void
+    reportFileProgress, // Callback: (completedCount) => void, fractional while a file is being read
+    parseDiagnostics = [] // Receives one diagnostics entry per file
 ) {
     const allProcessedData = [];
     let t0Milliseconds = null; // For calculating relativeTimeMin
 
+    // Detect the filename timestamp format over the whole batch: one unambiguous name (e.g. day 16) settles DD/MM
+    let filenameTimestampFormat = timestampFormat;
+    let filenameTimestampNotice = null; // Recorded in the diagnostics of every file read with an ambiguous format
+    const filenameTimestamps = spectroscopyFileItems
+        .map(item => extractFileNameTimestamp(item.originalName || item.originalFile.name))
+        .filter(extracted => extracted !== null && extracted.formatId === null) // Self-describing names need no detection
+        .map(extracted => extracted.text);
+    if (filenameTimestamps.length > 0) {
+        const detection = detectTimestampFormat(filenameTimestamps, timestampFormat);
+        if (detection.formatId) {
+            filenameTimestampFormat = detection.formatId;
+            const formatLabel = getTimestampFormats().find(f => f.id === detection.formatId).label;
+            addLogMsg(`Filename timestamps: ${formatLabel} (${timestampFormat === 'auto' ? 'detected' : 'manual'}).`);
+            if (detection.warning) {
+                addLogMsg(`Filename timestamps: ${detection.warning}`, 'warn');
+                filenameTimestampNotice = `File name timestamp: ${detection.warning}`;
+            }
+        } else {
+            addLogMsg(`Filename timestamps: ${detection.error}`, 'error');
+        }
+    }
+
     for (let i = 0; i < spectroscopyFileItems.length; i++) {
         const fileItem = spectroscopyFileItems[i];
         // effectiveName is important for spectroscopy as it might not have sensor numbers
@@ -82,8 +119,32 @@ async function processAllSpectroscopyFiles(
 
         // parseSpectroscopyFile is already in fileParserService.js
         // It expects (fileObject, effectiveName)
-        const parsedData = await parseSpectroscopyFile(fileItem.originalFile, effectiveFileName);
+        let parsedData;
+        try {
+            parsedData = await parseSpectroscopyFile(fileItem.originalFile, effectiveFileName, {
+                parseSettings,
+                timestampFormat: filenameTimestampFormat,
+                onProgress: createReadProgressReporter(fileItem.originalFile, addLogMsg, (fraction) => reportFileProgress(i + fraction))
+            });
+        } catch (parseError) {
+            addLogMsg(`Skipped ${effectiveFileName}: ${parseError.message}`, 'error');
+            parseDiagnostics.push(createFileDiagnostics(effectiveFileName, 'spectroscopy', null, parseError.message));
+            reportFileProgress(i + 1);
+            continue;
+        }
 
+        if (!parsedData) {
+            parseDiagnostics.push(createFileDiagnostics(effectiveFileName, 'spectroscopy', null, 'No data table found'));
+        } else if (!parsedData.timestamp) {
+            parseDiagnostics.push(createFileDiagnostics(effectiveFileName, 'spectroscopy', null, 'No valid sweep time in the file name'));
+        } else {
+            const extracted = extractFileNameTimestamp(fileItem.originalName || fileItem.originalFile.name);
+            const readWithBatchFormat = filenameTimestampNotice && extracted && extracted.formatId === null;
+            parseDiagnostics.push(createFileDiagnostics(effectiveFileName, 'spectroscopy', parsedData.diagnostics, null, readWithBatchFormat ? [filenameTimestampNotice] : []));
+        }
+        if (parsedData && parsedData.parseSettings) {
+            addLogMsg(`${effectiveFileName}: ${describeParseSettings(parsedData.parseSettings)}, columns ${parsedData.columnLayout}.`);
+        }
         if (parsedData && parsedData.timestamp) {
             if (t0Milliseconds === null) {
                 t0Milliseconds = parsedData.timestamp.getTime();
@@ -92,7 +153,7 @@ async function processAllSpectroscopyFiles(
             const relativeTimeMin = relativeTimeMs / (1000 * 60);
 
             allProcessedData.push({
-                ...parsedData, // includes fileName, effectiveName, timestamp, frequencies, impedances, phases
+                ...parsedData, // includes fileName, effectiveName, timestamp, frequencies, impedances, phases, zReal, zImag
                 relativeTimeMin: relativeTimeMin
             });
             addLogMsg(`Completed processing: ${effectiveFileName}`);
@@ -104,5 +165,16 @@ async function processAllSpectroscopyFiles(
 
     // Sort by relativeTimeMin, as per original logic [cite: 273]
     allProcessedData.sort((a, b) => a.relativeTimeMin - b.relativeTimeMin);
+
+    // Report instrument setting changes between consecutive sweeps
+    for (let i = 1; i < allProcessedData.length; i++) {
+        const previousMetadata = allProcessedData[i - 1].metadata;
+        const currentMetadata = allProcessedData[i].metadata;
+        const changedKeys = getChangedMetadataKeys(previousMetadata, currentMetadata);
+        if (changedKeys.length > 0) {
+            const changes = changedKeys.map(key => `${key}: ${previousMetadata[key] ?? '-'} -> ${currentMetadata[key] ?? '-'}`).join('; ');
+            addLogMsg(`Instrument settings changed at ${allProcessedData[i].effectiveName}: ${changes}`, 'warn');
+        }
+    }
     return allProcessedData;
 }
\ No newline at end of file
@@ -0,0 +1,374 @@
+// src/services/streamingParsers.js
+// Incremental (line-by-line) parsers shared by the parser Web Worker and the main-thread fallback.
+// Each parser reads its File with File.stream(), reports byte progress through onProgress and
+// hands finished row objects to onRows in batches, so a whole file is never held as one string.
+import { dsvFormat, autoType } from 'd3';
+import { readFileLineBatches } from '../utils/textStreamUtils.js';
+import { detectTimestampFormat, getTimestampFormats, parseTimestamp } from '../utils/dateTimeUtils.js';
+import { DEFAULT_COLUMN_MAPPING, isLikelyHeaderRow, resolveColumnMapping } from '../utils/columnMapping.js';
+import { DEFAULT_PARSE_SETTINGS, sniffParseSettings, parseLocaleNumber, describeParseSettings } from '../utils/localeDetection.js';
+import { addMetadataPairs, parseMetadataLine } from '../utils/instrumentMetadata.js';
+import { LEGACY_SPECTROSCOPY_COLUMNS, detectSpectroscopyColumns, toComplexImpedance } from '../utils/impedanceModel.js';
+import { createDiagnosticsCollector } from '../utils/parseDiagnostics.js';
+
+const ROW_BATCH_SIZE = 5000;
+const MAX_ROW_WARNINGS = 20; // Per file; further warnings are only counted
+const TIMESTAMP_SAMPLE_ROWS = 20; // Data rows inspected to detect the timestamp format
+
+/**
+ * Collects rows and flushes them to onRows in fixed-size batches.
+ * @param {Function} [onRows] - Receives each batch (Array<Object>) of rows.
+ * @returns {{push: Function, flush: Function, count: Function}}
+ */
+const createRowBatcher = (onRows) => {
+    let batch = [];
+    let total = 0;
+    const flush = () => {
+        if (batch.length > 0 && onRows) onRows(batch);
+        batch = [];
+    };
+    return {
+        push: (row) => {
+            batch.push(row);
+            total++;
+            if (batch.length >= ROW_BATCH_SIZE) flush();
+        },
+        flush,
+        count: () => total
+    };
+};
+
+/**
+ * Collects row-level warnings, keeping only the first MAX_ROW_WARNINGS messages.
+ * @returns {{add: Function, summary: Function}}
+ */
+const createWarningCollector = () => {
+    const messages = [];
+    let total = 0;
+    return {
+        add: (message) => {
+            total++;
+            if (messages.length < MAX_ROW_WARNINGS) messages.push(message);
+        },
+        summary: () => {
+            if (total > messages.length) {
+                return [...messages, `${total - messages.length} further row warnings not shown.`];
+            }
+            return messages;
+        }
+    };
+};
+
+/**
+ * Streams a CSV file into rows.
+ * Without a header, rows are arrays of strings (like d3.dsvFormat(",").parseRows);
+ * with a header, rows are objects keyed by header with d3.autoType applied (like d3.csvParse).
+ * Cells are split with the sniffed (or configured) delimiter and decoded with the detected encoding.
+ * @param {File} file - The file to parse.
+ * @param {Object} options - { hasHeader: boolean, parseSettings: Object }.
+ * @param {Object} callbacks - { onProgress, onRows }.
+ * @returns {Promise<Object>} { rowCount, columns, parseSettings }.
+ */
+export async function parseCsvRowsStream(file, { hasHeader = false, parseSettings = DEFAULT_PARSE_SETTINGS } = {}, { onProgress, onRows } = {}) {
+    const settings = await sniffParseSettings(file, parseSettings);
+    const dsv = dsvFormat(settings.delimiter);
+    const batcher = createRowBatcher(onRows);
+    let columns = null;
+
+    for await (const lines of readFileLineBatches(file, { encoding: settings.encoding, onProgress })) {
+        for (const line of lines) {
+            if (line.trim() === '') continue;
+            const cells = dsv.parseRows(line)[0] || [];
+            if (hasHeader && !columns) {
+                columns = cells;
+                continue;
+            }
+            if (hasHeader) {
+                const rowObject = {};
+                columns.forEach((column, index) => { rowObject[column] = cells[index]; });
+                batcher.push(autoType(rowObject));
+            } else {
+                batcher.push(cells);
+            }
+        }
+    }
+    batcher.flush();
+    return { rowCount: batcher.count(), columns, parseSettings: settings };
+}
+
+/**
+ * Streams a time-series sensor file into processed row objects.
+ * Detects a header row, resolves the column mapping and converts each line into
+ * { original_time_s, timestamp_ms, time_s, time_min, impedance, phase, signal, gas_concentration, ...extra channels }.
+ * The timestamp format is detected from the first data rows (or taken from options.timestampFormat).
+ * Relative times are measured from the first data row, as in the original multisensor.js.
+ * Numbers are read with the sniffed (or configured) delimiter and decimal separator.
+ * Rows that are too short or have an unreadable timestamp or impedance are kept as NaN rows and listed as
+ * skipped in the diagnostics.
+ * @param {File} file - The time-series file.
+ * @param {Object} options - { columnMapping, parseSettings, timestampFormat ('auto' or a format id) }.
+ * @param {Object} callbacks - { onProgress, onRows }.
+ * @returns {Promise<Object>} { rowCount, headerRow, extraChannels, t0String, t0Milliseconds, timestampFormat, warnings,
+ * diagnostics, parseSettings }.
+ * @throws {Error} If the column mapping cannot be resolved, the first data row is too short,
+ * or the timestamp format is unrecognised. Ambiguous day/month timestamps are read day-first with a warning.
+ */
+export async function parseTimeSeriesStream(file, {
+    columnMapping = DEFAULT_COLUMN_MAPPING,
+    parseSettings = DEFAULT_PARSE_SETTINGS,
+    timestampFormat = 'auto'
+} = {}, { onProgress, onRows } = {}) {
+    const settings = await sniffParseSettings(file, parseSettings);
+    const { decimalSeparator } = settings;
+    const dsv = dsvFormat(settings.delimiter);
+    const batcher = createRowBatcher(onRows);
+    const warnings = createWarningCollector();
+    const diagnostics = createDiagnosticsCollector();
+    const headerMode = columnMapping.headerMode || 'auto';
+
+    let headerRow = null;
+    let resolvedMapping = null;
+    let timestampFormatId = null;
+    let timestampFormatAmbiguous = false;
+    let t0String = null;
+    let t0Milliseconds = NaN;
+    let lineNumber = 0;
+    const pendingRows = []; // Data rows held back until the timestamp format is known
+
+    const processDataRow = (row, rowLineNumber) => {
+        const { timeColIdx, impedanceColIdx, phaseColIdx, extraChannels, minRequiredCols } = resolvedMapping;
+
+        if (t0String === null) {
+            t0String = row[timeColIdx];
+            const t0Date = parseTimestamp(t0String, timestampFormatId);
+            t0Milliseconds = t0Date ? t0Date.getTime() : NaN;
+            if (isNaN(t0Milliseconds)) {
+                warnings.add(`Initial timestamp "${t0String}" could not be parsed. Relative time calculations for this file will be NaN.`);
+            }
+        }
+
+        if (row.length < minRequiredCols) {
+            warnings.add(`Row ${rowLineNumber} has insufficient columns. Data for this row will be NaN.`);
+            diagnostics.skip(rowLineNumber, `Insufficient columns (expected ${minRequiredCols}, got ${row.length})`);
+            const invalidRow = {
+                original_time_s: row.length > timeColIdx ? row[timeColIdx] : "Invalid Row",
+                timestamp_ms: NaN, time_s: NaN, time_min: NaN, impedance: NaN, phase: NaN, signal: NaN, gas_concentration: NaN
+            };
+            extraChannels.forEach(channel => { invalidRow[channel.key] = NaN; });
+            batcher.push(invalidRow);
+            return;
+        }
+
+        const currentDateString = row[timeColIdx];
+        const currentDate = parseTimestamp(currentDateString, timestampFormatId);
+        const currentMilliseconds = currentDate ? currentDate.getTime() : NaN;
+
+        let relative_time_s = NaN;
+        if (!isNaN(currentMilliseconds) && !isNaN(t0Milliseconds)) {
+            relative_time_s = (currentMilliseconds - t0Milliseconds) / 1000;
+        }
+
+        const processedRow = {
+            original_time_s: currentDateString,
+            timestamp_ms: currentMilliseconds, // Absolute time, for a common time base across sensors
+            time_s: relative_time_s,
+            time_min: relative_time_s / 60,
+            impedance: parseLocaleNumber(row[impedanceColIdx], decimalSeparator),
+            phase: parseLocaleNumber(row[phaseColIdx], decimalSeparator),
+            signal: NaN, // To be calculated
+            gas_concentration: NaN // To be calculated
+        };
+        extraChannels.forEach(channel => {
+            processedRow[channel.key] = parseLocaleNumber(row[channel.colIdx], decimalSeparator);
+        });
+        if (isNaN(currentMilliseconds)) {
+            diagnostics.skip(rowLineNumber, `Timestamp "${currentDateString}" could not be parsed`);
+        } else if (isNaN(processedRow.impedance)) {
+            diagnostics.skip(rowLineNumber, `Non-numeric impedance "${row[impedanceColIdx]}"`);
+        } else {
+            diagnostics.accept();
+        }
+        batcher.push(processedRow);
+    };
+
+    const resolveTimestampFormatAndFlush = () => {
+        const { timeColIdx, minRequiredCols } = resolvedMapping;
+        const samples = pendingRows
+            .filter(({ row }) => row.length >= minRequiredCols)
+            .map(({ row }) => row[timeColIdx]);
+        const detection = detectTimestampFormat(samples, timestampFormat);
+        if (!detection.formatId) {
+            throw new Error(detection.error);
+        }
+        if (detection.warning) {
+            warnings.add(detection.warning);
+            diagnostics.notice(detection.warning);
+        }
+        timestampFormatId = detection.formatId;
+        timestampFormatAmbiguous = detection.ambiguous;
+        pendingRows.forEach(({ row, lineNumber: rowLineNumber }) => processDataRow(row, rowLineNumber));
+        pendingRows.length = 0;
+    };
+
+    for await (const lines of readFileLineBatches(file, { encoding: settings.encoding, onProgress })) {
+        for (const line of lines) {
+            lineNumber++;
+            if (line.trim() === '') continue;
+            const row = dsv.parseRows(line)[0] || [];
+
+            if (!resolvedMapping) {
+                // First non-empty line: decide on the header row and resolve the mapping against it
+                if (headerMode === 'header' || (headerMode === 'auto' && isLikelyHeaderRow(row))) {
+                    headerRow = row;
+                    resolvedMapping = resolveColumnMapping(columnMapping, headerRow);
+                    continue;
+                }
+                resolvedMapping = resolveColumnMapping(columnMapping, null);
+            }
+
+            if (timestampFormatId !== null) {
+                processDataRow(row, lineNumber);
+                continue;
+            }
+
+            if (pendingRows.length === 0 && row.length < resolvedMapping.minRequiredCols) {
+                throw new Error(`Insufficient columns in first data row (expected ${resolvedMapping.minRequiredCols}, got ${row.length}).`);
+            }
+            pendingRows.push({ row, lineNumber });
+            if (pendingRows.length >= TIMESTAMP_SAMPLE_ROWS) {
+                resolveTimestampFormatAndFlush();
+            }
+        }
+    }
+    if (pendingRows.length > 0) {
+        resolveTimestampFormatAndFlush(); // Short file: fewer rows than the detection sample
+    }
+    batcher.flush();
+
+    return {
+        rowCount: batcher.count(),
+        headerRow,
+        extraChannels: resolvedMapping ? resolvedMapping.extraChannels.map(({ name, key }) => ({ name, key })) : [],
+        t0String,
+        t0Milliseconds,
+        timestampFormat: timestampFormatId,
+        warnings: warnings.summary(),
+        diagnostics: diagnostics.toObject({
+            'Parse settings': describeParseSettings(settings),
+            'Timestamp format': timestampFormatId
+                ? `${getTimestampFormats().find(f => f.id === timestampFormatId).label}${timestampFormatAmbiguous ? ' (ambiguous, not confirmed by the data)' : ''}`
+                : 'none',
+            'Header row': headerRow ? headerRow.join(', ') : 'none'
+        }),
+        parseSettings: settings
+    };
+}
+
+/**
+ * Streams an impedance spectroscopy sweep file.
+ * Skips metadata lines until a header row naming the columns (e.g. "frequency (Hz),ANGLE,Z" or
+ * "Freq,Z',-Z''"), or starts at the first line with three numeric values if no header is present.
+ * Columns are detected from the header names (|Z|/phase, Z'/Z'' or admittance, see utils/impedanceModel.js);
+ * without a recognisable header the original order frequency, angle, |Z| is assumed.
+ * Every row is converted to complex impedance: zReal/zImag plus |Z| (impedances) and phase in degrees (phases).
+ * Instrument settings written above the table (e.g. "drive level: 50.000000E-3V") are kept as metadata.
+ * @param {File} file - The spectroscopy file.
+ * @param {Object} options - { parseSettings }.
+ * @param {Object} callbacks - { onProgress }.
+ * @returns {Promise<Object|null>} { frequencies, impedances, phases, zReal, zImag, columnLayout, metadata,
+ * warnings, diagnostics, parseSettings }, or null if no data table was found.
+ */
+export async function parseSpectroscopyStream(file, { parseSettings = DEFAULT_PARSE_SETTINGS } = {}, { onProgress } = {}) {
+    const settings = await sniffParseSettings(file, parseSettings);
+    const { decimalSeparator } = settings;
+    const dsv = dsvFormat(settings.delimiter);
+    const toNumber = (value) => parseLocaleNumber(value, decimalSeparator);
+    const legacyHeaderPattern = 'frequency (hz)';
+    const warnings = createWarningCollector();
+    const diagnostics = createDiagnosticsCollector();
+    const frequencies = [];
+    const impedances = [];
+    const phases = [];
+    const zReal = [];
+    const zImag = [];
+    const metadata = {}; // Key/value pairs from the lines above the data table
+    let columnLayout = null;
+    let dataStarted = false;
+    let lineNumber = 0;
+
+    const isNumericDataLine = (values) => values.length >= 3 &&
+        !isNaN(toNumber(values[0])) && !isNaN(toNumber(values[1])) && !isNaN(toNumber(values[2]));
+
+    for await (const lines of readFileLineBatches(file, { encoding: settings.encoding, onProgress })) {
+        for (const line of lines) {
+            lineNumber++;
+            if (line.trim() === '') continue;
+            const values = dsv.parseRows(line)[0] || [];
+
+            if (!dataStarted) {
+                const detectedLayout = values.length >= 3 ? detectSpectroscopyColumns(values) : null;
+                if (detectedLayout) {
+                    columnLayout = detectedLayout;
+                    dataStarted = true; // Data starts on the next line
+                    continue;
+                }
+                if (line.trim().toLowerCase().startsWith(legacyHeaderPattern)) {
+                    warnings.add(`Columns of header "${line.trim()}" not recognised. Assuming ${LEGACY_SPECTROSCOPY_COLUMNS.label}.`);
+                    columnLayout = LEGACY_SPECTROSCOPY_COLUMNS;
+                    dataStarted = true;
+                    continue;
+                }
+                if (!isNumericDataLine(values)) {
+                    addMetadataPairs(metadata, parseMetadataLine(line, settings.delimiter));
+                    continue;
+                }
+                // Fallback: no header seen, start at the first row that looks like data
+                warnings.add(`No column header found. Parsing data from line ${lineNumber} based on numeric content, assuming ${LEGACY_SPECTROSCOPY_COLUMNS.label}.`);
+                columnLayout = LEGACY_SPECTROSCOPY_COLUMNS;
+                dataStarted = true;
+            }
+
+            const point = toComplexImpedance(values.map(toNumber), columnLayout);
+            if (point) {
+                frequencies.push(point.frequency);
+                zReal.push(point.zReal);
+                zImag.push(point.zImag);
+                impedances.push(point.magnitude); // |Z|
+                phases.push(point.phaseDeg); // Phase of Z in degrees
+                diagnostics.accept();
+            } else {
+                warnings.add(`Line ${lineNumber}: Missing or non-numeric values. Skipping.`);
+                diagnostics.skip(lineNumber, 'Missing or non-numeric values');
+            }
+        }
+    }
+
+    if (!dataStarted || frequencies.length === 0) {
+        return null;
+    }
+    return {
+        frequencies,
+        impedances,
+        phases,
+        zReal,
+        zImag,
+        columnLayout: columnLayout.label,
+        metadata,
+        warnings: warnings.summary(),
+        diagnostics: diagnostics.toObject({
+            'Parse settings': describeParseSettings(settings),
+            'Columns': columnLayout.label,
+            'Metadata fields': String(Object.keys(metadata).length)
+        }),
+        parseSettings: settings
+    };
+}
+
+/**
+ * Stream parsers by job kind, used by the worker and the main-thread fallback.
+ */
+export const STREAM_PARSERS = {
+    csv_rows: parseCsvRowsStream,
+    time_series: parseTimeSeriesStream,
+    spectroscopy: parseSpectroscopyStream
+};
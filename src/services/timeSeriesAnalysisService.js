@@ -1,8 +1,20 @@
 // src/services/timeSeriesAnalysisService.js
-import { parseGasFlowFile } from './fileParserService.js';
-import { parseCsvFile } from './fileParserService.js'; // Will be used by processAllTimeSeriesFiles
-import { calculateGasConcVsTime, identifyGasExposureEvents, interpolateGasConcentration } from '../utils/gasCalculations.js';
-import { timeStringToMinutes, parseCustomDateTime } from '../utils/dateTimeUtils.js';
+import { parseGasProgramFile, parseTimeSeriesFile, createReadProgressReporter } from './fileParserService.js';
+import {
+    DEFAULT_CHAMBER_MIXING, applyChamberMixing, calculateGasProgramProfiles, calculateMixingTimeConstant, identifyGasExposureEvents,
+    interpolateGasConcentration, roundConcentration, shiftGasExposureEvents, shiftGasProfile, validateDilutionSettings
+} from '../utils/gasCalculations.js';
+import { timeStringToMinutes, getTimestampFormats } from '../utils/dateTimeUtils.js';
+import { DEFAULT_COLUMN_MAPPING } from '../utils/columnMapping.js';
+import { DEFAULT_PARSE_SETTINGS, sniffParseSettings, describeParseSettings } from '../utils/localeDetection.js';
+import { createFileDiagnostics } from '../utils/parseDiagnostics.js';
+import { DEFAULT_DRIFT_CORRECTION, DRIFT_CORRECTION_METHODS, applyDriftCorrection } from '../utils/driftCorrection.js';
+import { resolveSignalDefinition } from '../utils/signalDefinitions.js';
+import { DEFAULT_BASELINE_REFERENCE, applyEventReferences, calculateEventReferences } from '../utils/baselineReference.js';
+import { DEFAULT_CLEANING_SETTINGS, applySignalCleaning, describeCleaningSettings, isCleaningActive } from '../utils/signalCleaning.js';
+import { DEFAULT_GAS_TIMING, estimateGasLag } from '../utils/gasTiming.js';
+import { DEFAULT_SENSOR_QUALITY, assessSensorQuality } from '../utils/sensorQuality.js';
+import { DEFAULT_TIME_BASE, INTERPOLATION_METHODS, TIME_BASE_MODES, createTimeGrid, rebaseRowTimes, resampleRows, resolveExperimentStart } from '../utils/timeBase.js';
 
 // Helper function to simulate progress updates (can be more sophisticated later)
 const updateOverallProgress = (current, total, setProgressBarValue) => {
@@ -10,17 +22,42 @@ const updateOverallProgress = (current, total, setProgressBarValue) => {
     setProgressBarValue(Math.min(100, Math.max(0, percentage)));
 };
 
+/**
+ * Builds the row column name for a gas of a multi-channel gas program, e.g. "H2O" -> "gas_h2o".
+ * @param {string} gasName - The channel name.
+ * @param {Set<string>} usedKeys - Keys already taken (updated).
+ * @returns {string} A unique row key.
+ */
+const toGasRowKey = (gasName, usedKeys) => {
+    const baseKey = `gas_${String(gasName).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'channel'}`;
+    let key = baseKey;
+    for (let n = 2; usedKeys.has(key); n++) key = `${baseKey}_${n}`;
+    usedKeys.add(key);
+    return key;
+};
+
 
 /**
  * Orchestrates the entire time-series data analysis process.
  * @param {Array<Object>} categorizedTimeSeriesFiles - Files identified for time-series analysis.
  * @param {File|null} gasFlowFileObject - The gas_flow_table.csv file, if present.
- * @param {Object} currentConfig - The application configuration.
+ * @param {Object} currentConfig - The application configuration, including the time-series
+ * `columnMapping` profile (see utils/columnMapping.js), the `chamberMixing` model (see utils/gasCalculations.js),
+ * the `gasTiming` settings (see utils/gasTiming.js),
+ * the `timeBase` settings (see utils/timeBase.js),
+ * the `cleaning` settings (see utils/signalCleaning.js),
+ * the `driftCorrection` settings (see utils/driftCorrection.js),
+ * the `signalDefinition` (see utils/signalDefinitions.js), the `baselineReference` mode (see utils/baselineReference.js)
+ * and the `sensorQuality` thresholds (see utils/sensorQuality.js).
  * @param {Function} addLogMsg - Function to add messages to the processing log.
  * @param {Function} setProgressVal - Function to update the progress bar value.
  * @param {Function} setTimeSeriesDataResult - Function to set the final processed time-series data.
- * @param {Function} setGasConcProfileResult - Function to set the calculated gas concentration profile.
+ * @param {Function} setGasConcProfileResult - Function to set the calculated gas concentration profile (first gas).
  * @param {Function} updateAppConfig - Function to update parts of the global config (e.g., gasExposureEvents).
+ * @param {Function} [setGasConcProfilesResult] - Function to set the profiles of all gases of the gas program:
+ * [{ gas, unit, cylinderConc, label, rowKey, profile, events }]. rowKey is the column added to each sensor row
+ * ("gas_concentration" for the first gas).
+ * @param {Function} [setParseDiagnosticsResult] - Function to set the per-file parse diagnostics (see utils/parseDiagnostics.js).
  * @returns {Promise<boolean>} True if processing was successful, false otherwise.
  */
 export async function runTimeSeriesAnalysis(
@@ -31,7 +68,9 @@ export async function runTimeSeriesAnalysis(
     setProgressVal,
     setTimeSeriesDataResult,
     setGasConcProfileResult,
-    updateAppConfig // For updating config.gasExposureEvents
+    updateAppConfig, // For updating config.gasExposureEvents
+    setGasConcProfilesResult = () => {},
+    setParseDiagnosticsResult = () => {}
 ) {
     addLogMsg('Starting Time-Series Analysis Orchestration...');
     let overallStep = 0;
@@ -39,16 +78,25 @@ export async function runTimeSeriesAnalysis(
     let totalOverallSteps = 1 + categorizedTimeSeriesFiles.length + (gasFlowFileObject ? 2 : 0);
     updateOverallProgress(overallStep, totalOverallSteps, setProgressVal);
 
+    const parseDiagnostics = []; // One entry per file, reported even if the analysis fails
     try {
         // --- Step 1 (from original app.js): Process Gas Flow Table (if present) ---
-        let calculatedGasConcProfile = [];
+        let calculatedGasProfiles = [];
         let gasExposureEvents = [];
         let gasFlowSuccessfullyProcessed = !gasFlowFileObject; // True if no file to process
 
         if (gasFlowFileObject) {
             addLogMsg(`Parsing gas flow table: ${gasFlowFileObject.name}...`);
             try {
-                const parsedGasFlow = await parseGasFlowFile(gasFlowFileObject); // From fileParserService
+                const gasFlowParseSettings = await sniffParseSettings(gasFlowFileObject, currentConfig.parseSettings);
+                addLogMsg(`${gasFlowFileObject.name}: ${describeParseSettings(gasFlowParseSettings)}.`);
+                const gasProgram = await parseGasProgramFile(gasFlowFileObject, gasFlowParseSettings); // From fileParserService
+                parseDiagnostics.push(createFileDiagnostics(gasFlowFileObject.name, 'gas_program', gasProgram.diagnostics));
+                if (gasProgram.format === 'headered') {
+                    const channelList = gasProgram.channels.map(c => (c.isCarrier ? `${c.name} (carrier)` : `${c.name} (${c.cylinderConc} ${c.unit})`));
+                    addLogMsg(`Gas program with ${gasProgram.steps.length} steps (${gasProgram.steps.filter(step => step.type === 'ramp').length} ramps); channels: ${channelList.join(', ')}.`);
+                    gasProgram.warnings.forEach(warning => addLogMsg(`Warning: ${gasFlowFileObject.name}: ${warning}`, 'warn'));
+                }
                 addLogMsg('Gas flow table parsed. Calculating concentration profile...');
                 overallStep++; updateOverallProgress(overallStep, totalOverallSteps, setProgressVal);
 
@@ -56,34 +104,77 @@ export async function runTimeSeriesAnalysis(
                 const configForCalc = {
                     ...currentConfig,
                     gasConcCyl2: parseFloat(currentConfig.gasConcCyl2),
+                    gasConcCyl1: parseFloat(currentConfig.gasConcCyl1),
                     totalFlowrate: parseFloat(currentConfig.totalFlowrate)
                 };
-                if (isNaN(configForCalc.gasConcCyl2)) {
-                     throw new Error("Invalid 'Initial Target Gas Concentration' for gas profile calculation.");
+                if (gasProgram.format === 'legacy') {
+                    const dilutionProblems = validateDilutionSettings(configForCalc);
+                    if (dilutionProblems.length > 0) {
+                        throw new Error(`Invalid gas dilution settings: ${dilutionProblems.join(' ')}`);
+                    }
+                    if (configForCalc.gasConcCyl1 > 0) {
+                        addLogMsg(`Two-cylinder dilution: ${configForCalc.gasConcCyl2} ppm on the target line, ${configForCalc.gasConcCyl1} ppm on the balance line, ${configForCalc.totalFlowrate} sccm total.`);
+                    }
                 }
 
 
-                calculatedGasConcProfile = calculateGasConcVsTime(parsedGasFlow, configForCalc); // From gasCalculations.js
-                setGasConcProfileResult(calculatedGasConcProfile); // Update context
-                addLogMsg('Gas concentration profile calculated.');
+                const usedRowKeys = new Set(['gas_concentration']);
+                calculatedGasProfiles = calculateGasProgramProfiles(gasProgram, configForCalc).map((gasProfile, i) => ({ // From gasCalculations.js
+                    ...gasProfile,
+                    label: gasProgram.format === 'legacy' ? currentConfig.gasConcentrationLabel : `${gasProfile.gas} (${gasProfile.unit})`,
+                    rowKey: i === 0 ? 'gas_concentration' : toGasRowKey(gasProfile.gas, usedRowKeys),
+                    events: identifyGasExposureEvents(gasProfile.profile).map(event => ({
+                        ...event,
+                        concentration: roundConcentration(event.concentration, currentConfig.gasConcPrecision),
+                        gas: gasProfile.gas
+                    }))
+                }));
+
+                // Chamber mixing: the sensors see the delivered concentration through a first-order lag of τ = V / Q.
+                // Events are found on the delivered steps and moved to the half-response point (τ·ln 2) of the chamber.
+                const chamberMixing = { ...DEFAULT_CHAMBER_MIXING, ...(currentConfig.chamberMixing || {}) };
+                if (chamberMixing.enabled) {
+                    const timeConstantMinutes = calculateMixingTimeConstant(Number(chamberMixing.chamberVolumeMl), Number(configForCalc.totalFlowrate));
+                    if (isNaN(timeConstantMinutes)) {
+                        addLogMsg('Chamber mixing skipped: the chamber volume and the total flow rate must both be positive.', 'warn');
+                    } else {
+                        calculatedGasProfiles = calculatedGasProfiles.map(gasProfile => ({
+                            ...gasProfile,
+                            profile: applyChamberMixing(gasProfile.profile, timeConstantMinutes),
+                            events: shiftGasExposureEvents(gasProfile.events, timeConstantMinutes * Math.LN2),
+                            mixingTimeConstantMinutes: timeConstantMinutes
+                        }));
+                        addLogMsg(`Chamber mixing applied: ${chamberMixing.chamberVolumeMl} mL at ${configForCalc.totalFlowrate} sccm gives τ = ${(timeConstantMinutes * 60).toFixed(1)} s.`);
+                    }
+                }
+                setGasConcProfileResult(calculatedGasProfiles[0].profile); // Update context
+                setGasConcProfilesResult(calculatedGasProfiles);
+                addLogMsg(`Gas concentration profile${calculatedGasProfiles.length > 1 ? `s calculated for ${calculatedGasProfiles.map(p => p.gas).join(', ')}` : ' calculated'}.`);
 
-                gasExposureEvents = identifyGasExposureEvents(calculatedGasConcProfile); // From gasCalculations.js
+                // Exposure events follow the first (target) gas
+                gasExposureEvents = calculatedGasProfiles[0].events;
                 updateAppConfig({ gasExposureEvents: gasExposureEvents }); // Update config in context
-                addLogMsg(`Identified ${gasExposureEvents.length} gas exposure events.`);
+                addLogMsg(`Identified ${gasExposureEvents.length} gas exposure events${calculatedGasProfiles.length > 1 ? ` for ${calculatedGasProfiles[0].gas}` : ''}.`);
                 overallStep++; updateOverallProgress(overallStep, totalOverallSteps, setProgressVal);
                 gasFlowSuccessfullyProcessed = true;
             } catch (gasError) {
                 addLogMsg(`Error processing gas flow table: ${gasError.message}`, 'error');
+                if (!parseDiagnostics.some(entry => entry.kind === 'gas_program')) {
+                    parseDiagnostics.push(createFileDiagnostics(gasFlowFileObject.name, 'gas_program', null, gasError.message));
+                }
                 // Decide if this is a fatal error or if sensor processing can continue without gas profile
                 // For now, let's allow sensor processing to continue but log the error.
                 // Set empty profiles/events if gas flow processing fails
+                calculatedGasProfiles = [];
                 setGasConcProfileResult([]);
+                setGasConcProfilesResult([]);
                 updateAppConfig({ gasExposureEvents: [] });
                 gasFlowSuccessfullyProcessed = false; // Mark as failed
             }
         } else {
             addLogMsg('No gas flow table provided. Gas concentration analysis will be skipped.');
             setGasConcProfileResult([]); // Ensure it's empty
+            setGasConcProfilesResult([]);
             updateAppConfig({ gasExposureEvents: [] }); // Ensure it's empty
         }
         overallStep++; updateOverallProgress(overallStep, totalOverallSteps, setProgressVal);
@@ -96,19 +187,111 @@ export async function runTimeSeriesAnalysis(
             throw new Error(`Invalid Baseline Time format: "${currentConfig.refTimeStr}". Please use HH:MM:SS.s or MM:SS.s.`);
         }
 
-        const processedSensorDataTables = await processAllTimeSeriesFiles(
+        const columnMapping = currentConfig.columnMapping || DEFAULT_COLUMN_MAPPING;
+        addLogMsg(`Using column mapping "${columnMapping.name || 'Unnamed'}" (time: ${columnMapping.time}, impedance: ${columnMapping.impedance}, phase: ${columnMapping.phase}${(columnMapping.extraChannels || []).length > 0 ? `, extra: ${columnMapping.extraChannels.map(c => `${c.name}=${c.column}`).join(', ')}` : ''}).`);
+
+        const timeBase = { ...DEFAULT_TIME_BASE, ...(currentConfig.timeBase || {}) };
+        if (timeBase.resample && !(timeBase.intervalSeconds > 0)) {
+            throw new Error(`Invalid resampling interval "${timeBase.intervalSeconds}". It must be a positive number of seconds.`);
+        }
+        if (timeBase.mode !== 'per_file') {
+            addLogMsg(`Time base: ${TIME_BASE_MODES.find(m => m.value === timeBase.mode).label}${timeBase.mode === 'clock' ? ` (${timeBase.clockTime})` : ''}.`);
+        }
+
+        const cleaning = { ...DEFAULT_CLEANING_SETTINGS, ...(currentConfig.cleaning || {}) };
+        if (isCleaningActive(cleaning)) {
+            addLogMsg(`Cleaning: ${describeCleaningSettings(cleaning)}.`);
+        }
+
+        const driftCorrection = { ...DEFAULT_DRIFT_CORRECTION, ...(currentConfig.driftCorrection || {}) };
+        if (driftCorrection.method !== 'none') {
+            const methodLabel = DRIFT_CORRECTION_METHODS.find(m => m.value === driftCorrection.method).label;
+            addLogMsg(`Drift correction: ${methodLabel}${driftCorrection.method === 'polynomial' ? ` (order ${driftCorrection.polynomialOrder})` : ''}, baseline from ${gasExposureEvents.length > 0 ? `the segments between ${gasExposureEvents.length} exposure(s), ${driftCorrection.settleMinutes} min after each` : 'the whole recording (no exposure events)'}.`);
+        }
+
+        let signalDefinition;
+        try {
+            signalDefinition = resolveSignalDefinition(currentConfig.signalDefinition);
+        } catch (definitionError) {
+            throw new Error(`Invalid signal definition: ${definitionError.message}`);
+        }
+        addLogMsg(`Signal definition: ${signalDefinition.label} = ${signalDefinition.expression}`);
+
+        const baselineReference = { ...DEFAULT_BASELINE_REFERENCE, ...(currentConfig.baselineReference || {}) };
+        if (baselineReference.mode === 'per_event') {
+            if (gasExposureEvents.length > 0) {
+                addLogMsg(`Signal referenced to the baseline averaged over ${baselineReference.windowMinutes} min before each of ${gasExposureEvents.length} exposure(s); ${currentConfig.refTimeStr} is used before the first exposure with baseline data.`);
+            } else {
+                addLogMsg('Per-event baseline referencing needs gas exposure events; using the fixed reference time instead.', 'warn');
+                baselineReference.mode = 'fixed';
+            }
+        }
+
+        const { parsedSensorFiles, experimentStartMs } = await readTimeSeriesFiles(
             categorizedTimeSeriesFiles,
-            currentConfig,
-            refTimeMinutes,
-            calculatedGasConcProfile, // Pass the profile (even if empty)
-            gasFlowSuccessfullyProcessed, // Indicates if gas concentration data is reliable/available
+            columnMapping,
+            currentConfig.parseSettings || DEFAULT_PARSE_SETTINGS,
+            currentConfig.timestampFormat || 'auto',
+            timeBase,
             addLogMsg,
             (completedSensorFiles) => { // Progress callback for sensor files
                 updateOverallProgress(overallStep + completedSensorFiles, totalOverallSteps, setProgressVal);
+            },
+            parseDiagnostics
+        );
+
+        // Gas delivery timing: delay the profiles and events by the program start offset and the dead time
+        if (calculatedGasProfiles.length > 0) {
+            const gasTiming = { ...DEFAULT_GAS_TIMING, ...(currentConfig.gasTiming || {}) };
+            const offsetMinutes = (parseFloat(gasTiming.startOffsetSeconds) || 0) / 60;
+            let deadTimeMinutes = (parseFloat(gasTiming.deadTimeSeconds) || 0) / 60;
+            if (gasTiming.mode === 'auto') {
+                const estimate = estimateGasLag(
+                    parsedSensorFiles.map(({ parsedFile }) => parsedFile.rows.map(row => ({ time_min: row.time_min, value: row.impedance }))),
+                    shiftGasProfile(calculatedGasProfiles[0].profile, offsetMinutes),
+                    (parseFloat(gasTiming.maxLagSeconds) || 0) / 60
+                );
+                if (estimate) {
+                    deadTimeMinutes = estimate.lagMinutes;
+                    addLogMsg(`Auto-align: estimated gas delivery lag ${(estimate.lagMinutes * 60).toFixed(1)} s (mean |r| = ${estimate.correlation.toFixed(3)} over ${estimate.sensorCount} sensor(s)).`);
+                } else {
+                    addLogMsg(`Auto-align: the sensors do not overlap a changing concentration; using the dead time of ${gasTiming.deadTimeSeconds} s.`, 'warn');
+                }
             }
+            const shiftMinutes = offsetMinutes + deadTimeMinutes;
+            if (shiftMinutes !== 0) {
+                calculatedGasProfiles = calculatedGasProfiles.map(gasProfile => ({
+                    ...gasProfile,
+                    profile: shiftGasProfile(gasProfile.profile, shiftMinutes),
+                    events: shiftGasExposureEvents(gasProfile.events, shiftMinutes),
+                    timingShiftMinutes: shiftMinutes
+                }));
+                gasExposureEvents = calculatedGasProfiles[0].events;
+                setGasConcProfileResult(calculatedGasProfiles[0].profile);
+                setGasConcProfilesResult(calculatedGasProfiles);
+                updateAppConfig({ gasExposureEvents: gasExposureEvents });
+                addLogMsg(`Gas program delayed by ${(shiftMinutes * 60).toFixed(1)} s (start offset ${(offsetMinutes * 60).toFixed(1)} s, dead time ${(deadTimeMinutes * 60).toFixed(1)} s).`);
+            }
+        }
+
+        const processedSensorDataTables = processAllTimeSeriesFiles(
+            parsedSensorFiles,
+            experimentStartMs,
+            refTimeMinutes,
+            signalDefinition,
+            baselineReference,
+            timeBase,
+            cleaning,
+            driftCorrection,
+            { ...DEFAULT_SENSOR_QUALITY, ...(currentConfig.sensorQuality || {}) },
+            gasExposureEvents,
+            calculatedGasProfiles, // Pass the profiles (even if empty)
+            gasFlowSuccessfullyProcessed, // Indicates if gas concentration data is reliable/available
+            addLogMsg
         );
 
         setTimeSeriesDataResult(processedSensorDataTables);
+        setParseDiagnosticsResult(parseDiagnostics);
         addLogMsg('All time-series sensor files processed successfully.');
         overallStep = totalOverallSteps; // Mark as complete
         updateOverallProgress(overallStep, totalOverallSteps, setProgressVal);
@@ -118,98 +301,133 @@ export async function runTimeSeriesAnalysis(
     } catch (error) {
         addLogMsg(`Error during time-series analysis: ${error.message}`, 'error');
         console.error("Time-Series Analysis Error:", error);
+        setParseDiagnosticsResult(parseDiagnostics);
         return false; // Indicate failure
     }
 }
 
 /**
- * Processes all individual time-series sensor files.
- * Migrated from multisensor.js's processTimeSeriesSensorFilesInternal logic.
+ * Reads all time-series sensor files and measures their times on the configured time base.
+ * @returns {Promise<Object>} { parsedSensorFiles: [{ fileItem, effectiveFileName, parsedFile }], experimentStartMs
+ * (NaN if each file keeps its own start) }.
  */
-async function processAllTimeSeriesFiles(
+async function readTimeSeriesFiles(
     timeSeriesFileItems, // categorizedFileItems
-    config,
-    refTimeMinutes,
-    gasConcProfile, // The calculated profile from runTimeSeriesAnalysis
-    gasConcAvailable, // Boolean indicating if gasConcProfile is valid/available
+    columnMapping, // Column mapping profile from config
+    parseSettings, // Delimiter/decimal/encoding settings from config ('auto' fields are sniffed per file)
+    timestampFormat, // 'auto' or a format id from dateTimeUtils
+    timeBase, // Common time base settings (see utils/timeBase.js)
     addLogMsg,
-    reportSensorFileProgress // Callback: (completedCount) => void
+    reportSensorFileProgress, // Callback: (completedCount) => void, fractional while a file is being read
+    parseDiagnostics = [] // Receives one diagnostics entry per file
 ) {
-    const sensorDataTablesResult = [];
-    let t0Milliseconds = null; // To be determined by the first timestamp in the first file processed OR per file?
-                               // Original multisensor.js determined t0 per file. Let's stick to that.
+    const parsedSensorFiles = [];
 
+    // Read all files first: a common time base needs every sensor's first timestamp
     for (let i = 0; i < timeSeriesFileItems.length; i++) {
         const fileItem = timeSeriesFileItems[i];
         const file = fileItem.originalFile;
         const effectiveFileName = fileItem.effectiveName || file.name; // Use effectiveName if available
-        const sensorNumberDisplay = fileItem.sensorNumberDisplay;
 
         addLogMsg(`Processing Time-Series File: ${effectiveFileName}...`);
 
-        let rawDataArray;
+        let parsedFile;
         try {
-            rawDataArray = await parseCsvFile(file, false); // Time-series files typically have no header
+            // Streamed in a Web Worker; row objects are built incrementally
+            parsedFile = await parseTimeSeriesFile(file, columnMapping, {
+                parseSettings,
+                timestampFormat,
+                onProgress: createReadProgressReporter(file, addLogMsg, (fraction) => reportSensorFileProgress(i + fraction))
+            });
         } catch (parseError) {
-            addLogMsg(`Skipping ${effectiveFileName}: Failed to parse CSV - ${parseError.message}`, 'warn');
+            addLogMsg(`Skipping ${effectiveFileName}: Failed to parse CSV - ${parseError.message}`, 'error');
+            parseDiagnostics.push(createFileDiagnostics(effectiveFileName, 'time_series', null, parseError.message));
             reportSensorFileProgress(i + 1);
             continue;
         }
 
-        if (!rawDataArray || rawDataArray.length === 0) {
+        parseDiagnostics.push(createFileDiagnostics(effectiveFileName, 'time_series', parsedFile.diagnostics));
+        addLogMsg(`${effectiveFileName}: ${describeParseSettings(parsedFile.parseSettings)}.`);
+        if (parsedFile.timestampFormat) {
+            const formatLabel = getTimestampFormats().find(f => f.id === parsedFile.timestampFormat).label;
+            addLogMsg(`${effectiveFileName}: Timestamp format ${formatLabel} (${timestampFormat === 'auto' ? 'detected' : 'manual'}).`);
+        }
+        if (parsedFile.rows.length === 0) {
             addLogMsg(`Skipping ${effectiveFileName}: File is empty or parsing yielded no data.`, 'warn');
             reportSensorFileProgress(i + 1);
             continue;
         }
+        if (parsedFile.headerRow) {
+            addLogMsg(`${effectiveFileName}: Header row detected (${parsedFile.headerRow.join(', ')}).`);
+        }
+        parsedFile.warnings.forEach(warning => addLogMsg(`Warning: ${effectiveFileName}: ${warning}`, 'warn'));
+        parsedSensorFiles.push({ fileItem, effectiveFileName, parsedFile });
+        reportSensorFileProgress(i + 1);
+    }
 
-        const timeColIdx = 0;
-        const impedanceColIdx = 7; // Original: Z is column 7
-        const phaseColIdx = 8;     // Original: ANGLE is column 8
-        const minRequiredCols = Math.max(timeColIdx, impedanceColIdx, phaseColIdx) + 1;
+    // Original multisensor.js measured each file from its own first row; a global start aligns the sensors
+    const experimentStartMs = resolveExperimentStart(
+        parsedSensorFiles.map(({ parsedFile }) => parsedFile.t0Milliseconds),
+        timeBase,
+        parsedSensorFiles.length > 0 ? parsedSensorFiles[0].parsedFile.timestampFormat : null
+    );
+    if (!isNaN(experimentStartMs)) {
+        addLogMsg(`Common time base: time zero at ${new Date(experimentStartMs).toLocaleString()}.`);
+        parsedSensorFiles.forEach(({ effectiveFileName, parsedFile }) => {
+            rebaseRowTimes(parsedFile.rows, experimentStartMs);
+            const offsetSeconds = (parsedFile.t0Milliseconds - experimentStartMs) / 1000;
+            if (!isNaN(offsetSeconds)) addLogMsg(`${effectiveFileName}: Starts at ${offsetSeconds.toFixed(1)} s on the common time base.`);
+        });
+    }
+    return { parsedSensorFiles, experimentStartMs };
+}
 
-        if (!rawDataArray[0] || rawDataArray[0].length < minRequiredCols) {
-            addLogMsg(`Skipping ${effectiveFileName}: Insufficient columns in first data row (expected ${minRequiredCols}, got ${rawDataArray[0] ? rawDataArray[0].length : 0}).`, 'error');
-            reportSensorFileProgress(i + 1);
-            continue; // Skip this file
-        }
+/**
+ * Processes the read time-series sensor files: cleaning, resampling, drift correction, reference, signal, gas
+ * concentration and the quality assessment. Migrated from multisensor.js's processTimeSeriesSensorFilesInternal logic.
+ * @returns {Array<Object>} The processed sensor tables.
+ */
+function processAllTimeSeriesFiles(
+    parsedSensorFiles, // From readTimeSeriesFiles
+    experimentStartMs, // Common time zero in epoch ms (NaN if each file keeps its own start)
+    refTimeMinutes,
+    signalDefinition, // Resolved signal definition (see utils/signalDefinitions.js)
+    baselineReference, // { mode, windowMinutes } (see utils/baselineReference.js)
+    timeBase, // Common time base and resampling settings (see utils/timeBase.js)
+    cleaning, // Cleaning settings (see utils/signalCleaning.js), applied before drift correction and the signal
+    driftCorrection, // Drift correction settings (see utils/driftCorrection.js)
+    sensorQuality, // Quality thresholds (see utils/sensorQuality.js)
+    gasExposureEvents, // Exposure events of the target gas; the drift baseline is fitted between them
+    gasConcProfiles, // The calculated per-gas profiles from runTimeSeriesAnalysis
+    gasConcAvailable, // Boolean indicating if gasConcProfiles are valid/available
+    addLogMsg
+) {
+    const sensorDataTablesResult = [];
 
-        const t0String = rawDataArray[0][timeColIdx];
-        const t0Date = parseCustomDateTime(t0String); // from dateTimeUtils
-        const currentFileT0Milliseconds = t0Date ? t0Date.getTime() : NaN;
+    const timeGrid = timeBase.resample
+        ? createTimeGrid(parsedSensorFiles.map(({ parsedFile }) => parsedFile.rows), timeBase.intervalSeconds)
+        : null;
+    if (timeGrid) {
+        addLogMsg(`Resampling all sensors onto ${timeGrid.length} points every ${timeBase.intervalSeconds} s (${INTERPOLATION_METHODS.find(m => m.value === timeBase.interpolation).label.toLowerCase()} interpolation).`);
+    }
 
-        if (isNaN(currentFileT0Milliseconds)) {
-            addLogMsg(`Warning: Initial timestamp "${t0String}" in ${effectiveFileName} could not be parsed. Relative time calculations for this file will be NaN.`, 'warn');
-        }
+    for (const { fileItem, effectiveFileName, parsedFile } of parsedSensorFiles) {
+        const file = fileItem.originalFile;
+        const sensorNumberDisplay = fileItem.sensorNumberDisplay;
+        let processedTable = parsedFile.rows;
 
-        const processedTable = rawDataArray.map((row, rowIndex) => {
-            if (row.length < minRequiredCols) {
-                // This case should ideally be caught by the check above, but as a safeguard per row:
-                addLogMsg(`Warning: Row ${rowIndex + 1} in ${effectiveFileName} has insufficient columns. Data for this row will be NaN.`, 'warn');
-                return {
-                    original_time_s: (row && row.length > timeColIdx) ? row[timeColIdx] : "Invalid Row",
-                    time_s: NaN, time_min: NaN, impedance: NaN, phase: NaN, signal: NaN, gas_concentration: NaN
-                };
-            }
-            const currentDateString = row[timeColIdx];
-            const currentDate = parseCustomDateTime(currentDateString);
-            const currentMilliseconds = currentDate ? currentDate.getTime() : NaN;
+        const cleaningResult = applySignalCleaning(processedTable, cleaning);
+        if (cleaningResult) {
+            const describeRemoved = (counts) => `${counts.rangeRemoved + counts.spikesRemoved} (${counts.rangeRemoved} out of range, ${counts.spikesRemoved} spikes)`;
+            addLogMsg(`${effectiveFileName}: Cleaning removed ${describeRemoved(cleaningResult.impedance)} impedance and ${describeRemoved(cleaningResult.phase)} phase points.`);
+        }
 
-            let relative_time_s = NaN;
-            if (!isNaN(currentMilliseconds) && !isNaN(currentFileT0Milliseconds)) {
-                relative_time_s = (currentMilliseconds - currentFileT0Milliseconds) / 1000;
-            }
-            const time_min = relative_time_s / 60;
-
-            return {
-                original_time_s: currentDateString,
-                time_s: relative_time_s,
-                time_min: time_min,
-                impedance: parseFloat(row[impedanceColIdx]),
-                phase: parseFloat(row[phaseColIdx]),
-                signal: NaN, // To be calculated
-                gas_concentration: NaN // To be calculated
-            };
-        });
+        let resamplingResult = null;
+        if (timeGrid) {
+            const sourceRowCount = processedTable.length;
+            processedTable = resampleRows(processedTable, timeGrid, timeBase.interpolation, isNaN(experimentStartMs) ? parsedFile.t0Milliseconds : experimentStartMs);
+            resamplingResult = { intervalSeconds: timeBase.intervalSeconds, interpolation: timeBase.interpolation, sourceRowCount };
+        }
 
         // Calculate reference impedance (imp_ref)
         let refIdx = -1;
@@ -226,42 +444,85 @@ async function processAllTimeSeriesFiles(
             addLogMsg(`For ${effectiveFileName}, no data points found at or before reference time. Using first valid data point for baseline.`, 'warn');
         }
 
-        const imp_ref = (refIdx !== -1 && processedTable[refIdx] && !isNaN(processedTable[refIdx].impedance))
-                        ? processedTable[refIdx].impedance
+        // Drift correction: the signal is computed from the corrected impedance
+        let driftResult = null;
+        if (driftCorrection.method !== 'none') {
+            const refTimeForDrift = refIdx !== -1 ? processedTable[refIdx].time_min : refTimeMinutes;
+            driftResult = applyDriftCorrection(processedTable, gasExposureEvents, refTimeForDrift, driftCorrection);
+            if (driftResult) {
+                addLogMsg(`${effectiveFileName}: Drift baseline fitted through ${driftResult.baselinePointCount} points in ${driftResult.segmentCount} baseline segment(s).`);
+            } else {
+                addLogMsg(`${effectiveFileName}: Not enough baseline data between exposures for drift correction; using uncorrected impedance.`, 'warn');
+            }
+        }
+        const impedanceKey = driftResult ? 'impedance_corrected' : 'impedance';
+
+        const imp_ref = (refIdx !== -1 && processedTable[refIdx] && !isNaN(processedTable[refIdx][impedanceKey]))
+                        ? processedTable[refIdx][impedanceKey]
                         : NaN;
 
+        const phase_ref = refIdx !== -1 && processedTable[refIdx] ? processedTable[refIdx].phase : NaN;
+
         if (isNaN(imp_ref)) {
             addLogMsg(`Reference impedance (imp_ref) for ${effectiveFileName} is NaN. Signal calculation will result in NaN.`, 'warn');
         }
 
+        // Per-event referencing: each exposure's signal is relative to the baseline just before it
+        let eventReferences = null;
+        if (baselineReference.mode === 'per_event') {
+            const sortedEvents = [...gasExposureEvents].sort((a, b) => a.startTime - b.startTime);
+            eventReferences = calculateEventReferences(processedTable, sortedEvents, impedanceKey, baselineReference.windowMinutes);
+            const eventsWithoutBaseline = eventReferences.filter(reference => reference.pointCount === 0);
+            if (eventsWithoutBaseline.length > 0) {
+                addLogMsg(`${effectiveFileName}: No baseline data before exposure(s) ${eventsWithoutBaseline.map(reference => reference.eventNumber).join(', ')}; the previous reference is kept.`, 'warn');
+            }
+            applyEventReferences(processedTable, eventReferences, { impedance: imp_ref, phase: phase_ref });
+        }
+
         // Calculate signal and interpolate gas concentration for each row
         processedTable.forEach(row => {
-            if (!isNaN(imp_ref) && imp_ref !== 0 && !isNaN(row.impedance)) {
-                row.signal = ((row.impedance - imp_ref) / imp_ref) * 100;
-            } else {
-                row.signal = NaN;
-            }
+            row.signal = signalDefinition.evaluate({
+                Z: row[impedanceKey],
+                Z0: eventReferences ? row.reference_impedance : imp_ref,
+                P: row.phase,
+                P0: eventReferences ? row.reference_phase : phase_ref,
+                t: row.time_min
+            });
 
             // Filter out extreme values as per original logic
             if (row.impedance > 1e12) row.impedance = NaN; // [cite: 369] (approx)
-            if (Math.abs(row.signal) > 1e4) row.signal = NaN; // (approx)
+            if (signalDefinition.id === 'relative_change' && Math.abs(row.signal) > 1e4) row.signal = NaN; // (approx)
 
 
-            if (gasConcAvailable && gasConcProfile.length > 0 && !isNaN(row.time_min)) {
-                row.gas_concentration = interpolateGasConcentration(gasConcProfile, row.time_min); //
+            if (gasConcAvailable && gasConcProfiles.length > 0 && !isNaN(row.time_min)) {
+                gasConcProfiles.forEach(gasProfile => {
+                    row[gasProfile.rowKey] = interpolateGasConcentration(gasProfile.profile, row.time_min);
+                });
             } else {
                 row.gas_concentration = NaN;
             }
         });
 
+        // Quality of the processed data; the sampling statistics describe the rows as recorded
+        const qualityResult = assessSensorQuality(processedTable, gasExposureEvents, sensorQuality, parsedFile.rows);
+        if (qualityResult.grade !== 'pass') {
+            addLogMsg(`${effectiveFileName}: Quality ${qualityResult.grade}: ${qualityResult.reasons.join('; ')}.`, 'warn');
+        }
+
         sensorDataTablesResult.push({
             fileName: effectiveFileName, // This was effectiveName in original app.js, then sensorTable.fileName in multisensor.js
             originalFileName: file.name,
             sensorNumber: sensorNumberDisplay,
+            extraChannels: parsedFile.extraChannels,
+            resampling: resamplingResult, // { intervalSeconds, interpolation, sourceRowCount } if resampled onto the shared grid
+            cleaning: cleaningResult, // { impedance, phase: { rangeRemoved, spikesRemoved } } if cleaned; raw values in impedance_raw/phase_raw
+            driftCorrection: driftResult, // { method, segmentCount, baselinePointCount } if drift-corrected
+            signalDefinition: { id: signalDefinition.id, label: signalDefinition.label, expression: signalDefinition.expression },
+            eventReferences, // Per-event baselines { eventNumber, startTime, windowStart, impedance, phase, pointCount } if referenced per event
+            quality: qualityResult, // { grade, reasons, noise, eventSnr, nanFraction, medianIntervalSeconds, maxIntervalSeconds, gapCount, gaps }
             data: processedTable
         });
         addLogMsg(`Processing ${effectiveFileName}: Completed.`);
-        reportSensorFileProgress(i + 1); // Report progress after each file
     }
     return sensorDataTablesResult;
 }
\ No newline at end of file
@@ -0,0 +1,173 @@
+// src/services/xlsxImportService.js
+// Imports sensor data from XLSX workbooks (one sheet per sensor, or sensors side by side in column blocks).
+// Each mapped sheet or block is converted into an in-memory CSV File named like the logger's own files,
+// so it flows through the same categorization and runTimeSeriesAnalysis/runSpectroscopyAnalysis path.
+import * as XLSX from 'xlsx';
+import { csvFormatRows } from 'd3';
+
+const WORKBOOK_EXTENSION_PATTERN = /\.(xlsx|xlsm|xls)$/i;
+
+/**
+ * Checks whether a file is a spreadsheet workbook the importer can read.
+ * @param {File} file - The file to check.
+ * @returns {boolean} True for .xlsx, .xlsm and .xls files.
+ */
+export function isWorkbookFile(file) {
+    return Boolean(file && WORKBOOK_EXTENSION_PATTERN.test(file.name));
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Converts a worksheet cell into CSV text. Numbers keep full precision (not their display format) and
+ * date cells become ISO 8601 text so the timestamp detection can read them unambiguously.
+ * @param {Object|undefined} cell - A SheetJS cell object.
+ * @returns {string} The cell text ('' for empty cells).
+ */
+const cellToText = (cell) => {
+    if (!cell || cell.v === undefined || cell.v === null) return '';
+    if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+        const date = XLSX.SSF.parse_date_code(cell.v);
+        if (date) {
+            const milliseconds = Math.min(999, Math.round((date.u || 0) * 1000)); // u: fraction of the second
+            return `${date.y}-${pad(date.m)}-${pad(date.d)}T${pad(date.H)}:${pad(date.M)}:${pad(date.S)}.${pad(milliseconds, 3)}`;
+        }
+    }
+    if (cell.t === 'n') return String(cell.v);
+    if (cell.t === 'd' && cell.v instanceof Date) return cell.v.toISOString();
+    return String(cell.w ?? cell.v);
+};
+
+/**
+ * Reads a worksheet into an array of text rows, with trailing empty rows removed.
+ * @param {Object} worksheet - A SheetJS worksheet.
+ * @returns {Array<Array<string>>} The rows (all rows share the sheet's column count).
+ */
+const readSheetRows = (worksheet) => {
+    if (!worksheet || !worksheet['!ref']) return [];
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const rows = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+        const row = [];
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            row.push(cellToText(worksheet[XLSX.utils.encode_cell({ r, c })]));
+        }
+        rows.push(row);
+    }
+    while (rows.length > 0 && rows[rows.length - 1].every(cell => cell === '')) rows.pop();
+    return rows;
+};
+
+/**
+ * Finds blocks of adjacent non-empty columns, separated by completely empty columns.
+ * @param {Array<Array<string>>} rows - The sheet rows.
+ * @returns {Array<{index: number, startCol: number, endCol: number, label: string}>} Column blocks (0-based,
+ * endCol inclusive); the label is the block's first non-empty header cell or its column letters.
+ */
+const findColumnBlocks = (rows) => {
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const blocks = [];
+    let blockStart = null;
+    for (let c = 0; c <= columnCount; c++) {
+        const isEmptyColumn = c === columnCount || rows.every(row => (row[c] ?? '') === '');
+        if (!isEmptyColumn && blockStart === null) {
+            blockStart = c;
+        } else if (isEmptyColumn && blockStart !== null) {
+            const endCol = c - 1;
+            const firstRowLabel = (rows[0] || []).slice(blockStart, endCol + 1).find(cell => cell !== '');
+            const columnLetters = `${XLSX.utils.encode_col(blockStart)}-${XLSX.utils.encode_col(endCol)}`;
+            blocks.push({
+                index: blocks.length,
+                startCol: blockStart,
+                endCol,
+                label: firstRowLabel ? `${firstRowLabel} (${columnLetters})` : `Columns ${columnLetters}`
+            });
+            blockStart = null;
+        }
+    }
+    return blocks;
+};
+
+/**
+ * Reads a workbook file and lists its sheets with their column blocks.
+ * @param {File} file - An .xlsx/.xls file.
+ * @returns {Promise<Object>} { fileName, sheets: [{ name, rowCount, columnCount, rows, blocks }] }.
+ * Rejects if the file is not a readable workbook.
+ */
+export async function readWorkbookFile(file) {
+    let workbook;
+    try {
+        workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array', cellNF: true }); // cellNF: keep number formats to spot dates
+    } catch (e) {
+        throw new Error(`Could not read workbook ${file.name}: ${e.message}`);
+    }
+
+    const sheets = workbook.SheetNames.map(name => {
+        const rows = readSheetRows(workbook.Sheets[name]);
+        return {
+            name,
+            rowCount: rows.length,
+            columnCount: rows.reduce((max, row) => Math.max(max, row.length), 0),
+            rows,
+            blocks: findColumnBlocks(rows)
+        };
+    });
+    return { fileName: file.name, sheets };
+}
+
+/**
+ * Suggests a sensor number from a sheet or block label (e.g. "Sensor 3" -> 3).
+ * @param {string} label - The sheet name or block label.
+ * @param {number} fallback - Number to use if the label contains none.
+ * @returns {number} The suggested 1-based sensor number.
+ */
+export function suggestSensorNumber(label, fallback) {
+    const match = String(label || '').match(/(\d+)/);
+    const number = match ? parseInt(match[1], 10) : NaN;
+    return Number.isInteger(number) && number >= 1 ? number : fallback;
+}
+
+const toSafeNamePart = (text) => String(text || '').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'sheet';
+
+/**
+ * Builds a CSV File from a mapped sheet or column block. Empty rows and single-cell title rows above the table are dropped.
+ * Time-series files are named "<workbook>_<sheet>__<n>__vs_time.csv" (n = sensor number - 1, as the logger does);
+ * spectroscopy files "<workbook>_<sheet>__IS_YYYY-MM-DDThh-mm-ss.csv" with the sweep time.
+ * @param {Object} workbookInfo - From readWorkbookFile.
+ * @param {Object} target - { sheetName, block (column block, or null for the whole sheet) }.
+ * @param {Object} mapping - { analysisType: 'time_series'|'spectroscopy', sensorNumber, sweepTime (Date) }.
+ * @returns {File} The generated CSV file.
+ * @throws {Error} If the sheet is missing or empty, or the mapping is incomplete.
+ */
+export function createImportedFile(workbookInfo, { sheetName, block = null }, { analysisType, sensorNumber, sweepTime }) {
+    const sheet = workbookInfo.sheets.find(s => s.name === sheetName);
+    if (!sheet) {
+        throw new Error(`Sheet "${sheetName}" not found in ${workbookInfo.fileName}.`);
+    }
+    const rows = block ? sheet.rows.map(row => row.slice(block.startCol, block.endCol + 1)) : sheet.rows;
+    const nonEmptyRows = rows.filter(row => row.some(cell => cell !== ''));
+    // Drop title rows above the table (a single filled cell, e.g. "Sensor 2" above a block's header)
+    while (nonEmptyRows.length > 1 && nonEmptyRows[0].length > 1 && nonEmptyRows[0].filter(cell => cell !== '').length === 1) {
+        nonEmptyRows.shift();
+    }
+    if (nonEmptyRows.length === 0) {
+        throw new Error(`Sheet "${sheetName}"${block ? ` (${block.label})` : ''} contains no data.`);
+    }
+
+    const baseName = `${toSafeNamePart(workbookInfo.fileName.replace(WORKBOOK_EXTENSION_PATTERN, ''))}_${toSafeNamePart(sheetName)}${block ? `_${toSafeNamePart(block.label)}` : ''}`;
+    let fileName;
+    if (analysisType === 'spectroscopy') {
+        if (!(sweepTime instanceof Date) || isNaN(sweepTime.getTime())) {
+            throw new Error(`A valid sweep time is needed for sheet "${sheetName}".`);
+        }
+        const t = sweepTime;
+        fileName = `${baseName}__IS_${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}T${pad(t.getHours())}-${pad(t.getMinutes())}-${pad(t.getSeconds())}.${pad(t.getMilliseconds(), 3)}.csv`;
+    } else {
+        if (!Number.isInteger(sensorNumber) || sensorNumber < 1) {
+            throw new Error(`A sensor number of 1 or greater is needed for sheet "${sheetName}".`);
+        }
+        fileName = `${baseName}__${sensorNumber - 1}__vs_time.csv`;
+    }
+
+    return new File([csvFormatRows(nonEmptyRows)], fileName, { type: 'text/csv', lastModified: Date.now() });
+}
@@ -0,0 +1,71 @@
+// src/utils/baselineReference.js
+// Reference values (Z0, P0) for the signal: either the values at one reference time for the whole run, or, for
+// cycling experiments, a baseline averaged over a window just before each gas exposure.
+
+export const REFERENCE_MODES = [
+    { value: 'fixed', label: 'Fixed reference time' },
+    { value: 'per_event', label: 'Baseline before each exposure' }
+];
+
+export const DEFAULT_BASELINE_REFERENCE = {
+    mode: 'fixed',
+    windowMinutes: 5  // For 'per_event': the baseline is averaged over this window ending at each exposure start
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : NaN);
+
+/**
+ * Computes the reference of each exposure event: the mean impedance and phase over the window ending at the event's
+ * startTime. The window does not reach back into the previous exposure.
+ * @param {Array<Object>} rows - Sensor rows with time_min, phase and the impedance column.
+ * @param {Array<Object>} events - Gas exposure events { startTime, endTime } in minutes, sorted by startTime.
+ * @param {string} impedanceKey - 'impedance' or 'impedance_corrected'.
+ * @param {number} windowMinutes - Length of the baseline window.
+ * @returns {Array<Object>} One entry per event: { eventNumber, startTime, windowStart, impedance, phase, pointCount }
+ * (impedance and phase are NaN if the window holds no valid data).
+ */
+export function calculateEventReferences(rows, events, impedanceKey, windowMinutes) {
+    const window = Math.max(0, Number(windowMinutes) || 0);
+    return events.map((event, i) => {
+        const previousEnd = i > 0 ? events[i - 1].endTime : -Infinity;
+        const windowStart = Math.max(event.startTime - window, previousEnd);
+        const windowRows = rows.filter(row => !isNaN(row.time_min) && row.time_min >= windowStart && row.time_min < event.startTime && !isNaN(row[impedanceKey]));
+        return {
+            eventNumber: i + 1,
+            startTime: event.startTime,
+            windowStart,
+            impedance: mean(windowRows.map(row => row[impedanceKey])),
+            phase: mean(windowRows.map(row => row.phase).filter(phase => !isNaN(phase))),
+            pointCount: windowRows.length
+        };
+    });
+}
+
+/**
+ * Sets row.reference_impedance and row.reference_phase from the per-event references. Rows from one exposure's start
+ * until the next exposure's start use that exposure's reference; rows before the first exposure use the first one.
+ * An event without baseline data keeps the reference of the event before it (the fallback for the first event).
+ * @param {Array<Object>} rows - Sensor rows with time_min (modified in place).
+ * @param {Array<Object>} references - From calculateEventReferences.
+ * @param {{impedance: number, phase: number}} fallback - Reference used where no event baseline is available.
+ */
+export function applyEventReferences(rows, references, fallback) {
+    const effective = [];
+    references.forEach((reference, i) => {
+        const previous = i > 0 ? effective[i - 1] : fallback;
+        effective.push(isNaN(reference.impedance)
+            ? { startTime: reference.startTime, impedance: previous.impedance, phase: previous.phase }
+            : { startTime: reference.startTime, impedance: reference.impedance, phase: reference.phase });
+    });
+    rows.forEach(row => {
+        if (effective.length === 0 || isNaN(row.time_min)) {
+            row.reference_impedance = fallback.impedance;
+            row.reference_phase = fallback.phase;
+            return;
+        }
+        let current = effective[0];
+        for (let i = 1; i < effective.length && effective[i].startTime <= row.time_min; i++) current = effective[i];
+        row.reference_impedance = current.impedance;
+        row.reference_phase = current.phase;
+    });
+}
@@ -0,0 +1,151 @@
+// src/utils/calibration.js
+// Calibration curves: each sensor's event response against the event concentration, fitted with linear,
+// power-law (Freundlich) and Langmuir models, with sensitivity and limit of detection (LOD) from the baseline noise.
+import { fitLevenbergMarquardt, fitPolynomial } from './numericUtils.js';
+
+export const CALIBRATION_RESPONSE_METRICS = [
+    { value: 'steadyStateResponse', label: 'Steady-state response' },
+    { value: 'peakResponse', label: 'Peak response' }
+];
+
+export const CALIBRATION_MODELS = [
+    {
+        id: 'linear',
+        label: 'Linear (R = a + S·C)',
+        parameterNames: ['a', 'S'],
+        evaluate: (c, [a, s]) => a + s * c
+    },
+    {
+        id: 'power',
+        label: 'Power law / Freundlich (R = k·C^n)',
+        parameterNames: ['k', 'n'],
+        evaluate: (c, [k, n]) => k * Math.pow(c, n)
+    },
+    {
+        id: 'langmuir',
+        label: 'Langmuir (R = Rmax·K·C / (1 + K·C))',
+        parameterNames: ['Rmax', 'K'],
+        evaluate: (c, [rMax, k]) => rMax * k * c / (1 + k * c)
+    }
+];
+
+const LOD_NOISE_FACTOR = 3; // LOD = concentration whose response is 3σ of the baseline noise
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Fits one calibration model.
+ * Sensitivity is the slope dR/dC: S for the linear model, Rmax·K (the initial slope) for Langmuir and the slope at the
+ * lowest calibration concentration for the power law. The LOD is the concentration at which the fitted curve reaches
+ * 3σ (3σ/S for the linear model).
+ * @param {string} modelId - 'linear', 'power' or 'langmuir'.
+ * @param {Array<{concentration: number, response: number}>} points - Calibration points (response magnitudes).
+ * @param {number} noise - Baseline noise σ of the sensor (same unit as the responses).
+ * @returns {Object} { model, label, parameters: { name: value }, rSquared, sensitivity, lod } (NaN where the fit failed).
+ */
+export function fitCalibrationModel(modelId, points, noise) {
+    const model = CALIBRATION_MODELS.find(m => m.id === modelId);
+    const result = {
+        model: model.id,
+        label: model.label,
+        parameters: Object.fromEntries(model.parameterNames.map(name => [name, NaN])),
+        rSquared: NaN,
+        sensitivity: NaN,
+        lod: NaN
+    };
+    const concentrations = points.map(p => p.concentration);
+    const responses = points.map(p => p.response);
+    const minimumPoints = model.id === 'linear' ? 2 : 3;
+    if (points.length < minimumPoints || new Set(concentrations).size < 2) return result;
+
+    let params = null;
+    if (model.id === 'linear') {
+        const line = fitPolynomial(concentrations, responses, 1);
+        if (line) {
+            const intercept = line(0);
+            params = [intercept, line(1) - intercept];
+        }
+    } else if (model.id === 'power') {
+        // Log-log regression gives the starting point for the fit on the linear scale
+        const positive = points.filter(p => p.response > 0);
+        if (positive.length >= 2 && new Set(positive.map(p => p.concentration)).size >= 2) {
+            const logLine = fitPolynomial(positive.map(p => Math.log(p.concentration)), positive.map(p => Math.log(p.response)), 1);
+            if (logLine) {
+                const logIntercept = logLine(0);
+                params = fitLevenbergMarquardt(model.evaluate, concentrations, responses, [Math.exp(logIntercept), logLine(1) - logIntercept]);
+            }
+        }
+    } else {
+        const maximumResponse = Math.max(...responses);
+        const sortedConcentrations = [...concentrations].sort((a, b) => a - b);
+        const medianConcentration = sortedConcentrations[Math.floor(sortedConcentrations.length / 2)];
+        params = fitLevenbergMarquardt(model.evaluate, concentrations, responses, [maximumResponse * 1.2, 1 / medianConcentration]);
+    }
+    if (!params || params.some(p => !isFinite(p))) return result;
+
+    const averageResponse = mean(responses);
+    const totalSquares = responses.reduce((sum, r) => sum + (r - averageResponse) ** 2, 0);
+    const residualSquares = points.reduce((sum, p) => sum + (p.response - model.evaluate(p.concentration, params)) ** 2, 0);
+    result.parameters = Object.fromEntries(model.parameterNames.map((name, i) => [name, params[i]]));
+    result.rSquared = totalSquares > 0 ? 1 - residualSquares / totalSquares : NaN;
+
+    const detectableResponse = LOD_NOISE_FACTOR * noise;
+    if (model.id === 'linear') {
+        result.sensitivity = params[1];
+        result.lod = detectableResponse / Math.abs(params[1]);
+    } else if (model.id === 'power') {
+        const [k, n] = params;
+        const lowestConcentration = Math.min(...concentrations);
+        result.sensitivity = k * n * Math.pow(lowestConcentration, n - 1);
+        result.lod = k > 0 && n !== 0 ? Math.pow(detectableResponse / k, 1 / n) : NaN;
+    } else {
+        const [rMax, k] = params;
+        result.sensitivity = rMax * k;
+        result.lod = rMax > detectableResponse && k > 0 ? detectableResponse / (k * (rMax - detectableResponse)) : NaN;
+    }
+    if (!isFinite(result.lod) || result.lod < 0) result.lod = NaN;
+    return result;
+}
+
+/**
+ * Builds each sensor's calibration points from the event metrics and fits all calibration models.
+ * Responses are taken as magnitudes, so sensors whose impedance drops on exposure calibrate the same way.
+ * Events without a concentration or response are left out.
+ * @param {Array<Object>} eventMetrics - Rows from calculateEventMetrics.
+ * @param {string} [responseMetric='steadyStateResponse'] - 'steadyStateResponse' or 'peakResponse'.
+ * @returns {Array<Object>} One entry per sensor: { sensorNumber, fileName, points: [{ concentration, response, eventNumber }],
+ * noise (mean baseline σ over the events), fits: [one fitCalibrationModel result per model] }.
+ */
+export function calculateCalibrations(eventMetrics, responseMetric = 'steadyStateResponse') {
+    const sensors = new Map();
+    (eventMetrics || []).forEach(row => {
+        if (!sensors.has(row.fileName)) {
+            sensors.set(row.fileName, { sensorNumber: row.sensorNumber, fileName: row.fileName, points: [], noiseValues: [] });
+        }
+        const sensor = sensors.get(row.fileName);
+        if (!isNaN(row.baselineNoise)) sensor.noiseValues.push(row.baselineNoise);
+        const response = row[responseMetric];
+        if (row.concentration > 0 && typeof response === 'number' && !isNaN(response)) {
+            sensor.points.push({ concentration: row.concentration, response: Math.abs(response), eventNumber: row.eventNumber });
+        }
+    });
+    return [...sensors.values()].map(({ noiseValues, ...sensor }) => {
+        const noise = noiseValues.length > 0 ? mean(noiseValues) : NaN;
+        return {
+            ...sensor,
+            noise,
+            fits: CALIBRATION_MODELS.map(model => fitCalibrationModel(model.id, sensor.points, noise))
+        };
+    });
+}
+
+/**
+ * Evaluates a fitted calibration model.
+ * @param {Object} fit - A result of fitCalibrationModel.
+ * @param {number} concentration - The concentration.
+ * @returns {number} The predicted response (NaN if the fit failed).
+ */
+export function evaluateCalibrationFit(fit, concentration) {
+    const model = CALIBRATION_MODELS.find(m => m.id === fit.model);
+    return model.evaluate(concentration, model.parameterNames.map(name => fit.parameters[name]));
+}
@@ -0,0 +1,173 @@
+// src/utils/columnMapping.js
+import { getTimestampFormats, parseTimestamp } from './dateTimeUtils.js';
+
+const SAVED_MAPPINGS_STORAGE_KEY = 'sensorDataAnalyzer.columnMappings';
+
+// Row keys produced by the time-series processing; extra channels may not reuse them.
+const RESERVED_ROW_KEYS = [
+    'original_time_s', 'timestamp_ms', 'time_s', 'time_min', 'impedance', 'phase', 'signal', 'gas_concentration',
+    'impedance_raw', 'phase_raw', 'baseline_fit', 'impedance_corrected', 'reference_impedance', 'reference_phase'
+];
+
+/**
+ * Default mapping, matching the original LCR logger layout:
+ * time in column 1, Z in column 8 and ANGLE in column 9 (1-based).
+ * Column specs are either 1-based column numbers or header names.
+ */
+export const DEFAULT_COLUMN_MAPPING = {
+    name: 'Default LCR logger',
+    time: '1',
+    impedance: '8',
+    phase: '9',
+    extraChannels: [], // Array of { name: string, column: string }
+    headerMode: 'auto' // 'auto', 'header' or 'no_header'
+};
+
+/**
+ * Converts a channel name into the key used on processed row objects.
+ * @param {string} name - The channel name entered by the user.
+ * @returns {string} A lower-case, underscore-separated key (e.g. "Temp (C)" -> "temp_c").
+ */
+export function channelNameToKey(name) {
+    return String(name || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Heuristically decides whether a parsed row is a header row.
+ * A header row has at least one non-empty cell, no numeric cells and no timestamp in any registered format.
+ * @param {Array<string>} row - A parsed CSV row.
+ * @returns {boolean} True if the row looks like column headers.
+ */
+export function isLikelyHeaderRow(row) {
+    if (!Array.isArray(row)) return false;
+    const nonEmptyCells = row.map(cell => String(cell ?? '').trim()).filter(cell => cell !== '');
+    if (nonEmptyCells.length === 0) return false;
+
+    const hasNumericCell = nonEmptyCells.some(cell => !isNaN(Number(cell)));
+    const timestampFormats = getTimestampFormats();
+    const hasTimestampCell = nonEmptyCells.some(cell => timestampFormats.some(format => parseTimestamp(cell, format.id) !== null));
+    return !hasNumericCell && !hasTimestampCell;
+}
+
+/**
+ * Resolves a single column spec against an optional header row.
+ * @param {string|number} spec - 1-based column number or header name.
+ * @param {Array<string>|null} headerRow - The header row, if the file has one.
+ * @param {string} label - Human-readable label for error messages.
+ * @returns {number} The 0-based column index.
+ * @throws {Error} If the spec is empty, out of range or names a missing header.
+ */
+function resolveColumnSpec(spec, headerRow, label) {
+    const trimmedSpec = String(spec ?? '').trim();
+    if (trimmedSpec === '') {
+        throw new Error(`No column specified for ${label}.`);
+    }
+
+    if (/^\d+$/.test(trimmedSpec)) {
+        const columnNumber = parseInt(trimmedSpec, 10);
+        if (columnNumber < 1) {
+            throw new Error(`Column number for ${label} must be 1 or greater (got ${trimmedSpec}).`);
+        }
+        return columnNumber - 1;
+    }
+
+    if (!headerRow) {
+        throw new Error(`Column "${trimmedSpec}" for ${label} is a header name, but the file has no header row.`);
+    }
+    const wantedName = trimmedSpec.toLowerCase();
+    const headerIndex = headerRow.findIndex(cell => String(cell ?? '').trim().toLowerCase() === wantedName);
+    if (headerIndex === -1) {
+        throw new Error(`Header "${trimmedSpec}" for ${label} not found in the file's header row.`);
+    }
+    return headerIndex;
+}
+
+/**
+ * Resolves a column mapping profile into concrete 0-based column indices.
+ * @param {Object} mapping - A column mapping profile (see DEFAULT_COLUMN_MAPPING).
+ * @param {Array<string>|null} [headerRow=null] - The header row, if the file has one.
+ * @returns {{timeColIdx: number, impedanceColIdx: number, phaseColIdx: number,
+ * extraChannels: Array<{name: string, key: string, colIdx: number}>, minRequiredCols: number}}
+ * @throws {Error} If any column cannot be resolved.
+ */
+export function resolveColumnMapping(mapping, headerRow = null) {
+    const effectiveMapping = { ...DEFAULT_COLUMN_MAPPING, ...(mapping || {}) };
+
+    const timeColIdx = resolveColumnSpec(effectiveMapping.time, headerRow, 'time');
+    const impedanceColIdx = resolveColumnSpec(effectiveMapping.impedance, headerRow, 'impedance');
+    const phaseColIdx = resolveColumnSpec(effectiveMapping.phase, headerRow, 'phase');
+
+    const usedKeys = new Set(RESERVED_ROW_KEYS);
+    const extraChannels = (effectiveMapping.extraChannels || []).map((channel, index) => {
+        const key = channelNameToKey(channel.name);
+        if (!key) {
+            throw new Error(`Extra channel ${index + 1} has no name.`);
+        }
+        if (usedKeys.has(key)) {
+            throw new Error(`Extra channel name "${channel.name}" clashes with another column name.`);
+        }
+        usedKeys.add(key);
+        return {
+            name: channel.name.trim(),
+            key,
+            colIdx: resolveColumnSpec(channel.column, headerRow, `channel "${channel.name}"`)
+        };
+    });
+
+    const allIndices = [timeColIdx, impedanceColIdx, phaseColIdx, ...extraChannels.map(c => c.colIdx)];
+    return {
+        timeColIdx,
+        impedanceColIdx,
+        phaseColIdx,
+        extraChannels,
+        minRequiredCols: Math.max(...allIndices) + 1
+    };
+}
+
+/**
+ * Loads the named column mappings saved in the browser's localStorage.
+ * @returns {Array<Object>} Saved mapping profiles (empty if none or storage is unavailable).
+ */
+export function loadSavedColumnMappings() {
+    try {
+        const stored = window.localStorage.getItem(SAVED_MAPPINGS_STORAGE_KEY);
+        const parsed = stored ? JSON.parse(stored) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        console.warn("Could not load saved column mappings:", e);
+        return [];
+    }
+}
+
+/**
+ * Saves (or overwrites by name) a column mapping profile in localStorage.
+ * @param {Object} mapping - The mapping profile; must have a non-empty name.
+ * @returns {Array<Object>} The updated list of saved mappings.
+ * @throws {Error} If the mapping has no name or storage fails.
+ */
+export function saveColumnMapping(mapping) {
+    const name = (mapping && mapping.name ? String(mapping.name) : '').trim();
+    if (!name) {
+        throw new Error("A column mapping needs a name before it can be saved.");
+    }
+    const savedMappings = loadSavedColumnMappings().filter(m => m.name !== name);
+    savedMappings.push({ ...mapping, name });
+    savedMappings.sort((a, b) => a.name.localeCompare(b.name));
+    window.localStorage.setItem(SAVED_MAPPINGS_STORAGE_KEY, JSON.stringify(savedMappings));
+    return savedMappings;
+}
+
+/**
+ * Removes a saved column mapping profile by name.
+ * @param {string} name - The name of the mapping to delete.
+ * @returns {Array<Object>} The updated list of saved mappings.
+ */
+export function deleteSavedColumnMapping(name) {
+    const savedMappings = loadSavedColumnMappings().filter(m => m.name !== name);
+    window.localStorage.setItem(SAVED_MAPPINGS_STORAGE_KEY, JSON.stringify(savedMappings));
+    return savedMappings;
+}
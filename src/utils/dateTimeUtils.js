@@ -95,4 +95,227 @@ export function parseCustomDateTime(dateTimeString) {
     // Validate date components further if necessary (e.g., day <= 31, month <= 11)
     // For simplicity, relying on Date constructor's behavior with out-of-range values for now.
     return new Date(year, month, day, hours, minutes, seconds, milliseconds);
-}
\ No newline at end of file
+}
+
+/**
+ * Parses "A/B/YYYY HH:MM[:SS[.s]]" with strict range checks, where A/B are day/month in the given order.
+ * Date parts may be separated by '/', '.' or '-'; fractional seconds by '.' or ','; an AM/PM suffix is accepted.
+ * @param {string} dateTimeString - The date-time string to parse.
+ * @param {boolean} dayFirst - True for DD/MM/YYYY, false for MM/DD/YYYY.
+ * @returns {Date|null} A Date object (local time) or null if parsing fails or a field is out of range.
+ */
+function parseDayMonthDateTime(dateTimeString, dayFirst) {
+    const match = dateTimeString.trim().match(
+        /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})[ T]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(?:\s*([AaPp][Mm]))?$/
+    );
+    if (!match) return null;
+
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const day = dayFirst ? first : second;
+    const month = dayFirst ? second : first;
+    const year = parseInt(match[3], 10);
+    let hours = parseInt(match[4], 10);
+    const minutes = parseInt(match[5], 10);
+    const seconds = match[6] ? parseInt(match[6], 10) : 0;
+    const milliseconds = match[7] ? parseInt(match[7].padEnd(3, '0').substring(0, 3), 10) : 0;
+
+    if (match[8]) {
+        if (hours < 1 || hours > 12) return null;
+        const isPm = match[8].toLowerCase() === 'pm';
+        hours = (hours % 12) + (isPm ? 12 : 0);
+    }
+
+    if (month < 1 || month > 12 || day < 1 || hours > 23 || minutes > 59 || seconds > 59) return null;
+    const date = new Date(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    // Reject days that roll over into the next month (e.g. 31/04)
+    if (date.getDate() !== day) return null;
+    return date;
+}
+
+/**
+ * Parses an ISO 8601 date-time ("YYYY-MM-DDTHH:MM:SS.sss", optional zone). Without a zone it is local time.
+ * @param {string} dateTimeString - The date-time string to parse.
+ * @returns {Date|null} A Date object or null if parsing fails.
+ */
+function parseIsoDateTime(dateTimeString) {
+    const match = dateTimeString.trim().match(
+        /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+    );
+    if (!match) return null;
+
+    const [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+    const hours = match[4] ? parseInt(match[4], 10) : 0;
+    const minutes = match[5] ? parseInt(match[5], 10) : 0;
+    const seconds = match[6] ? parseInt(match[6], 10) : 0;
+    const milliseconds = match[7] ? parseInt(match[7].padEnd(3, '0').substring(0, 3), 10) : 0;
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hours > 23 || minutes > 59 || seconds > 59) return null;
+
+    if (!match[8]) {
+        const localDate = new Date(year, month - 1, day, hours, minutes, seconds, milliseconds);
+        return localDate.getDate() === day ? localDate : null;
+    }
+    let offsetMinutes = 0;
+    if (match[8].toUpperCase() !== 'Z') {
+        const sign = match[8].startsWith('-') ? -1 : 1;
+        const digits = match[8].replace(/[+:-]/g, '');
+        offsetMinutes = sign * (parseInt(digits.substring(0, 2), 10) * 60 + parseInt(digits.substring(2, 4), 10));
+    }
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds) - offsetMinutes * 60000);
+}
+
+/**
+ * Creates a parser for Unix epoch timestamps.
+ * @param {RegExp} pattern - Accepted digit pattern.
+ * @param {number} msPerUnit - Milliseconds per epoch unit (1000 for seconds, 1 for milliseconds).
+ * @returns {Function} (string) => Date|null
+ */
+const createEpochParser = (pattern, msPerUnit) => (dateTimeString) => {
+    const trimmed = dateTimeString.trim();
+    if (!pattern.test(trimmed)) return null;
+    const date = new Date(parseFloat(trimmed) * msPerUnit);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Registry of known timestamp formats, in detection priority order.
+const timestampFormatRegistry = [
+    { id: 'dmy', label: 'DD/MM/YYYY HH:MM:SS.s', parse: (s) => parseDayMonthDateTime(s, true) },
+    { id: 'mdy', label: 'MM/DD/YYYY HH:MM:SS.s (US)', parse: (s) => parseDayMonthDateTime(s, false) },
+    { id: 'iso8601', label: 'ISO 8601 (YYYY-MM-DDTHH:MM:SS)', parse: parseIsoDateTime },
+    { id: 'epoch_s', label: 'Unix epoch seconds', parse: createEpochParser(/^\d{9,11}(\.\d+)?$/, 1000) },
+    { id: 'epoch_ms', label: 'Unix epoch milliseconds', parse: createEpochParser(/^\d{12,14}$/, 1) }
+];
+
+// Formats that read the same digits in a different order; a sample both accept with different dates is ambiguous
+// and is read with the first format of the pair (day-first, the format of the original logger files).
+const AMBIGUOUS_FORMAT_PAIRS = [['dmy', 'mdy']];
+
+/**
+ * Registers an additional timestamp format (or replaces one with the same id).
+ * @param {{id: string, label: string, parse: Function}} format - parse(string) must return a Date or null.
+ */
+export function registerTimestampFormat(format) {
+    if (!format || !format.id || typeof format.parse !== 'function') {
+        throw new Error("A timestamp format needs an id and a parse function.");
+    }
+    const existingIndex = timestampFormatRegistry.findIndex(f => f.id === format.id);
+    if (existingIndex !== -1) {
+        timestampFormatRegistry[existingIndex] = format;
+    } else {
+        timestampFormatRegistry.push(format);
+    }
+}
+
+/**
+ * Lists the registered timestamp formats (for configuration selectors).
+ * @returns {Array<{id: string, label: string}>}
+ */
+export function getTimestampFormats() {
+    return timestampFormatRegistry.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Parses a timestamp string with a registered format.
+ * @param {string} dateTimeString - The timestamp text.
+ * @param {string} formatId - A registered format id.
+ * @returns {Date|null} The parsed Date, or null if the text does not match the format.
+ */
+export function parseTimestamp(dateTimeString, formatId) {
+    if (!dateTimeString || typeof dateTimeString !== 'string') return null;
+    const format = timestampFormatRegistry.find(f => f.id === formatId);
+    if (!format) return null;
+    const date = format.parse(dateTimeString);
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Detects the timestamp format of sample values (e.g. the first rows of a file).
+ * A format is a candidate if it parses at least 90% of the non-empty samples. If day-first and month-first
+ * both fit and give different dates (every day is 12 or lower), the samples are read day-first as before format
+ * detection existed, and the result is flagged as ambiguous with a warning.
+ * @param {Array<string>} samples - Timestamp strings to inspect.
+ * @param {string} [requestedFormat='auto'] - An explicit format id, or 'auto' to detect.
+ * @returns {{formatId: string|null, ambiguous: boolean, candidates: Array<string>, error: string|null, warning: string|null}}
+ */
+export function detectTimestampFormat(samples, requestedFormat = 'auto') {
+    const values = (samples || []).filter(v => typeof v === 'string' && v.trim() !== '');
+    if (values.length === 0) {
+        return { formatId: null, ambiguous: false, candidates: [], error: 'No timestamp values to inspect.' };
+    }
+
+    if (requestedFormat && requestedFormat !== 'auto') {
+        const format = timestampFormatRegistry.find(f => f.id === requestedFormat);
+        if (!format) {
+            return { formatId: null, ambiguous: false, candidates: [], error: `Unknown timestamp format "${requestedFormat}".`, warning: null };
+        }
+        if (!parseTimestamp(values[0], requestedFormat)) {
+            return { formatId: null, ambiguous: false, candidates: [], error: `"${values[0]}" does not match the selected timestamp format (${format.label}).`, warning: null };
+        }
+        return { formatId: requestedFormat, ambiguous: false, candidates: [requestedFormat], error: null, warning: null };
+    }
+
+    const minimumParsed = Math.ceil(values.length * 0.9); // Tolerate the odd garbled row
+    const candidates = timestampFormatRegistry
+        .filter(format => values.filter(value => parseTimestamp(value, format.id) !== null).length >= minimumParsed)
+        .map(format => format.id);
+
+    if (candidates.length === 0) {
+        return { formatId: null, ambiguous: false, candidates, error: `Unrecognised timestamp format (e.g. "${values[0]}").`, warning: null };
+    }
+
+    for (const [firstId, secondId] of AMBIGUOUS_FORMAT_PAIRS) {
+        if (candidates.includes(firstId) && candidates.includes(secondId)) {
+            const differingValue = values.find(value => {
+                const firstDate = parseTimestamp(value, firstId);
+                const secondDate = parseTimestamp(value, secondId);
+                return firstDate && secondDate && firstDate.getTime() !== secondDate.getTime();
+            });
+            if (differingValue) {
+                const labels = [firstId, secondId].map(id => timestampFormatRegistry.find(f => f.id === id).label);
+                return {
+                    formatId: firstId,
+                    ambiguous: true,
+                    candidates,
+                    error: null,
+                    warning: `Ambiguous timestamp "${differingValue}": it could be ${labels[0]} or ${labels[1]}. Reading it as ${labels[0]}; select the timestamp format explicitly in the configuration if that is wrong.`
+                };
+            }
+        }
+    }
+    return { formatId: candidates[0], ambiguous: false, candidates, error: null, warning: null };
+}
+
+// Spectroscopy filename timestamp patterns. Each converts the matched part into text for the format registry.
+// Self-describing patterns name their format; the others are read with the configured (or detected) format.
+const FILENAME_TIMESTAMP_PATTERNS = [
+    // __IS_DD_MM_YYYY hh_mm_ss(.s).csv (or MM_DD with a month-first logger)
+    { regex: /__IS_(\d{2})_(\d{2})_(\d{4}) (\d{2})_(\d{2})_(\d{2}(?:\.\d*)?)\.csv$/i, formatId: null, toText: (m) => `${m[1]}/${m[2]}/${m[3]} ${m[4]}:${m[5]}:${m[6]}` },
+    // __IS_YYYY-MM-DDThh-mm-ss(.s).csv (':' is not allowed in file names, so '-' or '_' separate the time)
+    { regex: /__IS_(\d{4}-\d{2}-\d{2})[T _](\d{2})[-_](\d{2})[-_](\d{2}(?:\.\d+)?)\.csv$/i, formatId: 'iso8601', toText: (m) => `${m[1]}T${m[2]}:${m[3]}:${m[4]}` },
+    // __IS_<unix epoch>.csv
+    { regex: /__IS_(\d{9,14}(?:\.\d+)?)\.csv$/i, formatId: null, toText: (m) => m[1] }
+];
+
+/**
+ * Extracts the timestamp part of a spectroscopy filename.
+ * @param {string} fileName - e.g. "Sample__IS_16_03_2023 18_36_26.7.csv".
+ * @returns {{text: string, formatId: string|null}|null} The timestamp text (e.g. "16/03/2023 18:36:26.7") and,
+ * for self-describing patterns such as ISO 8601, the format to read it with; null if no known pattern matches.
+ */
+export function extractFileNameTimestamp(fileName) {
+    for (const pattern of FILENAME_TIMESTAMP_PATTERNS) {
+        const match = String(fileName || '').match(pattern.regex);
+        if (match) return { text: pattern.toText(match), formatId: pattern.formatId };
+    }
+    return null;
+}
+
+/**
+ * Extracts the timestamp part of a spectroscopy filename as text the format registry understands.
+ * @param {string} fileName - e.g. "Sample__IS_16_03_2023 18_36_26.7.csv".
+ * @returns {string|null} e.g. "16/03/2023 18:36:26.7", or null if no known pattern matches.
+ */
+export function extractFileNameTimestampText(fileName) {
+    const extracted = extractFileNameTimestamp(fileName);
+    return extracted ? extracted.text : null;
+}
@@ -0,0 +1,108 @@
+// src/utils/driftCorrection.js
+// Baseline drift correction for time-series impedance: a baseline is fitted through the data between gas exposures
+// and its change since the reference time is removed from the impedance before the signal is computed.
+import { createNaturalCubicSpline, fitPolynomial } from './numericUtils.js';
+
+export const DRIFT_CORRECTION_METHODS = [
+    { value: 'none', label: 'None' },
+    { value: 'linear', label: 'Linear fit' },
+    { value: 'polynomial', label: 'Polynomial fit' },
+    { value: 'spline', label: 'Cubic spline through baseline segments' }
+];
+
+export const DEFAULT_DRIFT_CORRECTION = {
+    method: 'none',
+    polynomialOrder: 2,  // For 'polynomial'
+    settleMinutes: 5     // Data right after an exposure ends is still recovering and is left out of the baseline
+};
+
+/**
+ * Splits the valid rows outside the exposure events into baseline segments. A segment ends where an event starts,
+ * and rows within settleMinutes after an event ends are left out.
+ * @param {Array<Object>} rows - Sensor rows with time_min and impedance.
+ * @param {Array<Object>} events - Gas exposure events { startTime, endTime } in minutes.
+ * @param {number} settleMinutes - Recovery time excluded after each event.
+ * @returns {Array<Array<Object>>} The segments, each a list of { time, value }.
+ */
+export function findBaselineSegments(rows, events, settleMinutes) {
+    const settle = Math.max(0, Number(settleMinutes) || 0);
+    const eventIndexAt = (time) => events.findIndex(event => time >= event.startTime && time <= event.endTime + settle);
+    const segments = [];
+    let currentSegment = [];
+    let currentGap = null; // Index of the last event before the current segment
+    rows.forEach(row => {
+        if (isNaN(row.time_min) || isNaN(row.impedance)) return;
+        if (eventIndexAt(row.time_min) !== -1) {
+            if (currentSegment.length > 0) segments.push(currentSegment);
+            currentSegment = [];
+            return;
+        }
+        const gap = events.filter(event => event.endTime < row.time_min).length;
+        if (gap !== currentGap && currentSegment.length > 0) {
+            segments.push(currentSegment);
+            currentSegment = [];
+        }
+        currentGap = gap;
+        currentSegment.push({ time: row.time_min, value: row.impedance });
+    });
+    if (currentSegment.length > 0) segments.push(currentSegment);
+    return segments;
+}
+
+/**
+ * Fits the drift baseline through the baseline segments.
+ * 'linear' and 'polynomial' are least-squares fits through all baseline points; 'spline' passes a natural cubic
+ * spline through the median of each segment (at the segment's mean time), so noise within a segment is averaged out.
+ * @param {Array<Array<Object>>} segments - From findBaselineSegments.
+ * @param {Object} settings - { method, polynomialOrder } (see DEFAULT_DRIFT_CORRECTION).
+ * @returns {Function|null} The baseline as a function of time in minutes, or null if there is too little baseline data.
+ */
+export function fitDriftBaseline(segments, settings) {
+    const points = segments.flat();
+    switch (settings.method) {
+        case 'linear':
+            return points.length >= 2 ? fitPolynomial(points.map(p => p.time), points.map(p => p.value), 1) : null;
+        case 'polynomial':
+            return points.length >= 2 ? fitPolynomial(points.map(p => p.time), points.map(p => p.value), settings.polynomialOrder) : null;
+        case 'spline': {
+            if (segments.length === 0) return null;
+            const knots = segments.map(segment => {
+                const values = segment.map(p => p.value).sort((a, b) => a - b);
+                const middle = Math.floor(values.length / 2);
+                return {
+                    time: segment.reduce((sum, p) => sum + p.time, 0) / segment.length,
+                    value: values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2
+                };
+            });
+            return createNaturalCubicSpline(knots.map(k => k.time), knots.map(k => k.value));
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Corrects a sensor's rows for drift: adds baseline_fit (the fitted baseline) and impedance_corrected
+ * (impedance minus the baseline change since the reference time) to every row.
+ * @param {Array<Object>} rows - Sensor rows with time_min and impedance (modified in place).
+ * @param {Array<Object>} events - Gas exposure events { startTime, endTime } in minutes.
+ * @param {number} refTimeMinutes - The time of the reference impedance; the correction is zero there.
+ * @param {Object} settings - See DEFAULT_DRIFT_CORRECTION.
+ * @returns {Object|null} { method, segmentCount, baselinePointCount }, or null if no baseline could be fitted
+ * (the rows are then left unchanged).
+ */
+export function applyDriftCorrection(rows, events, refTimeMinutes, settings) {
+    const segments = findBaselineSegments(rows, events || [], settings.settleMinutes);
+    const baseline = fitDriftBaseline(segments, settings);
+    if (!baseline) return null;
+    const referenceBaseline = baseline(refTimeMinutes);
+    rows.forEach(row => {
+        row.baseline_fit = isNaN(row.time_min) ? NaN : baseline(row.time_min);
+        row.impedance_corrected = row.impedance - (row.baseline_fit - referenceBaseline);
+    });
+    return {
+        method: settings.method,
+        segmentCount: segments.length,
+        baselinePointCount: segments.reduce((sum, segment) => sum + segment.length, 0)
+    };
+}
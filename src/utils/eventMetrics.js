@@ -0,0 +1,124 @@
+// src/utils/eventMetrics.js
+// Response and recovery metrics of each sensor for each gas exposure event, computed from the signal column
+// (in the unit of the configured signal definition, see signalDefinitions.js).
+
+export const DEFAULT_EVENT_METRICS_SETTINGS = {
+    baselineWindowMinutes: 5,  // Signal averaged over this window before each exposure gives the baseline
+    steadyStateFraction: 0.2   // Last fraction of the exposure averaged for the steady-state response
+};
+
+// Columns of the metrics table and export, in display order
+export const EVENT_METRIC_COLUMNS = [
+    { key: 'sensorNumber', label: 'Sensor' },
+    { key: 'eventNumber', label: 'Event' },
+    { key: 'gas', label: 'Gas' },
+    { key: 'concentration', label: 'Concentration' },
+    { key: 'startTime', label: 'Start (min)' },
+    { key: 'endTime', label: 'End (min)' },
+    { key: 'baseline', label: 'Baseline signal' },
+    { key: 'baselineNoise', label: 'Baseline noise σ' },
+    { key: 'peakResponse', label: 'Peak response' },
+    { key: 'peakTime', label: 'Peak time (min)' },
+    { key: 'steadyStateResponse', label: 'Steady-state response' },
+    { key: 't90', label: 't90 (min)' },
+    { key: 't10', label: 't10 recovery (min)' },
+    { key: 'auc', label: 'AUC (signal·min)' }
+];
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : NaN);
+
+const standardDeviation = (values) => {
+    if (values.length < 2) return NaN;
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - average) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Computes the metrics of one sensor for one exposure event.
+ * Responses are signal minus the pre-exposure baseline. t90 is the time from exposure start until the response
+ * first reaches 90% of the steady-state response; t10 is the time from exposure end until the response falls
+ * to 10% of its value at the end of the exposure (searched until the next exposure starts).
+ * @param {Array<{time: number, signal: number}>} points - The sensor's valid points, sorted by time.
+ * @param {Object} event - { startTime, endTime } in minutes.
+ * @param {number} nextEventStart - Start of the following event (Infinity for the last one).
+ * @param {Object} settings - See DEFAULT_EVENT_METRICS_SETTINGS.
+ * @returns {Object} { baseline, baselineNoise (standard deviation in the baseline window), peakResponse, peakTime,
+ * steadyStateResponse, t90, t10, auc } (NaN where undefined).
+ */
+function calculateSingleEventMetrics(points, event, nextEventStart, settings) {
+    const baselineSignals = points
+        .filter(p => p.time < event.startTime && p.time >= event.startTime - settings.baselineWindowMinutes)
+        .map(p => p.signal);
+    const baseline = mean(baselineSignals);
+    const exposurePoints = points.filter(p => p.time >= event.startTime && p.time <= event.endTime);
+    const metrics = {
+        baseline,
+        baselineNoise: standardDeviation(baselineSignals),
+        peakResponse: NaN,
+        peakTime: NaN,
+        steadyStateResponse: NaN,
+        t90: NaN,
+        t10: NaN,
+        auc: NaN
+    };
+    if (isNaN(baseline) || exposurePoints.length === 0) return metrics;
+
+    const responses = exposurePoints.map(p => ({ time: p.time, response: p.signal - baseline }));
+    const peak = responses.reduce((best, r) => (Math.abs(r.response) > Math.abs(best.response) ? r : best), responses[0]);
+    metrics.peakResponse = peak.response;
+    metrics.peakTime = peak.time;
+
+    const steadyStateStart = event.endTime - (event.endTime - event.startTime) * settings.steadyStateFraction;
+    const steadyStatePoints = responses.filter(r => r.time >= steadyStateStart);
+    metrics.steadyStateResponse = mean((steadyStatePoints.length > 0 ? steadyStatePoints : responses.slice(-1)).map(r => r.response));
+
+    if (metrics.steadyStateResponse !== 0) {
+        const t90Point = responses.find(r => r.response / metrics.steadyStateResponse >= 0.9);
+        if (t90Point) metrics.t90 = t90Point.time - event.startTime;
+    }
+
+    const endResponse = responses[responses.length - 1].response;
+    if (endResponse !== 0) {
+        const t10Point = points.find(p => p.time > event.endTime && p.time < nextEventStart && (p.signal - baseline) / endResponse <= 0.1);
+        if (t10Point) metrics.t10 = t10Point.time - event.endTime;
+    }
+
+    metrics.auc = 0;
+    for (let i = 1; i < responses.length; i++) {
+        metrics.auc += (responses[i].time - responses[i - 1].time) * (responses[i].response + responses[i - 1].response) / 2;
+    }
+    return metrics;
+}
+
+/**
+ * Computes per-sensor, per-event response and recovery metrics.
+ * @param {Array<Object>} timeSeriesData - Processed sensor tables { sensorNumber, fileName, data: [{ time_min, signal }] }.
+ * @param {Array<Object>} events - Gas exposure events { startTime, endTime, concentration, gas } from identifyGasExposureEvents.
+ * @param {Object} [settings=DEFAULT_EVENT_METRICS_SETTINGS] - Baseline window and steady-state fraction.
+ * @returns {Array<Object>} One row per sensor and event with the keys of EVENT_METRIC_COLUMNS (and fileName).
+ */
+export function calculateEventMetrics(timeSeriesData, events, settings = DEFAULT_EVENT_METRICS_SETTINGS) {
+    if (!timeSeriesData || !events || events.length === 0) return [];
+    const sortedEvents = [...events].sort((a, b) => a.startTime - b.startTime);
+    const rows = [];
+    timeSeriesData.forEach(sensorTable => {
+        const points = sensorTable.data
+            .filter(row => !isNaN(row.time_min) && typeof row.signal === 'number' && !isNaN(row.signal))
+            .map(row => ({ time: row.time_min, signal: row.signal }))
+            .sort((a, b) => a.time - b.time);
+        sortedEvents.forEach((event, i) => {
+            const nextEventStart = i + 1 < sortedEvents.length ? sortedEvents[i + 1].startTime : Infinity;
+            rows.push({
+                sensorNumber: sensorTable.sensorNumber,
+                fileName: sensorTable.fileName,
+                eventNumber: i + 1,
+                gas: event.gas || '',
+                concentration: event.concentration,
+                startTime: event.startTime,
+                endTime: event.endTime,
+                ...calculateSingleEventMetrics(points, event, nextEventStart, settings)
+            });
+        });
+    });
+    return rows;
+}
@@ -0,0 +1,153 @@
+// src/utils/formatDetection.js
+// Registry of file format detectors. Each detector scores a sample of a file (0 = not this format,
+// 1 = certainly this format) and names the parser that reads the format, so new instrument formats
+// can be recognised by registering a detector instead of editing the upload view.
+import { parseLocaleNumber } from './localeDetection.js';
+import { extractFileNameTimestampText, getTimestampFormats, parseTimestamp } from './dateTimeUtils.js';
+import { detectSpectroscopyColumns } from './impedanceModel.js';
+import { parseGasProgramHeader } from './gasCalculations.js';
+
+// Files whose best guess scores below this are rejected as unrecognised
+export const MIN_FORMAT_CONFIDENCE = 0.5;
+
+const SAMPLE_ROWS = 30; // Rows inspected by the built-in detectors
+
+const countNumericCells = (row, decimalSeparator) => row.filter(cell => String(cell).trim() !== '' && isFinite(parseLocaleNumber(cell, decimalSeparator))).length;
+
+const isTimestampCell = (cell) => getTimestampFormats().some(format => parseTimestamp(String(cell).trim(), format.id) !== null);
+
+/**
+ * Rows of at least three numeric cells whose first column (frequency) is positive, monotonic and spans a decade.
+ * @param {Array<Array<string>>} rows - Sample rows.
+ * @param {string} decimalSeparator - '.' or ','.
+ * @returns {boolean} True if the numeric rows look like a frequency sweep.
+ */
+const looksLikeFrequencySweep = (rows, decimalSeparator) => {
+    const numericRows = rows.filter(row => row.length >= 3 && countNumericCells(row.slice(0, 3), decimalSeparator) === 3);
+    if (numericRows.length < 3) return false;
+    const frequencies = numericRows.map(row => parseLocaleNumber(row[0], decimalSeparator));
+    const increasing = frequencies.every((f, i) => i === 0 || f > frequencies[i - 1]);
+    const decreasing = frequencies.every((f, i) => i === 0 || f < frequencies[i - 1]);
+    const minimum = Math.min(...frequencies);
+    return minimum > 0 && (increasing || decreasing) && Math.max(...frequencies) / minimum >= 10;
+};
+
+const formatDetectorRegistry = [
+    {
+        id: 'spectroscopy_header',
+        label: 'Impedance sweep (with column header)',
+        parser: 'spectroscopy',
+        detect: ({ fileName, rows }) => {
+            const hasHeader = rows.some(row => {
+                const line = row.join(' ').toLowerCase();
+                return (line.includes('frequency (hz)') && line.includes('angle')) || (row.length >= 3 && detectSpectroscopyColumns(row) !== null);
+            });
+            if (!hasHeader) return 0;
+            return extractFileNameTimestampText(fileName) !== null ? 1 : 0.9;
+        }
+    },
+    {
+        id: 'spectroscopy_table',
+        label: 'Impedance sweep (frequency, angle, |Z| without header)',
+        parser: 'spectroscopy',
+        detect: ({ fileName, rows, decimalSeparator }) => {
+            if (!looksLikeFrequencySweep(rows, decimalSeparator)) return 0;
+            return /__is_/i.test(fileName) && extractFileNameTimestampText(fileName) !== null ? 0.9 : 0.6;
+        }
+    },
+    {
+        id: 'time_series_log',
+        label: 'Sensor log (timestamped impedance/phase rows)',
+        parser: 'time_series',
+        detect: ({ fileName, rows, decimalSeparator }) => {
+            const dataRows = rows.filter(row => row.some(cell => String(cell).trim() !== '')).slice(0, 20);
+            if (dataRows.length === 0) return 0;
+            const timestampedRows = dataRows.filter(row => {
+                const timestampIndex = row.findIndex(isTimestampCell);
+                if (timestampIndex === -1) return false;
+                return countNumericCells(row.filter((cell, i) => i !== timestampIndex), decimalSeparator) >= 2;
+            });
+            const fraction = timestampedRows.length / dataRows.length;
+            return 0.85 * fraction + (/vs_time/i.test(fileName) ? 0.15 : 0);
+        }
+    },
+    {
+        id: 'gas_program_header',
+        label: 'Gas flow program (with column header)',
+        parser: 'gas_program',
+        detect: ({ fileName, rows }) => {
+            if (rows.length === 0 || !parseGasProgramHeader(rows[0])) return 0;
+            return fileName.toLowerCase() === 'gas_flow_table.csv' ? 1 : 0.8;
+        }
+    },
+    {
+        id: 'gas_program_table',
+        label: 'Gas flow table (balance flow, target flow, duration without header)',
+        parser: 'gas_program',
+        detect: ({ fileName, rows, decimalSeparator }) => {
+            const isHeaderlessTable = rows.length > 0 &&
+                rows.every(row => row.length >= 3 && countNumericCells(row, decimalSeparator) === row.filter(cell => String(cell).trim() !== '').length) &&
+                !looksLikeFrequencySweep(rows, decimalSeparator);
+            if (!isHeaderlessTable) return 0;
+            return fileName.toLowerCase() === 'gas_flow_table.csv' ? 0.9 : 0.4;
+        }
+    }
+];
+
+/**
+ * Whether a recognised file is a headerless gas flow table, the only gas program format that uses the
+ * cylinder concentrations and total flow from the configuration.
+ * @param {Object} recognition - An entry from recognizeFileFormats.
+ * @returns {boolean}
+ */
+export function isHeaderlessGasTable(recognition) {
+    return Boolean(recognition && recognition.parser === 'gas_program' && recognition.guesses.length > 0 && recognition.guesses[0].id === 'gas_program_table');
+}
+
+/**
+ * Registers an additional format detector (or replaces one with the same id).
+ * @param {Object} detector - { id, label, parser ('time_series', 'spectroscopy', 'gas_program' or another parser kind),
+ * detect(sample) -> score between 0 and 1 }. The sample is { fileName, lines, rows, delimiter, decimalSeparator }.
+ */
+export function registerFormatDetector(detector) {
+    if (!detector || !detector.id || !detector.parser || typeof detector.detect !== 'function') {
+        throw new Error("A format detector needs an id, a parser and a detect function.");
+    }
+    const existingIndex = formatDetectorRegistry.findIndex(d => d.id === detector.id);
+    if (existingIndex !== -1) {
+        formatDetectorRegistry[existingIndex] = detector;
+    } else {
+        formatDetectorRegistry.push(detector);
+    }
+}
+
+/**
+ * Lists the registered format detectors.
+ * @returns {Array<{id: string, label: string, parser: string}>}
+ */
+export function getFormatDetectors() {
+    return formatDetectorRegistry.map(({ id, label, parser }) => ({ id, label, parser }));
+}
+
+/**
+ * Scores a file sample with every registered detector.
+ * A detector that throws is treated as not recognising the file.
+ * @param {Object} sample - { fileName, lines, rows (first rows split into cells), delimiter, decimalSeparator }.
+ * @returns {Array<{id: string, label: string, parser: string, score: number}>} Detectors with a score above 0,
+ * best first.
+ */
+export function scoreFormatDetectors(sample) {
+    const limitedSample = { ...sample, rows: sample.rows.slice(0, SAMPLE_ROWS) };
+    return formatDetectorRegistry
+        .map(({ id, label, parser, detect }) => {
+            let score = 0;
+            try {
+                score = Math.min(1, Math.max(0, Number(detect(limitedSample)) || 0));
+            } catch (e) {
+                console.warn(`Format detector ${id} failed on ${sample.fileName}:`, e);
+            }
+            return { id, label, parser, score };
+        })
+        .filter(guess => guess.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
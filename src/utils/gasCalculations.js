@@ -2,10 +2,14 @@
 
 /**
  * Calculates the gas concentration vs. time profile.
+ * Two cylinders are mixed: the target line (cylinder 2, gasConcCyl2) and the balance line (cylinder 1, gasConcCyl1),
+ * made up to the total flow with zero air: conc = (gasConcCyl2 * targetGasFlow + gasConcCyl1 * balanceFlow) / totalFlowrate.
+ * With gasConcCyl1 = 0 this is the original single-cylinder dilution.
  * Original dependencies: config.totalFlowrate, config.gasConcCyl2, gasFlowData array.
- * @param {Array<Object>} gasFlowData - Array of { targetGasFlow: number, durationSeconds: number }.
+ * @param {Array<Object>} gasFlowData - Array of { balanceFlow: number, targetGasFlow: number, durationSeconds: number }.
+ * A missing balanceFlow is taken as the rest of the total flow.
  * @param {Object} config - Configuration object. Expected properties:
- * { totalFlowrate: number, gasConcCyl2: number }.
+ * { totalFlowrate: number, gasConcCyl2: number, gasConcCyl1: number }.
  * @returns {Array<Object>} Array of { time_min: number, conc: number }.
  */
 export function calculateGasConcVsTime(gasFlowData, config) {
@@ -16,6 +20,7 @@ export function calculateGasConcVsTime(gasFlowData, config) {
 
     const totalFlowrate = config && typeof config.totalFlowrate === 'number' ? config.totalFlowrate : 500;
     const gasConcCyl2 = config && typeof config.gasConcCyl2 === 'number' ? config.gasConcCyl2 : 0;
+    const gasConcCyl1 = config && typeof config.gasConcCyl1 === 'number' && !isNaN(config.gasConcCyl1) ? config.gasConcCyl1 : 0;
     const oneSecondInMinutes = 1 / 60; // For the sharp transition
 
     if (!gasFlowData || gasFlowData.length === 0) {
@@ -31,10 +36,14 @@ export function calculateGasConcVsTime(gasFlowData, config) {
         const previousConcentration = currentConcentration;
 
         // Calculate new concentration for the current step
+        const balanceFlow = typeof step.balanceFlow === 'number' && !isNaN(step.balanceFlow)
+            ? step.balanceFlow
+            : Math.max(0, totalFlowrate - step.targetGasFlow);
+        const targetGasAmount = gasConcCyl2 * step.targetGasFlow + gasConcCyl1 * balanceFlow;
         if (totalFlowrate === 0) {
-            currentConcentration = (gasConcCyl2 > 0 && step.targetGasFlow > 0) ? Infinity : 0;
+            currentConcentration = targetGasAmount > 0 ? Infinity : 0;
         } else {
-            currentConcentration = (gasConcCyl2 * step.targetGasFlow) / totalFlowrate;
+            currentConcentration = targetGasAmount / totalFlowrate;
         }
 
         // Point 1: End of the previous concentration period (at currentTimeSeconds)
@@ -109,9 +118,48 @@ export function calculateGasConcVsTime(gasFlowData, config) {
 }
 
 
+const MAX_CONCENTRATION_PRECISION = 6; // Decimal places accepted for gasConcPrecision
+
+/**
+ * Checks the cylinder settings of the legacy two-cylinder dilution.
+ * @param {Object} config - { gasConcCyl2, gasConcCyl1, totalFlowrate, gasConcPrecision } (numbers or numeric strings).
+ * @returns {Array<string>} Problems found; empty if the settings are usable.
+ */
+export function validateDilutionSettings(config) {
+    const problems = [];
+    const gasConcCyl2 = parseFloat(config.gasConcCyl2);
+    const gasConcCyl1 = parseFloat(config.gasConcCyl1);
+    const precision = Number(config.gasConcPrecision);
+    if (isNaN(gasConcCyl2) || gasConcCyl2 < 0) problems.push('The target cylinder concentration must be a number of at least 0.');
+    if (isNaN(gasConcCyl1) || gasConcCyl1 < 0) problems.push('The balance cylinder concentration must be a number of at least 0.');
+    if (!(parseFloat(config.totalFlowrate) > 0)) problems.push('The total flow rate must be greater than 0.');
+    if (!Number.isInteger(precision) || precision < 0 || precision > MAX_CONCENTRATION_PRECISION) {
+        problems.push(`The concentration precision must be a whole number from 0 to ${MAX_CONCENTRATION_PRECISION}.`);
+    }
+    return problems;
+}
+
+/**
+ * Rounds a concentration for labelling (event concentrations, calibration points) to config.gasConcPrecision decimals,
+ * so that 19.999999 and 20.000001 ppm label the same exposure level.
+ * @param {number} concentration - The concentration.
+ * @param {number} precision - Decimal places; invalid values leave the concentration unrounded.
+ * @returns {number} The rounded concentration.
+ */
+export function roundConcentration(concentration, precision) {
+    const decimals = Number(precision);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_CONCENTRATION_PRECISION || !isFinite(concentration)) {
+        return concentration;
+    }
+    return Number(concentration.toFixed(decimals));
+}
+
+
 /**
  * Identifies gas exposure events from a concentration profile.
- * @param {Array<Object>} gasConcProfile - Sorted array of { time_min: number, conc: number }.
+ * A ramp (a point flagged `rampToNext`, see buildSteppedProfile) starts the event of its target concentration at the
+ * beginning of the ramp, e.g. a ramp from 0 over 1-2 min followed by a step down gives one event from 1 to 2 min.
+ * @param {Array<Object>} gasConcProfile - Sorted array of { time_min: number, conc: number, rampToNext?: boolean }.
  * @returns {Array<Object>} Array of events { startTime: number, concentration: number, endTime: number }.
  */
 
@@ -155,6 +203,15 @@ export function identifyGasExposureEvents(gasConcProfile) {
                 }
             }
         }
+
+        // A ramp changes the concentration from this point on, so the event of its target starts here
+        const next = gasConcProfile[i + 1];
+        if (point.rampToNext && next && next.conc !== point.conc) {
+            if (activeEvent && activeEvent.endTime > activeEvent.startTime) {
+                events.push({ ...activeEvent });
+            }
+            activeEvent = next.conc > 0 ? { startTime: point.time_min, concentration: next.conc, endTime: point.time_min } : null;
+        }
     }
     // Add the last active event if it exists, has duration, and hasn't been added.
     // The original code had this check as well.
@@ -180,7 +237,8 @@ export function identifyGasExposureEvents(gasConcProfile) {
 
 /**
  * Interpolates gas concentration using a 'previous value' method with extrapolation.
- * @param {Array<Object>} concProfile - Sorted array of { time_min: number, conc: number } points.
+ * Points flagged `rampToNext` are interpolated linearly towards the following point instead.
+ * @param {Array<Object>} concProfile - Sorted array of { time_min: number, conc: number, rampToNext?: boolean } points.
  * @param {number} targetTimeMin - The time for which to interpolate/extrapolate.
  * @returns {number} Interpolated or extrapolated concentration, or NaN if profile is empty or targetTimeMin is NaN.
  */
@@ -193,14 +251,227 @@ export function interpolateGasConcentration(concProfile, targetTimeMin) {
         return concProfile[0].conc;
     }
 
-    let resultConc = concProfile[0].conc; // Default to first if no other found
-    for (let i = 0; i < concProfile.length; i++) {
-        if (concProfile[i].time_min <= targetTimeMin) {
-            resultConc = concProfile[i].conc;
-        } else {
-            // Found the point just after targetTimeMin, so the previous one was correct
-            break;
+    // Binary search for the last point with time_min <= targetTimeMin (profiles can have thousands of points once
+    // chamber mixing is applied, and this runs for every data row)
+    let low = 0;
+    let high = concProfile.length;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (concProfile[mid].time_min > targetTimeMin) high = mid; else low = mid;
+    }
+
+    // Ramp segments (gas programs) are interpolated linearly up to the next point
+    const point = concProfile[low];
+    const next = concProfile[low + 1];
+    if (point.rampToNext && next && next.time_min > point.time_min) {
+        const fraction = (targetTimeMin - point.time_min) / (next.time_min - point.time_min);
+        return point.conc + fraction * (next.conc - point.conc);
+    }
+    return point.conc; // The last value where time_min <= targetTimeMin, or the last point if targetTimeMin is beyond the profile
+}
+
+
+// --- Headered gas programs (several mass flow controllers, ramps) ---
+
+const ONE_SECOND_IN_MINUTES = 1 / 60;
+const GAS_PROGRAM_DURATION_PATTERN = /^(duration|dur)(_?(s|sec|min))?$/;
+const GAS_PROGRAM_TYPE_PATTERN = /^(type|mode)$/;
+const GAS_PROGRAM_IGNORED_PATTERN = /^(step|no\.?|#|label|comment|note)$/;
+const GAS_PROGRAM_CARRIER_PATTERN = /^(carrier|balance|diluent)$/i;
+
+/**
+ * Splits a header cell into its name and the text in trailing brackets: "NO2 (10 ppm)" -> ["NO2", "10 ppm"].
+ * @param {string} headerCell - The raw header text.
+ * @returns {{name: string, bracket: string}}
+ */
+const splitHeaderBracket = (headerCell) => {
+    const text = String(headerCell ?? '').trim();
+    const match = text.match(/^(.*?)\s*[([]\s*([^)\]]*?)\s*[)\]]\s*$/);
+    return match ? { name: match[1], bracket: match[2] } : { name: text, bracket: '' };
+};
+
+/**
+ * Detects the columns of a headered gas program.
+ * Recognised columns: a duration ("duration_s", "duration (min)"), an optional step type ("type": step|ramp),
+ * optional step labels, and one flow column per mass flow controller. A flow column named like "NO2 (10 ppm)" is a gas
+ * with that cylinder concentration; "N2 (carrier)" or a name without brackets is a carrier/balance gas.
+ * @param {Array<string>} headerRow - The header cells.
+ * @returns {Object|null} { durationColumn, durationScale (to seconds), typeColumn, channels: [{ name, column,
+ * cylinderConc, unit, isCarrier }] }, or null if the row has no duration column or no flow columns.
+ */
+export function parseGasProgramHeader(headerRow) {
+    if (!Array.isArray(headerRow)) return null;
+    let durationColumn = -1;
+    let durationScale = 1;
+    let typeColumn = -1;
+    const channels = [];
+
+    headerRow.forEach((cell, column) => {
+        const { name, bracket } = splitHeaderBracket(cell);
+        const normalizedName = name.toLowerCase().replace(/\s+/g, '');
+        if (normalizedName === '') return;
+
+        if (durationColumn === -1 && GAS_PROGRAM_DURATION_PATTERN.test(normalizedName)) {
+            durationColumn = column;
+            durationScale = /min/.test(normalizedName) || /^min/i.test(bracket) ? 60 : 1;
+        } else if (typeColumn === -1 && GAS_PROGRAM_TYPE_PATTERN.test(normalizedName)) {
+            typeColumn = column;
+        } else if (!GAS_PROGRAM_IGNORED_PATTERN.test(normalizedName)) {
+            const concMatch = bracket.match(/^([+-]?\d+(?:[.,]\d+)?(?:e[+-]?\d+)?)\s*(.*)$/i);
+            const cylinderConc = concMatch ? parseFloat(concMatch[1].replace(',', '.')) : NaN;
+            const isCarrier = !concMatch || GAS_PROGRAM_CARRIER_PATTERN.test(bracket) || cylinderConc === 0;
+            const baseName = name.trim();
+            const duplicates = channels.filter(channel => channel.name === baseName || channel.name.startsWith(`${baseName} (`)).length;
+            channels.push({
+                name: duplicates > 0 ? `${baseName} (${duplicates + 1})` : baseName,
+                column,
+                cylinderConc: isCarrier ? 0 : cylinderConc,
+                unit: concMatch && concMatch[2] ? concMatch[2] : 'ppm',
+                isCarrier
+            });
+        }
+    });
+
+    if (durationColumn === -1 || channels.length === 0) return null;
+    return { durationColumn, durationScale, typeColumn, channels };
+}
+
+/**
+ * Builds a concentration profile from per-step concentrations. Steps switch over 1 second (as calculateGasConcVsTime);
+ * ramp steps change linearly from the previous step's concentration over their whole duration.
+ * @param {Array<Object>} steps - [{ durationSeconds, type: 'step'|'ramp' }].
+ * @param {Array<number>} stepConcentrations - The concentration reached in each step.
+ * @returns {Array<Object>} Array of { time_min, conc, rampToNext? }.
+ */
+const buildSteppedProfile = (steps, stepConcentrations) => {
+    const profile = [{ time_min: 0, conc: 0 }];
+    let currentTimeSeconds = 0;
+    let previousConcentration = 0;
+
+    steps.forEach((step, i) => {
+        const concentration = stepConcentrations[i];
+        const startMin = currentTimeSeconds / 60;
+        const lastPoint = profile[profile.length - 1];
+        if (step.type === 'ramp') {
+            lastPoint.rampToNext = true; // The last point is always the end of the previous step
+        } else if (concentration !== previousConcentration) {
+            profile.push({ time_min: startMin + ONE_SECOND_IN_MINUTES, conc: concentration });
         }
+        currentTimeSeconds += step.durationSeconds;
+        profile.push({ time_min: currentTimeSeconds / 60, conc: concentration });
+        previousConcentration = concentration;
+    });
+    return profile;
+};
+
+/**
+ * Calculates one concentration profile per gas of a gas program.
+ * Legacy (headerless) programs give a single profile for the target gas via calculateGasConcVsTime.
+ * For headered programs each gas is diluted by the sum of all flows in the step when the program has a carrier
+ * channel, or by config.totalFlowrate otherwise: conc = cylinderConc * flow / totalFlow.
+ * @param {Object} gasProgram - From parseGasProgramFile: { format: 'legacy'|'headered', channels, steps }.
+ * @param {Object} config - { totalFlowrate, gasConcCyl2, targetGasName }.
+ * @returns {Array<Object>} [{ gas, unit, cylinderConc, profile: [{ time_min, conc, rampToNext? }] }], in channel order.
+ */
+export function calculateGasProgramProfiles(gasProgram, config) {
+    if (gasProgram.format === 'legacy') {
+        return [{
+            gas: config.targetGasName || 'Target Gas',
+            unit: 'ppm',
+            cylinderConc: config.gasConcCyl2,
+            profile: calculateGasConcVsTime(gasProgram.steps, config)
+        }];
     }
-    return resultConc; // This will be the last value where time_min <= targetTimeMin, or last point if targetTimeMin is beyond profile
-}
\ No newline at end of file
+
+    const hasCarrier = gasProgram.channels.some(channel => channel.isCarrier);
+    const configTotalFlowrate = typeof config.totalFlowrate === 'number' ? config.totalFlowrate : 500;
+    const stepTotalFlows = gasProgram.steps.map(step => (hasCarrier
+        ? gasProgram.channels.reduce((sum, channel) => sum + (step.flows[channel.name] || 0), 0)
+        : configTotalFlowrate));
+
+    return gasProgram.channels.filter(channel => !channel.isCarrier).map(channel => {
+        const stepConcentrations = gasProgram.steps.map((step, i) => (stepTotalFlows[i] > 0
+            ? (channel.cylinderConc * (step.flows[channel.name] || 0)) / stepTotalFlows[i]
+            : 0));
+        return {
+            gas: channel.name,
+            unit: channel.unit,
+            cylinderConc: channel.cylinderConc,
+            profile: buildSteppedProfile(gasProgram.steps, stepConcentrations)
+        };
+    });
+}
+
+/**
+ * Delays a concentration profile, e.g. by the gas program start offset and the transport dead time.
+ * Before its first point the shifted profile keeps the first concentration (see interpolateGasConcentration).
+ * @param {Array<Object>} concProfile - Sorted array of { time_min, conc, rampToNext? } points.
+ * @param {number} shiftMinutes - The delay (negative to advance).
+ * @returns {Array<Object>} A new profile.
+ */
+export function shiftGasProfile(concProfile, shiftMinutes) {
+    return (concProfile || []).map(point => ({ ...point, time_min: point.time_min + shiftMinutes }));
+}
+
+/**
+ * Delays gas exposure events by the same shift as their profile.
+ * @param {Array<Object>} events - Events { startTime, endTime, ... } from identifyGasExposureEvents.
+ * @param {number} shiftMinutes - The delay (negative to advance).
+ * @returns {Array<Object>} New events.
+ */
+export function shiftGasExposureEvents(events, shiftMinutes) {
+    return (events || []).map(event => ({ ...event, startTime: event.startTime + shiftMinutes, endTime: event.endTime + shiftMinutes }));
+}
+
+
+// --- Chamber mixing (first-order model) ---
+
+export const DEFAULT_CHAMBER_MIXING = {
+    enabled: false,
+    chamberVolumeMl: 250  // With the total flow rate in sccm (mL/min) this gives the time constant τ = V / Q
+};
+
+const MIXING_STEPS_PER_TIME_CONSTANT = 10;
+const MAX_MIXING_POINTS = 20000;
+const MIXING_TAIL_TIME_CONSTANTS = 5; // The decay after the last step is followed for this many time constants
+
+/**
+ * Calculates the mixing time constant of a well-stirred chamber.
+ * @param {number} chamberVolumeMl - Chamber volume in mL.
+ * @param {number} totalFlowrate - Total flow in sccm (mL/min).
+ * @returns {number} τ in minutes, or NaN if either value is not positive.
+ */
+export function calculateMixingTimeConstant(chamberVolumeMl, totalFlowrate) {
+    return chamberVolumeMl > 0 && totalFlowrate > 0 ? chamberVolumeMl / totalFlowrate : NaN;
+}
+
+/**
+ * Passes a delivered concentration profile through a first-order chamber: dC/dt = (C_in(t) - C) / τ.
+ * Steps become exponential rises and decays. The result is sampled densely (τ/10, coarser for very long programs) and
+ * flagged for linear interpolation, so interpolateGasConcentration follows the curve.
+ * @param {Array<Object>} concProfile - The delivered profile { time_min, conc, rampToNext? }, sorted by time.
+ * @param {number} timeConstantMinutes - τ in minutes.
+ * @returns {Array<Object>} The chamber profile { time_min, conc, rampToNext }.
+ */
+export function applyChamberMixing(concProfile, timeConstantMinutes) {
+    if (!concProfile || concProfile.length === 0 || !(timeConstantMinutes > 0)) return concProfile;
+    const startTime = concProfile[0].time_min;
+    const endTime = concProfile[concProfile.length - 1].time_min + MIXING_TAIL_TIME_CONSTANTS * timeConstantMinutes;
+    const step = Math.max(timeConstantMinutes / MIXING_STEPS_PER_TIME_CONSTANT, (endTime - startTime) / MAX_MIXING_POINTS);
+
+    // Sample on a regular grid plus the program's own breakpoints, so no switch falls inside a step
+    const sampleTimes = new Set(concProfile.map(point => point.time_min));
+    for (let t = startTime; t < endTime; t += step) sampleTimes.add(t);
+    sampleTimes.add(endTime);
+    const times = [...sampleTimes].sort((a, b) => a - b);
+
+    let concentration = concProfile[0].conc;
+    const mixedProfile = [{ time_min: times[0], conc: concentration, rampToNext: true }];
+    for (let i = 1; i < times.length; i++) {
+        const h = times[i] - times[i - 1];
+        const inletConcentration = interpolateGasConcentration(concProfile, times[i - 1] + h / 2);
+        concentration = inletConcentration + (concentration - inletConcentration) * Math.exp(-h / timeConstantMinutes);
+        mixedProfile.push({ time_min: times[i], conc: concentration, rampToNext: i < times.length - 1 });
+    }
+    return mixedProfile;
+}
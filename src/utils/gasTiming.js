@@ -0,0 +1,77 @@
+// src/utils/gasTiming.js
+// Timing of the gas program relative to the sensor log: a program start offset plus the transport dead time from the
+// mass flow controllers to the chamber, set by hand or estimated by cross-correlating the sensors with the profile.
+import { interpolateGasConcentration } from './gasCalculations.js';
+
+export const GAS_TIMING_MODES = [
+    { value: 'manual', label: 'Fixed offset and dead time' },
+    { value: 'auto', label: 'Auto-align (cross-correlation)' }
+];
+
+export const DEFAULT_GAS_TIMING = {
+    mode: 'manual',
+    startOffsetSeconds: 0,  // Gas program start on the sensor time axis (negative if it started before logging)
+    deadTimeSeconds: 0,     // Transport delay to the chamber ('manual')
+    maxLagSeconds: 300      // Largest dead time searched by 'auto'
+};
+
+const MAX_CORRELATION_POINTS = 2000; // Longer series are thinned before correlating
+const LAG_STEPS = 300;               // Candidate lags between 0 and the maximum
+
+/**
+ * Pearson correlation coefficient of two equally long series.
+ * @returns {number} r, or NaN if either series is constant.
+ */
+function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : NaN;
+}
+
+/**
+ * Estimates the gas delivery lag: the delay of the concentration profile that correlates best with the sensors.
+ * Each sensor contributes the magnitude of its correlation, so sensors whose impedance falls on exposure count the
+ * same as those whose impedance rises. The estimate includes part of the sensors' own response time.
+ * @param {Array<Array<{time_min: number, value: number}>>} sensorSeries - One series per sensor (e.g. the impedance).
+ * @param {Array<Object>} profile - The concentration profile { time_min, conc } (already shifted by the start offset).
+ * @param {number} maxLagMinutes - Largest lag tried; lags from 0 to this value are searched.
+ * @returns {{lagMinutes: number, correlation: number, sensorCount: number}|null} The best lag and the mean |r| there,
+ * or null if no sensor overlaps a changing concentration.
+ */
+export function estimateGasLag(sensorSeries, profile, maxLagMinutes) {
+    const series = sensorSeries
+        .map(points => {
+            const valid = points.filter(p => !isNaN(p.time_min) && !isNaN(p.value));
+            const stride = Math.max(1, Math.ceil(valid.length / MAX_CORRELATION_POINTS));
+            return valid.filter((p, i) => i % stride === 0);
+        })
+        .filter(points => points.length >= 3);
+    if (series.length === 0 || !(maxLagMinutes >= 0)) return null;
+
+    let best = null;
+    for (let step = 0; step <= LAG_STEPS; step++) {
+        const lag = (maxLagMinutes * step) / LAG_STEPS;
+        const correlations = series
+            .map(points => pearsonCorrelation(
+                points.map(p => interpolateGasConcentration(profile, p.time_min - lag)),
+                points.map(p => p.value)
+            ))
+            .filter(r => !isNaN(r));
+        if (correlations.length === 0) continue;
+        const meanCorrelation = correlations.reduce((sum, r) => sum + Math.abs(r), 0) / correlations.length;
+        if (!best || meanCorrelation > best.correlation) {
+            best = { lagMinutes: lag, correlation: meanCorrelation, sensorCount: correlations.length };
+        }
+        if (maxLagMinutes === 0) break;
+    }
+    return best;
+}
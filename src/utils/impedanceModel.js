@@ -0,0 +1,159 @@
+// src/utils/impedanceModel.js
+// Spectroscopy column detection and conversion into one complex-impedance model (Z = zReal + j*zImag).
+// Every sweep keeps zReal/zImag plus the derived |Z| ("impedances") and phase in degrees ("phases").
+
+const DEG_PER_RAD = 180 / Math.PI;
+
+// Column roles recognised from header names (compared after normalizeHeaderName)
+const COLUMN_ROLE_PATTERNS = [
+    { role: 'frequency', pattern: /^(freq|frequency|f)$/ },
+    { role: 'zReal', pattern: /^(z'|z′|zre|zreal|re\(z\)|real\(z\)|z_re|z_real|real|r|rs|resistance)$/ },
+    { role: 'zImag', pattern: /^(z''|z"|z″|zim|zimag|im\(z\)|imag\(z\)|z_im|z_imag|imag|imaginary|x|xs|reactance)$/ },
+    { role: 'zMagnitude', pattern: /^(\|z\||z|zmod|zmag|mod\(z\)|impedance|magnitude|\|impedance\|)$/ },
+    { role: 'phase', pattern: /^(angle|phase|phi|φ|theta|θ|zphase|phase\(z\)|arg\(z\)|phaseangle)$/ },
+    { role: 'yReal', pattern: /^(g|gp|conductance|y'|y′|yre|re\(y\)|y_re)$/ },
+    { role: 'yImag', pattern: /^(b|bp|susceptance|y''|y"|y″|yim|im\(y\)|y_im)$/ },
+    { role: 'yMagnitude', pattern: /^(\|y\||y|ymod|ymag|mod\(y\)|admittance)$/ }
+];
+
+// Supported layouts, in order of preference when several fit the header
+const LAYOUTS = [
+    { id: 'real_imag', label: "Z' / Z''", roles: ['frequency', 'zReal', 'zImag'] },
+    { id: 'magnitude_phase', label: '|Z| / phase', roles: ['frequency', 'zMagnitude', 'phase'] },
+    { id: 'admittance_real_imag', label: 'G / B (admittance)', roles: ['frequency', 'yReal', 'yImag'] },
+    { id: 'admittance_magnitude_phase', label: '|Y| / phase (admittance)', roles: ['frequency', 'yMagnitude', 'phase'] }
+];
+
+// The original logger layout (frequency, angle, |Z|) used for files without a recognisable header
+export const LEGACY_SPECTROSCOPY_COLUMNS = {
+    layout: 'magnitude_phase',
+    label: 'frequency, angle, |Z| (fixed order)',
+    columns: { frequency: 0, phase: 1, zMagnitude: 2 },
+    scales: {},
+    negated: {},
+    phaseInRadians: false
+};
+
+/**
+ * Strips the unit and whitespace from a header cell: "Z' (kOhm)" -> "z'", "-Z'' [Ohm]" -> "-z''".
+ * @param {string} headerCell - The raw header text.
+ * @returns {string} The normalised name.
+ */
+const normalizeHeaderName = (headerCell) => String(headerCell ?? '')
+    .replace(/[([][^)\]]*[)\]]\s*$/, '')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+
+/**
+ * Reads the unit written in a header cell (e.g. "(kOhm)", "[mS]") as a multiplier into Ohm / Siemens,
+ * and whether the cell is in radians.
+ * @param {string} headerCell - The raw header text.
+ * @returns {{scale: number, radians: boolean}}
+ */
+const parseHeaderUnit = (headerCell) => {
+    const unitMatch = String(headerCell ?? '').match(/[([]\s*([^)\]]*?)\s*[)\]]\s*$/);
+    const unit = unitMatch ? unitMatch[1] : '';
+    if (/^rad/i.test(unit)) return { scale: 1, radians: true };
+    const prefixMatch = unit.match(/^([kMmuµ])(ohms?|Ω|S)$/i);
+    const prefixScales = { k: 1e3, M: 1e6, m: 1e-3, u: 1e-6, 'µ': 1e-6 };
+    return { scale: prefixMatch ? prefixScales[prefixMatch[1]] ?? 1 : 1, radians: false };
+};
+
+/**
+ * Detects the spectroscopy layout from a header row.
+ * Recognises magnitude/phase (|Z|, phase), real/imaginary (Z', Z'' or -Z''), and admittance (G/B or |Y|/phase).
+ * @param {Array<string>} headerRow - The header cells.
+ * @returns {Object|null} { layout, label, columns: {role: colIdx}, scales: {role: factor}, negated: {role: bool},
+ * phaseInRadians }, or null if no supported layout matches.
+ */
+export function detectSpectroscopyColumns(headerRow) {
+    if (!Array.isArray(headerRow)) return null;
+    const columns = {};
+    const scales = {};
+    const negated = {};
+    let phaseInRadians = false;
+
+    headerRow.forEach((cell, colIdx) => {
+        let name = normalizeHeaderName(cell);
+        const isNegated = name.startsWith('-');
+        if (isNegated) name = name.slice(1);
+        const match = COLUMN_ROLE_PATTERNS.find(({ pattern }) => pattern.test(name));
+        if (!match || columns[match.role] !== undefined) return; // First column wins for each role
+
+        const { scale, radians } = parseHeaderUnit(cell);
+        columns[match.role] = colIdx;
+        scales[match.role] = scale;
+        negated[match.role] = isNegated;
+        if (match.role === 'phase') phaseInRadians = radians;
+    });
+
+    const layout = LAYOUTS.find(l => l.roles.every(role => columns[role] !== undefined));
+    if (!layout) return null;
+    const layoutColumns = Object.fromEntries(layout.roles.map(role => [role, columns[role]]));
+    return { layout: layout.id, label: layout.label, columns: layoutColumns, scales, negated, phaseInRadians };
+}
+
+/**
+ * Converts one data row into complex impedance using a detected layout.
+ * @param {Array<number>} values - The numeric row values (already locale-parsed).
+ * @param {Object} columnLayout - From detectSpectroscopyColumns or LEGACY_SPECTROSCOPY_COLUMNS.
+ * @returns {{frequency: number, zReal: number, zImag: number, magnitude: number, phaseDeg: number}|null}
+ * null if a required value is missing or not finite.
+ */
+export function toComplexImpedance(values, columnLayout) {
+    const { columns, scales = {}, negated = {}, phaseInRadians } = columnLayout;
+    const read = (role) => {
+        const value = values[columns[role]];
+        if (typeof value !== 'number' || !isFinite(value)) return NaN;
+        return value * (scales[role] || 1) * (negated[role] ? -1 : 1);
+    };
+    const toRadians = (phase) => (phaseInRadians ? phase : phase / DEG_PER_RAD);
+
+    const frequency = read('frequency');
+    let zReal;
+    let zImag;
+    let sourcePolar = null; // Magnitude/phase as read, kept exact instead of recomputing them
+    switch (columnLayout.layout) {
+        case 'real_imag':
+            zReal = read('zReal');
+            zImag = read('zImag');
+            break;
+        case 'magnitude_phase': {
+            const magnitude = read('zMagnitude');
+            const rawPhase = read('phase');
+            const phase = toRadians(rawPhase);
+            zReal = magnitude * Math.cos(phase);
+            zImag = magnitude * Math.sin(phase);
+            sourcePolar = { magnitude, phaseDeg: phaseInRadians ? rawPhase * DEG_PER_RAD : rawPhase };
+            break;
+        }
+        case 'admittance_real_imag': {
+            // Z = 1 / (G + jB) = (G - jB) / (G^2 + B^2)
+            const g = read('yReal');
+            const b = read('yImag');
+            const denominator = g * g + b * b;
+            zReal = g / denominator;
+            zImag = -b / denominator;
+            break;
+        }
+        case 'admittance_magnitude_phase': {
+            // |Z| = 1/|Y|, arg(Z) = -arg(Y)
+            const magnitude = 1 / read('yMagnitude');
+            const phase = -toRadians(read('phase'));
+            zReal = magnitude * Math.cos(phase);
+            zImag = magnitude * Math.sin(phase);
+            break;
+        }
+        default:
+            return null;
+    }
+
+    if (![frequency, zReal, zImag].every(isFinite)) return null;
+    return {
+        frequency,
+        zReal,
+        zImag,
+        magnitude: sourcePolar ? sourcePolar.magnitude : Math.hypot(zReal, zImag),
+        phaseDeg: sourcePolar ? sourcePolar.phaseDeg : Math.atan2(zImag, zReal) * DEG_PER_RAD
+    };
+}
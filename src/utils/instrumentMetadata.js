@@ -0,0 +1,86 @@
+// src/utils/instrumentMetadata.js
+import { dsvFormat } from 'd3';
+
+const KEY_VALUE_PATTERN = /^([^:=]+?)\s*[:=]\s*(.*)$/;
+
+/**
+ * Splits one "key: value" or "key=value" fragment.
+ * @param {string} fragment - e.g. "drive level: 50.000000E-3V".
+ * @returns {Array<string>|null} [key, value], or null if the fragment is not a key/value pair.
+ */
+const splitKeyValue = (fragment) => {
+    const match = fragment.trim().match(KEY_VALUE_PATTERN);
+    if (!match || match[1].trim() === '') return null;
+    return [match[1].trim(), match[2].trim()];
+};
+
+/**
+ * Parses an instrument metadata line from above a spectroscopy data table into key/value pairs.
+ * Understands several pairs per line separated by tabs or runs of spaces
+ * ("date/time: 16/03/2023 18:36:26.7   drive level: 50.000000E-3V"), delimited pairs
+ * ("AC amplitude: 50 mV,DC bias: 0 V") and two-cell rows ("Serial,LCR-12345").
+ * @param {string} line - A raw text line.
+ * @param {string} [delimiter=','] - The file's field delimiter.
+ * @returns {Array<Array<string>>} [key, value] pairs (empty if the line holds none).
+ */
+export function parseMetadataLine(line, delimiter = ',') {
+    const pairs = [];
+    const dsv = dsvFormat(delimiter);
+    String(line || '').split(/\t|\s{2,}/).forEach(segment => {
+        if (segment.trim() === '') return;
+        const cells = (dsv.parseRows(segment)[0] || []).map(cell => cell.trim()).filter(cell => cell !== '');
+
+        if (cells.length > 1 && cells.every(cell => KEY_VALUE_PATTERN.test(cell))) {
+            cells.forEach(cell => {
+                const pair = splitKeyValue(cell);
+                if (pair) pairs.push(pair);
+            });
+            return;
+        }
+        const pair = splitKeyValue(segment);
+        if (pair) {
+            pairs.push(pair);
+        } else if (cells.length >= 2) {
+            pairs.push([cells[0], cells.slice(1).join(', ')]); // Two-cell "key,value" row
+        }
+    });
+    return pairs;
+}
+
+/**
+ * Adds [key, value] pairs to a metadata object; a repeated key gets a numeric suffix ("Temperature (2)").
+ * @param {Object} metadata - The metadata object to extend (mutated).
+ * @param {Array<Array<string>>} pairs - Pairs from parseMetadataLine.
+ */
+export function addMetadataPairs(metadata, pairs) {
+    pairs.forEach(([key, value]) => {
+        let uniqueKey = key;
+        for (let n = 2; Object.prototype.hasOwnProperty.call(metadata, uniqueKey); n++) {
+            uniqueKey = `${key} (${n})`;
+        }
+        metadata[uniqueKey] = value;
+    });
+}
+
+/**
+ * Lists the metadata keys whose values differ between two sweeps (added and removed keys included).
+ * @param {Object|null} previousMetadata - Metadata of the earlier sweep.
+ * @param {Object|null} currentMetadata - Metadata of the later sweep.
+ * @returns {Array<string>} The changed keys.
+ */
+export function getChangedMetadataKeys(previousMetadata, currentMetadata) {
+    if (!previousMetadata || !currentMetadata) return [];
+    const keys = new Set([...Object.keys(previousMetadata), ...Object.keys(currentMetadata)]);
+    return Array.from(keys).filter(key => previousMetadata[key] !== currentMetadata[key]);
+}
+
+/**
+ * Collects all metadata keys used by any sweep, in first-seen order.
+ * @param {Array<Object>} sweeps - Sweep objects with an optional `metadata` object.
+ * @returns {Array<string>} The metadata keys.
+ */
+export function collectMetadataKeys(sweeps) {
+    const keys = new Set();
+    (sweeps || []).forEach(sweep => Object.keys(sweep.metadata || {}).forEach(key => keys.add(key)));
+    return Array.from(keys);
+}
@@ -0,0 +1,222 @@
+// src/utils/localeDetection.js
+
+const SAMPLE_BYTES = 65536;
+const SAMPLE_LINES = 50;
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+/**
+ * Default (fully automatic) parse settings. Each field can be overridden in the upload step.
+ */
+export const DEFAULT_PARSE_SETTINGS = {
+    delimiter: 'auto',        // ',', ';', '\t', '|' or 'auto'
+    decimalSeparator: 'auto', // '.', ',' or 'auto'
+    encoding: 'auto'          // 'utf-8', 'utf-16le', 'utf-16be', 'windows-1252' or 'auto'
+};
+
+export const DELIMITER_OPTIONS = [
+    { value: 'auto', label: 'Detect automatically' },
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe (|)' }
+];
+
+export const DECIMAL_SEPARATOR_OPTIONS = [
+    { value: 'auto', label: 'Detect automatically' },
+    { value: '.', label: 'Point (1.5)' },
+    { value: ',', label: 'Comma (1,5)' }
+];
+
+export const ENCODING_OPTIONS = [
+    { value: 'auto', label: 'Detect automatically' },
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' },
+    { value: 'windows-1252', label: 'Windows-1252 (Western European)' }
+];
+
+/**
+ * Detects the text encoding of a byte sample from its BOM, null-byte pattern and UTF-8 validity.
+ * @param {Uint8Array} bytes - The first bytes of a file.
+ * @returns {string} A TextDecoder label: 'utf-8', 'utf-16le', 'utf-16be' or 'windows-1252'.
+ */
+export function detectEncoding(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+    // UTF-16 without BOM: ASCII text leaves every other byte zero
+    let evenZeros = 0;
+    let oddZeros = 0;
+    const inspectLength = Math.min(bytes.length, 4096);
+    for (let i = 0; i < inspectLength; i++) {
+        if (bytes[i] === 0) {
+            if (i % 2 === 0) evenZeros++; else oddZeros++;
+        }
+    }
+    const halfLength = inspectLength / 2;
+    if (halfLength > 0 && oddZeros / halfLength > 0.3 && evenZeros / halfLength < 0.05) return 'utf-16le';
+    if (halfLength > 0 && evenZeros / halfLength > 0.3 && oddZeros / halfLength < 0.05) return 'utf-16be';
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+        return 'utf-8';
+    } catch {
+        return 'windows-1252'; // Typical for files saved by Excel on Western European Windows
+    }
+}
+
+/**
+ * Counts delimiter occurrences in a line, ignoring characters inside double quotes.
+ * @param {string} line - A text line.
+ * @param {string} delimiter - The delimiter character.
+ * @returns {number} Number of unquoted delimiter characters.
+ */
+const countDelimiter = (line, delimiter) => {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of line) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === delimiter && !inQuotes) count++;
+    }
+    return count;
+};
+
+/**
+ * Detects the field delimiter from sample lines.
+ * The winner is the candidate whose most common non-zero per-line count occurs on the most lines,
+ * so metadata lines above a table do not skew the result.
+ * @param {Array<string>} lines - Sample text lines.
+ * @returns {string} The detected delimiter (defaults to ',').
+ */
+export function detectDelimiter(lines) {
+    const nonEmptyLines = lines.filter(line => line.trim() !== '');
+    let bestDelimiter = ',';
+    let bestScore = 0;
+
+    DELIMITER_CANDIDATES.forEach(delimiter => {
+        const countFrequency = new Map();
+        nonEmptyLines.forEach(line => {
+            const count = countDelimiter(line, delimiter);
+            if (count > 0) countFrequency.set(count, (countFrequency.get(count) || 0) + 1);
+        });
+        let modeLines = 0;
+        let modeCount = 0;
+        countFrequency.forEach((linesWithCount, count) => {
+            if (linesWithCount > modeLines || (linesWithCount === modeLines && count > modeCount)) {
+                modeLines = linesWithCount;
+                modeCount = count;
+            }
+        });
+        // Lines sharing the same field count matter most; the field count breaks ties
+        const score = modeLines + modeCount / 1000;
+        if (score > bestScore) {
+            bestScore = score;
+            bestDelimiter = delimiter;
+        }
+    });
+    return bestDelimiter;
+}
+
+/**
+ * Detects the decimal separator from sample lines split by the given delimiter.
+ * @param {Array<string>} lines - Sample text lines.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {string} '.' or ','.
+ */
+export function detectDecimalSeparator(lines, delimiter) {
+    if (delimiter === ',') return '.'; // A comma decimal mark cannot share the comma delimiter
+    let pointNumbers = 0;
+    let commaNumbers = 0;
+    lines.forEach(line => {
+        line.split(delimiter).forEach(rawCell => {
+            const cell = rawCell.trim().replace(/^"|"$/g, '');
+            if (/^[-+]?\d*\.\d+(e[-+]?\d+)?$/i.test(cell)) pointNumbers++;
+            else if (/^[-+]?\d*,\d+(e[-+]?\d+)?$/i.test(cell)) commaNumbers++;
+        });
+    });
+    return commaNumbers > pointNumbers ? ',' : '.';
+}
+
+/**
+ * Parses a number written with the given decimal separator.
+ * With a comma decimal mark, '.' and spaces are treated as thousands separators.
+ * @param {string|number} value - The raw cell value.
+ * @param {string} [decimalSeparator='.'] - '.' or ','.
+ * @returns {number} The parsed number, or NaN.
+ */
+export function parseLocaleNumber(value, decimalSeparator = '.') {
+    if (typeof value === 'number') return value;
+    if (value === null || value === undefined) return NaN;
+    if (decimalSeparator !== ',') return parseFloat(value);
+    const normalized = String(value)
+        .trim()
+        .replace(/[\s\u00A0]/g, '')
+        .replace(/\.(?=\d{3}(\D|$))/g, '')
+        .replace(',', '.');
+    return parseFloat(normalized);
+}
+
+/**
+ * Resolves the 'auto' fields of the parse settings by sniffing the start of a file.
+ * Fields that are already set explicitly are kept as they are.
+ * @param {Blob} file - The file to sniff.
+ * @param {Object} [settings=DEFAULT_PARSE_SETTINGS] - Requested settings (may contain 'auto').
+ * @returns {Promise<Object>} { delimiter, decimalSeparator, encoding, autoDetected: Array<string> }.
+ */
+export async function sniffParseSettings(file, settings = DEFAULT_PARSE_SETTINGS) {
+    const requested = { ...DEFAULT_PARSE_SETTINGS, ...(settings || {}) };
+    const autoDetected = [];
+
+    const needsSample = requested.encoding === 'auto' || requested.delimiter === 'auto' || requested.decimalSeparator === 'auto';
+    if (!needsSample) {
+        return { delimiter: requested.delimiter, decimalSeparator: requested.decimalSeparator, encoding: requested.encoding, autoDetected };
+    }
+
+    const bytes = new Uint8Array(await file.slice(0, SAMPLE_BYTES).arrayBuffer());
+
+    let encoding = requested.encoding;
+    if (encoding === 'auto') {
+        encoding = detectEncoding(bytes);
+        autoDetected.push('encoding');
+    }
+
+    const lines = new TextDecoder(encoding).decode(bytes).split(/\r?\n/).slice(0, SAMPLE_LINES);
+    if (lines.length > 1) lines.pop(); // The last sampled line may be cut off
+
+    let delimiter = requested.delimiter;
+    if (delimiter === 'auto') {
+        delimiter = detectDelimiter(lines);
+        autoDetected.push('delimiter');
+    }
+
+    let decimalSeparator = requested.decimalSeparator;
+    if (decimalSeparator === 'auto') {
+        decimalSeparator = detectDecimalSeparator(lines, delimiter);
+        autoDetected.push('decimalSeparator');
+    }
+
+    return { delimiter, decimalSeparator, encoding, autoDetected };
+}
+
+/**
+ * Reads and decodes the start of a file using its detected encoding.
+ * @param {Blob} file - The file to sample.
+ * @param {string} [encoding='auto'] - Encoding to use, or 'auto' to detect it.
+ * @returns {Promise<string>} The decoded text sample.
+ */
+export async function readDecodedFileSample(file, encoding = 'auto') {
+    const bytes = new Uint8Array(await file.slice(0, SAMPLE_BYTES).arrayBuffer());
+    return new TextDecoder(encoding === 'auto' ? detectEncoding(bytes) : encoding).decode(bytes);
+}
+
+/**
+ * Describes resolved parse settings for the processing log.
+ * @param {Object} settings - Resolved settings from sniffParseSettings.
+ * @returns {string} e.g. "delimiter ';' (detected), decimal ',' (detected), encoding utf-16le (manual)".
+ */
+export function describeParseSettings(settings) {
+    const origin = (field) => ((settings.autoDetected || []).includes(field) ? 'detected' : 'manual');
+    const delimiterLabel = settings.delimiter === '\t' ? 'tab' : `'${settings.delimiter}'`;
+    return `delimiter ${delimiterLabel} (${origin('delimiter')}), decimal '${settings.decimalSeparator}' (${origin('decimalSeparator')}), encoding ${settings.encoding} (${origin('encoding')})`;
+}
@@ -0,0 +1,236 @@
+// src/utils/numericUtils.js
+// Small numerical helpers (linear systems, least-squares polynomials, cubic splines, non-linear least squares,
+// symmetric eigendecomposition) shared by the analysis services.
+
+/**
+ * Solves the linear system A·x = b by Gaussian elimination with partial pivoting.
+ * @param {Array<Array<number>>} matrix - The square matrix A (not modified).
+ * @param {Array<number>} vector - The right-hand side b (not modified).
+ * @returns {Array<number>|null} The solution x, or null if A is singular.
+ */
+export function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivotRow = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivotRow][col])) pivotRow = row;
+        }
+        if (Math.abs(a[pivotRow][col]) < 1e-12) return null;
+        [a[col], a[pivotRow]] = [a[pivotRow], a[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+/**
+ * Fits a least-squares polynomial y = c0 + c1·u + ... + cn·u^n, where u is x scaled to [-1, 1] for conditioning.
+ * @param {Array<number>} xs - The x values.
+ * @param {Array<number>} ys - The y values (same length).
+ * @param {number} order - The polynomial order (reduced if there are too few distinct points).
+ * @returns {Function|null} A function evaluating the fit at any x, or null if there are no points.
+ */
+export function fitPolynomial(xs, ys, order) {
+    if (xs.length === 0) return null;
+    let xMin = Infinity;
+    let xMax = -Infinity;
+    for (const x of xs) {
+        if (x < xMin) xMin = x;
+        if (x > xMax) xMax = x;
+    }
+    const center = (xMin + xMax) / 2;
+    const halfRange = (xMax - xMin) / 2 || 1;
+    const distinctCount = new Set(xs).size;
+    const degree = Math.max(0, Math.min(Math.round(order), distinctCount - 1));
+
+    const size = degree + 1;
+    const normalMatrix = Array.from({ length: size }, () => new Array(size).fill(0));
+    const normalVector = new Array(size).fill(0);
+    xs.forEach((x, i) => {
+        const u = (x - center) / halfRange;
+        const powers = [1];
+        for (let p = 1; p < 2 * size; p++) powers.push(powers[p - 1] * u);
+        for (let r = 0; r < size; r++) {
+            normalVector[r] += powers[r] * ys[i];
+            for (let c = 0; c < size; c++) normalMatrix[r][c] += powers[r + c];
+        }
+    });
+    const coefficients = solveLinearSystem(normalMatrix, normalVector);
+    if (!coefficients) return null;
+
+    return (x) => {
+        const u = (x - center) / halfRange;
+        let value = 0;
+        for (let p = coefficients.length - 1; p >= 0; p--) value = value * u + coefficients[p];
+        return value;
+    };
+}
+
+/**
+ * Builds a natural cubic spline through the given knots. Outside the knots the spline continues linearly
+ * with its end slopes.
+ * @param {Array<number>} xs - Knot x values, strictly increasing.
+ * @param {Array<number>} ys - Knot y values.
+ * @returns {Function|null} A function evaluating the spline at any x, or null if there are no knots.
+ */
+export function createNaturalCubicSpline(xs, ys) {
+    const n = xs.length;
+    if (n === 0) return null;
+    if (n === 1) return () => ys[0];
+
+    // Second derivatives at the knots (natural spline: zero at both ends), by the tridiagonal algorithm
+    const secondDerivatives = new Array(n).fill(0);
+    const temp = new Array(n).fill(0);
+    for (let i = 1; i < n - 1; i++) {
+        const sig = (xs[i] - xs[i - 1]) / (xs[i + 1] - xs[i - 1]);
+        const p = sig * secondDerivatives[i - 1] + 2;
+        secondDerivatives[i] = (sig - 1) / p;
+        const slopeChange = (ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]) - (ys[i] - ys[i - 1]) / (xs[i] - xs[i - 1]);
+        temp[i] = (6 * slopeChange / (xs[i + 1] - xs[i - 1]) - sig * temp[i - 1]) / p;
+    }
+    secondDerivatives[n - 1] = 0;
+    for (let i = n - 2; i >= 0; i--) {
+        secondDerivatives[i] = secondDerivatives[i] * secondDerivatives[i + 1] + temp[i];
+    }
+
+    const evaluateInside = (x, i) => {
+        const h = xs[i + 1] - xs[i];
+        const a = (xs[i + 1] - x) / h;
+        const b = (x - xs[i]) / h;
+        return a * ys[i] + b * ys[i + 1] + ((a ** 3 - a) * secondDerivatives[i] + (b ** 3 - b) * secondDerivatives[i + 1]) * h * h / 6;
+    };
+    const startSlope = (ys[1] - ys[0]) / (xs[1] - xs[0]) - (xs[1] - xs[0]) * secondDerivatives[1] / 6;
+    const endSlope = (ys[n - 1] - ys[n - 2]) / (xs[n - 1] - xs[n - 2]) + (xs[n - 1] - xs[n - 2]) * secondDerivatives[n - 2] / 6;
+
+    return (x) => {
+        if (x <= xs[0]) return ys[0] + startSlope * (x - xs[0]);
+        if (x >= xs[n - 1]) return ys[n - 1] + endSlope * (x - xs[n - 1]);
+        let low = 0;
+        let high = n - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (xs[mid] > x) high = mid; else low = mid;
+        }
+        return evaluateInside(x, low);
+    };
+}
+
+/**
+ * Fits a model y = model(x, params) by non-linear least squares (Levenberg-Marquardt, numerical Jacobian).
+ * @param {Function} model - (x, params) -> predicted y.
+ * @param {Array<number>} xs - The x values.
+ * @param {Array<number>} ys - The y values.
+ * @param {Array<number>} initialParams - Starting parameter values.
+ * @param {Object} [options] - { maxIterations (default 200), tolerance (relative change in the sum of squares, default 1e-12) }.
+ * @returns {Array<number>|null} The fitted parameters, or null if the model could not be evaluated at the start.
+ */
+export function fitLevenbergMarquardt(model, xs, ys, initialParams, { maxIterations = 200, tolerance = 1e-12 } = {}) {
+    const sumOfSquares = (params) => xs.reduce((sum, x, i) => sum + (ys[i] - model(x, params)) ** 2, 0);
+    let params = [...initialParams];
+    let currentError = sumOfSquares(params);
+    if (!isFinite(currentError)) return null;
+    let lambda = 1e-3;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        // Jacobian of the predictions by forward differences
+        const jacobian = xs.map(x => {
+            const base = model(x, params);
+            return params.map((p, j) => {
+                const step = 1e-6 * Math.max(Math.abs(p), 1e-6);
+                const shifted = [...params];
+                shifted[j] += step;
+                return (model(x, shifted) - base) / step;
+            });
+        });
+        const residuals = xs.map((x, i) => ys[i] - model(x, params));
+        const n = params.length;
+        const jtj = Array.from({ length: n }, (_, r) => Array.from({ length: n }, (__, c) => jacobian.reduce((sum, row) => sum + row[r] * row[c], 0)));
+        const jtr = Array.from({ length: n }, (_, r) => jacobian.reduce((sum, row, i) => sum + row[r] * residuals[i], 0));
+
+        let improved = false;
+        while (lambda < 1e10) {
+            const damped = jtj.map((row, r) => row.map((value, c) => (r === c ? value * (1 + lambda) + 1e-12 : value)));
+            const delta = solveLinearSystem(damped, jtr);
+            if (delta) {
+                const candidate = params.map((p, j) => p + delta[j]);
+                const candidateError = sumOfSquares(candidate);
+                if (isFinite(candidateError) && candidateError < currentError) {
+                    const relativeChange = (currentError - candidateError) / Math.max(currentError, 1e-300);
+                    params = candidate;
+                    currentError = candidateError;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    improved = true;
+                    if (relativeChange < tolerance) return params;
+                    break;
+                }
+            }
+            lambda *= 10;
+        }
+        if (!improved) break;
+    }
+    return params;
+}
+
+/**
+ * Eigendecomposition of a symmetric matrix by cyclic Jacobi rotations.
+ * @param {Array<Array<number>>} matrix - The symmetric matrix (not modified).
+ * @param {Object} [options] - { maxSweeps (default 100), tolerance (off-diagonal sum of squares relative to the total, default 1e-22) }.
+ * @returns {{values: Array<number>, vectors: Array<Array<number>>}} Eigenvalues in descending order and the matching
+ * unit eigenvectors (vectors[k] belongs to values[k]).
+ */
+export function symmetricEigen(matrix, { maxSweeps = 100, tolerance = 1e-22 } = {}) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = Array.from({ length: n }, (_, r) => Array.from({ length: n }, (__, c) => (r === c ? 1 : 0)));
+    const total = a.reduce((sum, row) => sum + row.reduce((rowSum, value) => rowSum + value * value, 0), 0);
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) offDiagonal += 2 * a[p][q] * a[p][q];
+        if (offDiagonal <= tolerance * total) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) continue;
+                // Rotation angle that zeroes a[p][q]
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+    return {
+        values: order.map(i => a[i][i]),
+        vectors: order.map(i => v.map(row => row[i]))
+    };
+}
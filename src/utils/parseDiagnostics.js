@@ -0,0 +1,96 @@
+// src/utils/parseDiagnostics.js
+// Per-file parse diagnostics: how many data rows a parser read, accepted and skipped (with line numbers and
+// reasons), the format it detected and file-level notices (e.g. an ambiguous timestamp format). Diagnostics are plain objects so the parser worker can return them.
+
+const MAX_LISTED_SKIPPED_ROWS = 500; // Per file; further skipped rows are only counted
+const MAJOR_SKIPPED_ROW_FRACTION = 0.05; // Skipping more than this share of a file's rows is worth a review
+
+/**
+ * Creates a collector that parsers feed with every data row they read.
+ * @returns {{accept: Function, skip: Function, notice: Function, toObject: Function}} accept() counts an accepted row,
+ * skip(lineNumber, reason) a skipped one, notice(message) records a file-level notice, and toObject(detectedFormat)
+ * returns the diagnostics.
+ */
+export function createDiagnosticsCollector() {
+    let totalRows = 0;
+    let acceptedRows = 0;
+    let skippedRowCount = 0;
+    const skippedRows = [];
+    const notices = [];
+    return {
+        accept: () => {
+            totalRows++;
+            acceptedRows++;
+        },
+        skip: (lineNumber, reason) => {
+            totalRows++;
+            skippedRowCount++;
+            if (skippedRows.length < MAX_LISTED_SKIPPED_ROWS) skippedRows.push({ line: lineNumber, reason });
+        },
+        notice: (message) => {
+            notices.push(message);
+        },
+        /**
+         * @param {Object} [detectedFormat] - Label -> value pairs describing what the parser detected.
+         * @returns {Object} { totalRows, acceptedRows, skippedRowCount, skippedRows: [{ line, reason }], notices, detectedFormat }.
+         */
+        toObject: (detectedFormat = {}) => ({
+            totalRows,
+            acceptedRows,
+            skippedRowCount,
+            skippedRows: [...skippedRows],
+            notices: [...notices],
+            detectedFormat
+        })
+    };
+}
+
+/**
+ * Builds the report entry for one file from a parser's diagnostics, or from the error that stopped it.
+ * @param {string} fileName - The (effective) file name shown in the report.
+ * @param {string} kind - 'time_series', 'spectroscopy' or 'gas_program'.
+ * @param {Object|null} diagnostics - From createDiagnosticsCollector().toObject(), if the parser finished.
+ * @param {string|null} [error] - Why the file could not be parsed.
+ * @param {Array<string>} [notices] - File-level notices found outside the parser (added to the parser's own).
+ * @returns {Object} { fileName, kind, status: 'ok'|'notices'|'skipped_rows'|'failed', error, totalRows, acceptedRows,
+ * skippedRowCount, skippedRows, notices, detectedFormat }.
+ */
+export function createFileDiagnostics(fileName, kind, diagnostics, error = null, notices = []) {
+    const counts = diagnostics || { totalRows: 0, acceptedRows: 0, skippedRowCount: 0, skippedRows: [], detectedFormat: {} };
+    const allNotices = [...(counts.notices || []), ...notices];
+    let status = 'ok';
+    if (error || !diagnostics) {
+        status = 'failed';
+    } else if (counts.skippedRowCount > 0) {
+        status = 'skipped_rows';
+    } else if (allNotices.length > 0) {
+        status = 'notices';
+    }
+    return { fileName, kind, status, error, ...counts, notices: allNotices };
+}
+
+/**
+ * Summarises a report entry in one line, e.g. "1200 of 1203 rows accepted, 3 skipped, 1 notice".
+ * @param {Object} fileDiagnostics - From createFileDiagnostics.
+ * @returns {string} The summary.
+ */
+export function summarizeFileDiagnostics(fileDiagnostics) {
+    if (fileDiagnostics.status === 'failed') {
+        return `Failed: ${fileDiagnostics.error || 'unknown error'}`;
+    }
+    const { totalRows, acceptedRows, skippedRowCount } = fileDiagnostics;
+    const noticeCount = (fileDiagnostics.notices || []).length;
+    return `${acceptedRows} of ${totalRows} rows accepted${skippedRowCount > 0 ? `, ${skippedRowCount} skipped` : ''}` +
+        `${noticeCount > 0 ? `, ${noticeCount} notice${noticeCount > 1 ? 's' : ''}` : ''}`;
+}
+
+/**
+ * Whether a report entry shows data loss worth reviewing before the results: the file failed, or more than
+ * MAJOR_SKIPPED_ROW_FRACTION of its rows were skipped. A few skipped rows (e.g. an empty first reading) are not.
+ * @param {Object} fileDiagnostics - From createFileDiagnostics.
+ * @returns {boolean}
+ */
+export function hasMajorDataLoss(fileDiagnostics) {
+    if (fileDiagnostics.status === 'failed') return true;
+    return fileDiagnostics.totalRows > 0 && fileDiagnostics.skippedRowCount / fileDiagnostics.totalRows > MAJOR_SKIPPED_ROW_FRACTION;
+}
@@ -0,0 +1,187 @@
+// src/utils/patternRecognition.js
+// Multivariate analysis of a sensor array: a feature matrix with one row per exposure event and one column per sensor
+// (the event responses), principal component analysis (PCA) and linear discriminant analysis (LDA) by gas.
+import { symmetricEigen } from './numericUtils.js';
+
+export const FEATURE_SCALINGS = [
+    { value: 'autoscale', label: 'Autoscale (mean 0, unit variance per sensor)' },
+    { value: 'center', label: 'Mean-centre only' }
+];
+
+export const DEFAULT_PATTERN_SETTINGS = {
+    responseMetric: 'steadyStateResponse', // Event metric used as the feature (see calibration.js CALIBRATION_RESPONSE_METRICS)
+    scaling: 'autoscale',
+    method: 'pca'                          // 'pca' or 'lda'
+};
+
+const LDA_REGULARIZATION = 1e-3; // Within-class scatter is shrunk towards its mean variance, as arrays often have more sensors than events
+
+/**
+ * Collects the exposure events of every gas, so that a mixed gas program gives labelled events.
+ * Events of several gases with the same start and end (gases dosed together) are merged into one "A + B" event.
+ * @param {Array<Object>} gasConcProfiles - Per-gas results with events (see timeSeriesAnalysisService.js).
+ * @param {Array<Object>} fallbackEvents - config.gasExposureEvents, used when there are no per-gas results.
+ * @returns {Array<Object>} Events { startTime, endTime, concentration, gas }, sorted by start time.
+ */
+export function collectLabelledEvents(gasConcProfiles, fallbackEvents) {
+    const perGasEvents = (gasConcProfiles || []).flatMap(gasProfile => gasProfile.events || []);
+    if (perGasEvents.length === 0) return fallbackEvents || [];
+    const merged = new Map();
+    perGasEvents.forEach(event => {
+        const key = `${event.startTime.toFixed(6)}-${event.endTime.toFixed(6)}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.gas = `${existing.gas} + ${event.gas}`;
+        } else {
+            merged.set(key, { ...event });
+        }
+    });
+    return [...merged.values()].sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Builds the feature matrix from per-sensor, per-event metrics. Sensors without any response are left out, then
+ * events missing a response from any remaining sensor.
+ * @param {Array<Object>} eventMetrics - Rows from calculateEventMetrics.
+ * @param {string} responseMetric - The metric key to use as the feature.
+ * @returns {{sensors: Array<Object>, events: Array<Object>, values: Array<Array<number>>, droppedEvents: number,
+ * droppedSensors: number}} values[i][j] is the response of sensors[j] to events[i].
+ */
+export function buildFeatureMatrix(eventMetrics, responseMetric) {
+    const sensors = [];
+    const events = [];
+    const responses = new Map();
+    (eventMetrics || []).forEach(row => {
+        if (!sensors.some(sensor => sensor.fileName === row.fileName)) {
+            sensors.push({ sensorNumber: row.sensorNumber, fileName: row.fileName });
+        }
+        if (!events.some(event => event.eventNumber === row.eventNumber)) {
+            events.push({ eventNumber: row.eventNumber, gas: row.gas, concentration: row.concentration, startTime: row.startTime });
+        }
+        responses.set(`${row.fileName}|${row.eventNumber}`, row[responseMetric]);
+    });
+    const isValid = (value) => typeof value === 'number' && isFinite(value);
+    const response = (sensor, event) => responses.get(`${sensor.fileName}|${event.eventNumber}`);
+
+    const usedSensors = sensors.filter(sensor => events.some(event => isValid(response(sensor, event))));
+    const usedEvents = events.filter(event => usedSensors.length > 0 && usedSensors.every(sensor => isValid(response(sensor, event))));
+    return {
+        sensors: usedSensors,
+        events: usedEvents,
+        values: usedEvents.map(event => usedSensors.map(sensor => response(sensor, event))),
+        droppedEvents: events.length - usedEvents.length,
+        droppedSensors: sensors.length - usedSensors.length
+    };
+}
+
+/**
+ * Centres each column, and with 'autoscale' divides it by its standard deviation (constant columns stay at 0).
+ * @returns {Array<Array<number>>} The scaled matrix.
+ */
+function scaleColumns(values, scaling) {
+    const n = values.length;
+    const p = values[0].length;
+    const scaled = values.map(row => [...row]);
+    for (let j = 0; j < p; j++) {
+        const mean = values.reduce((sum, row) => sum + row[j], 0) / n;
+        const sd = n > 1 ? Math.sqrt(values.reduce((sum, row) => sum + (row[j] - mean) ** 2, 0) / (n - 1)) : 0;
+        const divisor = scaling === 'autoscale' && sd > 0 ? sd : 1;
+        scaled.forEach(row => { row[j] = (row[j] - mean) / divisor; });
+    }
+    return scaled;
+}
+
+const multiply = (rows, vector) => rows.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+
+const multiplyMatrices = (a, b) => a.map(row => b[0].map((_, c) => row.reduce((sum, value, k) => sum + value * b[k][c], 0)));
+
+// Flips a direction so that its largest element is positive, which makes the signs reproducible
+const orientDirection = (vector) => {
+    const largest = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+    return largest < 0 ? vector.map(value => -value) : vector;
+};
+
+/**
+ * Principal component analysis of a feature matrix.
+ * @param {Object} featureMatrix - From buildFeatureMatrix.
+ * @param {string} [scaling='autoscale'] - See FEATURE_SCALINGS.
+ * @returns {{scores: Array<Array<number>>, loadings: Array<Array<number>>, explainedVariance: Array<number>}|null}
+ * scores[i][k] is event i on component k, loadings[j][k] is the weight of sensor j in component k, and
+ * explainedVariance[k] is the fraction of the total variance. Null if there are fewer than 2 events or no sensors.
+ */
+export function calculatePca(featureMatrix, scaling = 'autoscale') {
+    const { values } = featureMatrix;
+    if (values.length < 2 || values[0].length === 0) return null;
+    const n = values.length;
+    const p = values[0].length;
+    const x = scaleColumns(values, scaling);
+    const covariance = Array.from({ length: p }, (_, r) => Array.from({ length: p }, (__, c) => (
+        x.reduce((sum, row) => sum + row[r] * row[c], 0) / (n - 1)
+    )));
+    const { values: eigenvalues, vectors } = symmetricEigen(covariance);
+    const totalVariance = eigenvalues.reduce((sum, value) => sum + Math.max(value, 0), 0);
+    if (!(totalVariance > 0)) return null;
+
+    const componentCount = Math.min(p, n - 1);
+    const directions = vectors.slice(0, componentCount).map(orientDirection);
+    return {
+        scores: x.map(row => directions.map(direction => row.reduce((sum, value, j) => sum + value * direction[j], 0))),
+        loadings: Array.from({ length: p }, (_, j) => directions.map(direction => direction[j])),
+        explainedVariance: eigenvalues.slice(0, componentCount).map(value => Math.max(value, 0) / totalVariance)
+    };
+}
+
+/**
+ * Fisher linear discriminant analysis: the directions that best separate the classes relative to the spread within
+ * them. The within-class scatter is regularized, so more sensors than events are allowed.
+ * @param {Object} featureMatrix - From buildFeatureMatrix.
+ * @param {Array<string>} classLabels - The class of each event (e.g. its gas).
+ * @param {string} [scaling='autoscale'] - See FEATURE_SCALINGS.
+ * @returns {{scores: Array<Array<number>>, loadings: Array<Array<number>>, explainedVariance: Array<number>, classes: Array<string>}|null}
+ * As calculatePca, with explainedVariance the share of the between-class separation; at most (classes - 1)
+ * discriminants. Null if there are fewer than 2 classes.
+ */
+export function calculateLda(featureMatrix, classLabels, scaling = 'autoscale') {
+    const { values } = featureMatrix;
+    const classes = [...new Set(classLabels)];
+    if (classes.length < 2 || values.length <= classes.length || values[0].length === 0) return null;
+    const p = values[0].length;
+    const x = scaleColumns(values, scaling);
+
+    const withinScatter = Array.from({ length: p }, () => new Array(p).fill(0));
+    const betweenScatter = Array.from({ length: p }, () => new Array(p).fill(0));
+    classes.forEach(label => {
+        const members = x.filter((row, i) => classLabels[i] === label);
+        const classMean = Array.from({ length: p }, (_, j) => members.reduce((sum, row) => sum + row[j], 0) / members.length);
+        members.forEach(row => {
+            for (let r = 0; r < p; r++) for (let c = 0; c < p; c++) withinScatter[r][c] += (row[r] - classMean[r]) * (row[c] - classMean[c]);
+        });
+        // The scaled data has mean 0, so the class mean is its offset from the overall mean
+        for (let r = 0; r < p; r++) for (let c = 0; c < p; c++) betweenScatter[r][c] += members.length * classMean[r] * classMean[c];
+    });
+    const meanVariance = withinScatter.reduce((sum, row, i) => sum + row[i], 0) / p;
+    const ridge = LDA_REGULARIZATION * (meanVariance > 0 ? meanVariance : 1);
+    withinScatter.forEach((row, i) => { row[i] += ridge; });
+
+    // Whitening by Sw^(-1/2) turns the generalized problem Sb·w = λ·Sw·w into a symmetric one
+    const within = symmetricEigen(withinScatter);
+    const whitening = Array.from({ length: p }, (_, r) => Array.from({ length: p }, (__, c) => (
+        within.vectors.reduce((sum, vector, k) => sum + vector[r] * vector[c] / Math.sqrt(Math.max(within.values[k], ridge)), 0)
+    )));
+    const whitenedBetween = multiplyMatrices(multiplyMatrices(whitening, betweenScatter), whitening);
+    const { values: eigenvalues, vectors } = symmetricEigen(whitenedBetween);
+
+    const discriminantCount = Math.min(classes.length - 1, p);
+    const directions = vectors.slice(0, discriminantCount).map(vector => {
+        const direction = multiply(whitening, vector);
+        const norm = Math.sqrt(direction.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return orientDirection(direction.map(value => value / norm));
+    });
+    const totalSeparation = eigenvalues.reduce((sum, value) => sum + Math.max(value, 0), 0) || 1;
+    return {
+        scores: x.map(row => directions.map(direction => row.reduce((sum, value, j) => sum + value * direction[j], 0))),
+        loadings: Array.from({ length: p }, (_, j) => directions.map(direction => direction[j])),
+        explainedVariance: eigenvalues.slice(0, discriminantCount).map(value => Math.max(value, 0) / totalSeparation),
+        classes
+    };
+}
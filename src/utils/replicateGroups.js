@@ -0,0 +1,127 @@
+// src/utils/replicateGroups.js
+// Replicate sensors: groups of nominally identical sensors combined into a mean with a ±SD or min/max band on a
+// common time grid, and a check for sensors that deviate from the rest of their group.
+import { createTimeGrid, resampleChannel } from './timeBase.js';
+
+export const REPLICATE_BANDS = [
+    { value: 'sd', label: 'Mean ± SD' },
+    { value: 'minmax', label: 'Mean with min/max' }
+];
+
+export const REPLICATE_CHANNELS = [
+    { value: 'signal', label: 'Signal' },
+    { value: 'impedance', label: 'Impedance (Ohm)' },
+    { value: 'phase', label: 'Phase (deg)' }
+];
+
+export const DEFAULT_REPLICATE_SETTINGS = {
+    definition: '',         // e.g. "SnO2: 1, 2, 3; WO3: 4-6" (see parseReplicateGroups)
+    channel: 'signal',
+    band: 'sd',
+    intervalSeconds: 10,    // Common grid spacing
+    deviationThreshold: 3   // A sensor is flagged when its deviation is this many times the group's typical deviation
+};
+
+const MIN_SENSORS_FOR_FLAGGING = 3; // With two sensors there is no majority to deviate from
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Parses replicate group definitions: groups separated by ";" or new lines, each an optional "Name:" followed by
+ * sensor numbers and ranges separated by commas, e.g. "SnO2: 1, 2, 3; WO3: 4-6". Unnamed groups are called "Group n".
+ * @param {string} definition - The definition text.
+ * @returns {Array<{name: string, sensorNumbers: Array<string>}>} The groups, in order.
+ * @throws {Error} If a sensor number or range cannot be read.
+ */
+export function parseReplicateGroups(definition) {
+    return String(definition || '')
+        .split(/[;\n]/)
+        .map(part => part.trim())
+        .filter(part => part.length > 0)
+        .map((part, i) => {
+            const colonIndex = part.indexOf(':');
+            const name = colonIndex >= 0 ? part.slice(0, colonIndex).trim() : '';
+            const sensorNumbers = [];
+            (colonIndex >= 0 ? part.slice(colonIndex + 1) : part).split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+                const range = item.match(/^(\d+)\s*-\s*(\d+)$/);
+                if (range) {
+                    const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+                    for (let n = from; n <= to; n++) sensorNumbers.push(String(n));
+                } else if (/^\w+$/.test(item)) {
+                    sensorNumbers.push(item);
+                } else {
+                    throw new Error(`Cannot read the sensor "${item}" in replicate group "${part}".`);
+                }
+            });
+            return { name: name || `Group ${i + 1}`, sensorNumbers: [...new Set(sensorNumbers)] };
+        });
+}
+
+/**
+ * Combines each replicate group on a common time grid.
+ * The deviation of a sensor is its mean absolute distance from the group median over the grid; a sensor is flagged
+ * when that exceeds deviationThreshold times the median deviation of the group's sensors (groups of 3 or more).
+ * @param {Array<Object>} timeSeriesData - Processed sensor tables { sensorNumber, fileName, data }.
+ * @param {Object} settings - See DEFAULT_REPLICATE_SETTINGS.
+ * @returns {Array<Object>} One entry per group: { name, sensorNumbers (found), missingSensorNumbers, grid, mean, sd,
+ * min, max, count, sensors: [{ sensorNumber, fileName, values, deviation, deviationScore, flagged }] }.
+ * @throws {Error} If the group definition cannot be read.
+ */
+export function calculateReplicateGroups(timeSeriesData, settings) {
+    const s = { ...DEFAULT_REPLICATE_SETTINGS, ...(settings || {}) };
+    const intervalSeconds = parseFloat(s.intervalSeconds) > 0 ? parseFloat(s.intervalSeconds) : DEFAULT_REPLICATE_SETTINGS.intervalSeconds;
+    return parseReplicateGroups(s.definition).map(group => {
+        const tables = group.sensorNumbers
+            .map(sensorNumber => (timeSeriesData || []).find(sensorTable => String(sensorTable.sensorNumber) === sensorNumber))
+            .filter(Boolean);
+        const grid = createTimeGrid(tables.map(sensorTable => sensorTable.data), intervalSeconds);
+        const sensors = tables.map(sensorTable => ({
+            sensorNumber: sensorTable.sensorNumber,
+            fileName: sensorTable.fileName,
+            values: resampleChannel(sensorTable.data, s.channel, grid)
+        }));
+
+        const stats = { mean: [], sd: [], min: [], max: [], count: [], median: [] };
+        grid.forEach((time, t) => {
+            const values = sensors.map(sensor => sensor.values[t]).filter(value => !isNaN(value));
+            const n = values.length;
+            const mean = n > 0 ? values.reduce((sum, value) => sum + value, 0) / n : NaN;
+            stats.mean.push(mean);
+            stats.sd.push(n > 1 ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)) : NaN);
+            stats.min.push(n > 0 ? Math.min(...values) : NaN);
+            stats.max.push(n > 0 ? Math.max(...values) : NaN);
+            stats.count.push(n);
+            stats.median.push(n > 0 ? median(values) : NaN);
+        });
+
+        sensors.forEach(sensor => {
+            const distances = sensor.values
+                .map((value, t) => Math.abs(value - stats.median[t]))
+                .filter((distance, t) => !isNaN(distance) && stats.count[t] >= 2);
+            sensor.deviation = distances.length > 0 ? distances.reduce((sum, d) => sum + d, 0) / distances.length : NaN;
+        });
+        const deviations = sensors.map(sensor => sensor.deviation).filter(deviation => !isNaN(deviation));
+        const typicalDeviation = deviations.length > 0 ? median(deviations) : NaN;
+        sensors.forEach(sensor => {
+            sensor.deviationScore = typicalDeviation > 0 ? sensor.deviation / typicalDeviation : NaN;
+            sensor.flagged = deviations.length >= MIN_SENSORS_FOR_FLAGGING && sensor.deviationScore > s.deviationThreshold;
+        });
+
+        return {
+            name: group.name,
+            sensorNumbers: tables.map(sensorTable => String(sensorTable.sensorNumber)),
+            missingSensorNumbers: group.sensorNumbers.filter(sensorNumber => !tables.some(sensorTable => String(sensorTable.sensorNumber) === sensorNumber)),
+            grid,
+            mean: stats.mean,
+            sd: stats.sd,
+            min: stats.min,
+            max: stats.max,
+            count: stats.count,
+            sensors
+        };
+    });
+}
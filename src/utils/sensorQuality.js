@@ -0,0 +1,132 @@
+// src/utils/sensorQuality.js
+// Per-sensor data quality: baseline noise, signal-to-noise ratio of each exposure, sampling interval statistics,
+// gaps and missing values, summarised as a pass/warn/fail grade.
+import { fitPolynomial } from './numericUtils.js';
+import { calculateEventMetrics } from './eventMetrics.js';
+
+export const QUALITY_GRADES = [
+    { value: 'pass', label: 'Pass' },
+    { value: 'warn', label: 'Warn' },
+    { value: 'fail', label: 'Fail' }
+];
+
+export const DEFAULT_SENSOR_QUALITY = {
+    baselineWindowMinutes: 5,  // Noise window before the first exposure (or at the start without exposures)
+    gapFactor: 5,              // Intervals longer than this many median intervals are gaps
+    warnNanPercent: 5,         // Rows without impedance or signal
+    failNanPercent: 25,
+    warnSnr: 10,               // Warn if any exposure's SNR is below this
+    failSnr: 3                 // Fail if even the best exposure's SNR is below this
+};
+
+const MAX_LISTED_GAPS = 50;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Sampling statistics of a sensor's rows.
+ * @param {Array<Object>} rows - Rows with time_min.
+ * @param {number} gapFactor - Intervals longer than this many median intervals count as gaps.
+ * @returns {{medianIntervalSeconds: number, maxIntervalSeconds: number, gapCount: number, gaps: Array<{startTime: number, durationSeconds: number}>}}
+ */
+function calculateSamplingStatistics(rows, gapFactor) {
+    const times = rows.map(row => row.time_min).filter(time => !isNaN(time)).sort((a, b) => a - b);
+    const intervals = times.slice(1).map((time, i) => (time - times[i]) * 60);
+    if (intervals.length === 0) {
+        return { medianIntervalSeconds: NaN, maxIntervalSeconds: NaN, gapCount: 0, gaps: [] };
+    }
+    const medianIntervalSeconds = median(intervals);
+    const gaps = [];
+    intervals.forEach((interval, i) => {
+        if (interval > gapFactor * medianIntervalSeconds) gaps.push({ startTime: times[i], durationSeconds: interval });
+    });
+    return {
+        medianIntervalSeconds,
+        maxIntervalSeconds: intervals.reduce((max, interval) => Math.max(max, interval), -Infinity),
+        gapCount: gaps.length,
+        gaps: gaps.slice(0, MAX_LISTED_GAPS)
+    };
+}
+
+/**
+ * RMS noise of the signal in a baseline window, after removing a linear trend.
+ * @returns {{noise: number, windowStart: number, windowEnd: number, pointCount: number}} noise is NaN with fewer than 3 points.
+ */
+function calculateBaselineNoise(rows, events, windowMinutes) {
+    const points = rows.filter(row => !isNaN(row.time_min) && typeof row.signal === 'number' && !isNaN(row.signal));
+    const firstEventStart = events.length > 0 ? events.reduce((min, event) => Math.min(min, event.startTime), Infinity) : NaN;
+    const dataStart = points.length > 0 ? points[0].time_min : NaN;
+    const windowEnd = isNaN(firstEventStart) ? dataStart + windowMinutes : firstEventStart;
+    const windowStart = isNaN(firstEventStart) ? dataStart : firstEventStart - windowMinutes;
+    const windowPoints = points.filter(row => row.time_min >= windowStart && row.time_min < windowEnd);
+    const result = { noise: NaN, windowStart, windowEnd, pointCount: windowPoints.length };
+    if (windowPoints.length < 3) return result;
+    const trend = fitPolynomial(windowPoints.map(row => row.time_min), windowPoints.map(row => row.signal), 1);
+    if (!trend) return result;
+    const squares = windowPoints.map(row => (row.signal - trend(row.time_min)) ** 2);
+    result.noise = Math.sqrt(squares.reduce((sum, value) => sum + value, 0) / squares.length);
+    return result;
+}
+
+/**
+ * Assesses the data quality of one processed sensor.
+ * The SNR of an exposure is its |steady-state response| (see eventMetrics.js) over the baseline RMS noise.
+ * @param {Array<Object>} rows - The processed rows (time_min, impedance, signal).
+ * @param {Array<Object>} events - Gas exposure events { startTime, endTime }.
+ * @param {Object} settings - See DEFAULT_SENSOR_QUALITY.
+ * @param {Array<Object>} [samplingRows=rows] - Rows for the sampling statistics (the rows as recorded, before resampling).
+ * @returns {Object} { grade: 'pass'|'warn'|'fail', reasons: [string], noise, noiseWindow: { start, end, pointCount },
+ * eventSnr: [{ eventNumber, snr }], nanFraction, medianIntervalSeconds, maxIntervalSeconds, gapCount, gaps }.
+ */
+export function assessSensorQuality(rows, events, settings, samplingRows = rows) {
+    const s = { ...DEFAULT_SENSOR_QUALITY, ...(settings || {}) };
+    const sortedEvents = [...(events || [])].sort((a, b) => a.startTime - b.startTime);
+    const sampling = calculateSamplingStatistics(samplingRows, s.gapFactor);
+    const baselineNoise = calculateBaselineNoise(rows, sortedEvents, s.baselineWindowMinutes);
+    const nanRows = rows.filter(row => isNaN(row.time_min) || isNaN(row.impedance) || isNaN(row.signal)).length;
+    const nanFraction = rows.length > 0 ? nanRows / rows.length : 1;
+
+    const eventSnr = calculateEventMetrics([{ data: rows }], sortedEvents).map(metrics => ({
+        eventNumber: metrics.eventNumber,
+        snr: baselineNoise.noise > 0 ? Math.abs(metrics.steadyStateResponse) / baselineNoise.noise : NaN
+    }));
+    const snrValues = eventSnr.map(entry => entry.snr).filter(snr => !isNaN(snr));
+
+    const failures = [];
+    const warnings = [];
+    if (nanFraction >= 1) {
+        failures.push('no valid data');
+    } else if (nanFraction * 100 >= s.failNanPercent) {
+        failures.push(`${(nanFraction * 100).toFixed(1)}% rows without data`);
+    } else if (nanFraction * 100 >= s.warnNanPercent) {
+        warnings.push(`${(nanFraction * 100).toFixed(1)}% rows without data`);
+    }
+    if (sampling.gapCount > 0) {
+        warnings.push(`${sampling.gapCount} gap(s) longer than ${s.gapFactor} sampling intervals`);
+    }
+    if (isNaN(baselineNoise.noise)) {
+        warnings.push('too few baseline points to measure the noise');
+    } else if (snrValues.length > 0) {
+        const bestSnr = snrValues.reduce((max, snr) => Math.max(max, snr), -Infinity);
+        const lowestSnr = snrValues.reduce((min, snr) => Math.min(min, snr), Infinity);
+        if (bestSnr < s.failSnr) {
+            failures.push(`best exposure SNR ${bestSnr.toFixed(1)} below ${s.failSnr}`);
+        } else if (lowestSnr < s.warnSnr) {
+            warnings.push(`lowest exposure SNR ${lowestSnr.toFixed(1)} below ${s.warnSnr}`);
+        }
+    }
+
+    return {
+        grade: failures.length > 0 ? 'fail' : (warnings.length > 0 ? 'warn' : 'pass'),
+        reasons: [...failures, ...warnings],
+        noise: baselineNoise.noise,
+        noiseWindow: { start: baselineNoise.windowStart, end: baselineNoise.windowEnd, pointCount: baselineNoise.pointCount },
+        eventSnr,
+        nanFraction,
+        ...sampling
+    };
+}
@@ -0,0 +1,160 @@
+// src/utils/signalCleaning.js
+// Cleaning of the time-series impedance and phase before the signal is computed: valid ranges, spike removal
+// (Hampel identifier or running median) and smoothing (moving average or Savitzky-Golay).
+import { fitPolynomial } from './numericUtils.js';
+
+export const SPIKE_FILTERS = [
+    { value: 'none', label: 'None' },
+    { value: 'hampel', label: 'Hampel identifier (remove spikes)' },
+    { value: 'median', label: 'Running median' }
+];
+
+export const SMOOTHING_METHODS = [
+    { value: 'none', label: 'None' },
+    { value: 'moving_average', label: 'Moving average' },
+    { value: 'savitzky_golay', label: 'Savitzky-Golay' }
+];
+
+export const DEFAULT_CLEANING_SETTINGS = {
+    spikeFilter: 'none',
+    spikeWindow: 7,          // Points in the spike filter window (odd)
+    spikeThreshold: 3,       // Hampel: points more than this many scaled MADs from the window median are removed
+    smoothing: 'none',
+    smoothingWindow: 5,      // Points in the smoothing window (odd)
+    smoothingOrder: 2,       // Savitzky-Golay polynomial order
+    impedanceMin: null,      // Valid ranges; null leaves a side open
+    impedanceMax: null,
+    phaseMin: null,
+    phaseMax: null
+};
+
+const CLEANED_CHANNELS = ['impedance', 'phase'];
+const MAD_TO_SIGMA = 1.4826; // Scales the median absolute deviation to a standard deviation for normal noise
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toOddWindow = (size) => Math.max(3, Math.round(Number(size) || 3) | 1);
+
+const isLimitSet = (limit) => limit !== null && limit !== '' && !isNaN(limit);
+
+/**
+ * Returns whether the settings change the data at all.
+ * @param {Object} settings - See DEFAULT_CLEANING_SETTINGS.
+ * @returns {boolean}
+ */
+export function isCleaningActive(settings) {
+    const s = { ...DEFAULT_CLEANING_SETTINGS, ...(settings || {}) };
+    return s.spikeFilter !== 'none' || s.smoothing !== 'none'
+        || [s.impedanceMin, s.impedanceMax, s.phaseMin, s.phaseMax].some(isLimitSet);
+}
+
+/**
+ * Applies a function to the centered window of valid values around each valid point.
+ * @param {Array<{time: number, value: number}>} points - The channel's valid points, in time order.
+ * @param {number} windowSize - Odd number of points in the window (shrinks at the ends).
+ * @param {Function} fn - (windowPoints, point) -> new value.
+ * @returns {Array<number>} The new values, one per point.
+ */
+function mapWindows(points, windowSize, fn) {
+    const half = Math.floor(windowSize / 2);
+    return points.map((point, i) => fn(points.slice(Math.max(0, i - half), i + half + 1), point));
+}
+
+/**
+ * Cleans one channel of the rows in place.
+ * @returns {{rangeRemoved: number, spikesRemoved: number}} Counts of values set to NaN.
+ */
+function cleanChannel(rows, key, min, max, s) {
+    const counts = { rangeRemoved: 0, spikesRemoved: 0 };
+    rows.forEach(row => {
+        const value = row[key];
+        if (isNaN(value)) return;
+        if ((isLimitSet(min) && value < min) || (isLimitSet(max) && value > max)) {
+            row[key] = NaN;
+            counts.rangeRemoved++;
+        }
+    });
+
+    const validRows = () => rows.filter(row => !isNaN(row.time_min) && !isNaN(row[key]));
+
+    if (s.spikeFilter !== 'none') {
+        const channelRows = validRows();
+        const points = channelRows.map(row => ({ time: row.time_min, value: row[key] }));
+        const filtered = mapWindows(points, toOddWindow(s.spikeWindow), (windowPoints, point) => {
+            const windowMedian = median(windowPoints.map(p => p.value));
+            if (s.spikeFilter === 'median') return windowMedian;
+            const scaledMad = MAD_TO_SIGMA * median(windowPoints.map(p => Math.abs(p.value - windowMedian)));
+            return Math.abs(point.value - windowMedian) > s.spikeThreshold * scaledMad && scaledMad > 0 ? NaN : point.value;
+        });
+        channelRows.forEach((row, i) => {
+            if (isNaN(filtered[i])) counts.spikesRemoved++;
+            row[key] = filtered[i];
+        });
+    }
+
+    if (s.smoothing !== 'none') {
+        const channelRows = validRows();
+        const points = channelRows.map(row => ({ time: row.time_min, value: row[key] }));
+        const windowSize = toOddWindow(s.smoothingWindow);
+        const order = Math.max(0, Math.min(Math.round(s.smoothingOrder), windowSize - 1));
+        const smoothed = mapWindows(points, windowSize, (windowPoints, point) => {
+            if (s.smoothing === 'moving_average') {
+                return windowPoints.reduce((sum, p) => sum + p.value, 0) / windowPoints.length;
+            }
+            // Savitzky-Golay: local least-squares polynomial on the (possibly uneven) time axis
+            const local = fitPolynomial(windowPoints.map(p => p.time), windowPoints.map(p => p.value), order);
+            return local ? local(point.time) : point.value;
+        });
+        channelRows.forEach((row, i) => { row[key] = smoothed[i]; });
+    }
+    return counts;
+}
+
+/**
+ * Cleans the impedance and phase of a sensor's rows in place. The original values are kept in
+ * impedance_raw and phase_raw. Out-of-range values and Hampel spikes are set to NaN; the running median and
+ * the smoothing replace values.
+ * @param {Array<Object>} rows - Sensor rows with time_min, impedance and phase, in time order.
+ * @param {Object} settings - See DEFAULT_CLEANING_SETTINGS.
+ * @returns {Object|null} { impedance: { rangeRemoved, spikesRemoved }, phase: { ... } }, or null if cleaning is off.
+ */
+export function applySignalCleaning(rows, settings) {
+    if (!isCleaningActive(settings)) return null;
+    const s = { ...DEFAULT_CLEANING_SETTINGS, ...settings };
+    rows.forEach(row => {
+        row.impedance_raw = row.impedance;
+        row.phase_raw = row.phase;
+    });
+    const result = {};
+    CLEANED_CHANNELS.forEach(key => {
+        result[key] = cleanChannel(rows, key, s[`${key}Min`], s[`${key}Max`], s);
+    });
+    return result;
+}
+
+/**
+ * Describes the cleaning settings for the processing log.
+ * @param {Object} settings - See DEFAULT_CLEANING_SETTINGS.
+ * @returns {string} e.g. "Hampel identifier (remove spikes) (7 points, 3 MAD), Moving average (5 points)".
+ */
+export function describeCleaningSettings(settings) {
+    const s = { ...DEFAULT_CLEANING_SETTINGS, ...(settings || {}) };
+    const parts = [];
+    const ranges = CLEANED_CHANNELS
+        .filter(key => isLimitSet(s[`${key}Min`]) || isLimitSet(s[`${key}Max`]))
+        .map(key => `${key} ${isLimitSet(s[`${key}Min`]) ? s[`${key}Min`] : '-∞'} to ${isLimitSet(s[`${key}Max`]) ? s[`${key}Max`] : '∞'}`);
+    if (ranges.length > 0) parts.push(`valid ${ranges.join(', ')}`);
+    if (s.spikeFilter !== 'none') {
+        const label = SPIKE_FILTERS.find(f => f.value === s.spikeFilter).label;
+        parts.push(`${label} (${toOddWindow(s.spikeWindow)} points${s.spikeFilter === 'hampel' ? `, ${s.spikeThreshold} MAD` : ''})`);
+    }
+    if (s.smoothing !== 'none') {
+        const label = SMOOTHING_METHODS.find(m => m.value === s.smoothing).label;
+        parts.push(`${label} (${toOddWindow(s.smoothingWindow)} points${s.smoothing === 'savitzky_golay' ? `, order ${s.smoothingOrder}` : ''})`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'none';
+}
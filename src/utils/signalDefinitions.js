@@ -0,0 +1,226 @@
+// src/utils/signalDefinitions.js
+// Signal definitions for time-series analysis: built-in formulas and a small expression language over the
+// impedance (Z), phase (P), their reference values (Z0, P0) and the time in minutes (t).
+// Expressions are parsed into closures; nothing is passed to eval or Function.
+
+export const SIGNAL_VARIABLES = [
+    { name: 'Z', description: 'impedance (drift-corrected if enabled)' },
+    { name: 'Z0', description: 'reference impedance' },
+    { name: 'P', description: 'phase (deg)' },
+    { name: 'P0', description: 'reference phase (deg)' },
+    { name: 't', description: 'time (min)' }
+];
+
+const SIGNAL_FUNCTIONS = {
+    abs: { arity: 1, fn: Math.abs },
+    sqrt: { arity: 1, fn: Math.sqrt },
+    exp: { arity: 1, fn: Math.exp },
+    ln: { arity: 1, fn: Math.log },
+    log10: { arity: 1, fn: Math.log10 },
+    min: { arity: 2, fn: Math.min },
+    max: { arity: 2, fn: Math.max },
+    pow: { arity: 2, fn: Math.pow }
+};
+
+export const SIGNAL_DEFINITIONS = [
+    { id: 'relative_change', label: 'ΔZ/Z0 (%)', expression: '(Z - Z0) / Z0 * 100' },
+    { id: 'inverse_ratio', label: 'Z0/Z', expression: 'Z0 / Z' },
+    { id: 'ratio', label: 'Z/Z0', expression: 'Z / Z0' },
+    { id: 'delta', label: 'ΔZ (Ohm)', expression: 'Z - Z0' },
+    { id: 'log_ratio', label: 'log10(Z/Z0)', expression: 'log10(Z / Z0)' },
+    { id: 'phase_shift', label: 'Phase shift (deg)', expression: 'P - P0' },
+    { id: 'custom', label: 'Custom expression', expression: '' }
+];
+
+export const DEFAULT_SIGNAL_DEFINITION = {
+    id: 'relative_change',
+    expression: '',  // For 'custom'
+    label: ''        // Axis label for 'custom' (defaults to the expression)
+};
+
+/**
+ * Splits an expression into number, name, operator and parenthesis tokens.
+ * @param {string} expression - The expression text.
+ * @returns {Array<{type: string, value: any, position: number}>} The tokens.
+ */
+function tokenizeExpression(expression) {
+    const tokens = [];
+    let i = 0;
+    while (i < expression.length) {
+        const char = expression[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        const numberMatch = expression.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: i });
+            i += numberMatch[0].length;
+            continue;
+        }
+        const nameMatch = expression.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (nameMatch) {
+            tokens.push({ type: 'name', value: nameMatch[0], position: i });
+            i += nameMatch[0].length;
+            continue;
+        }
+        if ('+-*/^(),'.includes(char)) {
+            tokens.push({ type: char, value: char, position: i });
+            i++;
+            continue;
+        }
+        throw new Error(`Unexpected character "${char}" at position ${i + 1}.`);
+    }
+    return tokens;
+}
+
+/**
+ * Compiles a signal expression into a function of the signal variables.
+ * Grammar: + - * / ^ (right-associative), unary minus, parentheses, numbers, the variables of SIGNAL_VARIABLES
+ * and the functions abs, sqrt, exp, ln, log10 (one argument) and min, max, pow (two arguments).
+ * @param {string} expression - e.g. "(Z - Z0) / Z0 * 100".
+ * @returns {Function} (variables: { Z, Z0, P, P0, t }) -> number.
+ * @throws {Error} If the expression is empty or invalid (the message names the problem and its position).
+ */
+export function compileSignalExpression(expression) {
+    if (!expression || !String(expression).trim()) {
+        throw new Error("The signal expression is empty.");
+    }
+    const tokens = tokenizeExpression(String(expression));
+    const variableNames = SIGNAL_VARIABLES.map(v => v.name);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describePosition = () => (peek() ? `at position ${peek().position + 1}` : 'at the end');
+    const expect = (type) => {
+        if (!peek() || peek().type !== type) throw new Error(`Expected "${type}" ${describePosition()}.`);
+        index++;
+    };
+
+    // expression := term (('+' | '-') term)*
+    const parseExpression = () => {
+        let left = parseTerm();
+        while (peek() && (peek().type === '+' || peek().type === '-')) {
+            const operator = tokens[index++].type;
+            const right = parseTerm();
+            const l = left;
+            left = operator === '+' ? (vars) => l(vars) + right(vars) : (vars) => l(vars) - right(vars);
+        }
+        return left;
+    };
+
+    // term := unary (('*' | '/') unary)*
+    const parseTerm = () => {
+        let left = parseUnary();
+        while (peek() && (peek().type === '*' || peek().type === '/')) {
+            const operator = tokens[index++].type;
+            const right = parseUnary();
+            const l = left;
+            left = operator === '*' ? (vars) => l(vars) * right(vars) : (vars) => l(vars) / right(vars);
+        }
+        return left;
+    };
+
+    // unary := '-' unary | power
+    const parseUnary = () => {
+        if (peek() && peek().type === '-') {
+            index++;
+            const operand = parseUnary();
+            return (vars) => -operand(vars);
+        }
+        return parsePower();
+    };
+
+    // power := primary ('^' unary)?
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() && peek().type === '^') {
+            index++;
+            const exponent = parseUnary();
+            return (vars) => Math.pow(base(vars), exponent(vars));
+        }
+        return base;
+    };
+
+    // primary := number | variable | function '(' expression (',' expression)* ')' | '(' expression ')'
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw new Error("Unexpected end of expression.");
+        if (token.type === 'number') {
+            index++;
+            return () => token.value;
+        }
+        if (token.type === '(') {
+            index++;
+            const inner = parseExpression();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            index++;
+            if (Object.prototype.hasOwnProperty.call(SIGNAL_FUNCTIONS, token.value)) {
+                const { arity, fn } = SIGNAL_FUNCTIONS[token.value];
+                expect('(');
+                const args = [parseExpression()];
+                while (peek() && peek().type === ',') {
+                    index++;
+                    args.push(parseExpression());
+                }
+                expect(')');
+                if (args.length !== arity) {
+                    throw new Error(`${token.value}() takes ${arity} argument${arity > 1 ? 's' : ''}, got ${args.length}.`);
+                }
+                return (vars) => fn(...args.map(arg => arg(vars)));
+            }
+            if (variableNames.includes(token.value)) {
+                return (vars) => vars[token.value];
+            }
+            throw new Error(`Unknown name "${token.value}" at position ${token.position + 1}. Use ${variableNames.join(', ')} or ${Object.keys(SIGNAL_FUNCTIONS).join(', ')}().`);
+        }
+        throw new Error(`Unexpected "${token.value}" at position ${token.position + 1}.`);
+    };
+
+    const compiled = parseExpression();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected "${tokens[index].value}" at position ${tokens[index].position + 1}.`);
+    }
+    return compiled;
+}
+
+/**
+ * Resolves the configured signal definition into its label, expression and evaluator.
+ * @param {Object} [settings=DEFAULT_SIGNAL_DEFINITION] - { id, expression, label } from the configuration.
+ * @returns {{id: string, label: string, expression: string, evaluate: Function}} evaluate(variables) returns the signal,
+ * or NaN where it is not finite.
+ * @throws {Error} If the id is unknown or the custom expression is invalid.
+ */
+export function resolveSignalDefinition(settings = DEFAULT_SIGNAL_DEFINITION) {
+    const requested = { ...DEFAULT_SIGNAL_DEFINITION, ...(settings || {}) };
+    const definition = SIGNAL_DEFINITIONS.find(d => d.id === requested.id);
+    if (!definition) {
+        throw new Error(`Unknown signal definition "${requested.id}".`);
+    }
+    const expression = definition.id === 'custom' ? String(requested.expression || '').trim() : definition.expression;
+    const label = definition.id === 'custom' ? (String(requested.label || '').trim() || expression) : definition.label;
+    const compiled = compileSignalExpression(expression);
+    return {
+        id: definition.id,
+        label,
+        expression,
+        evaluate: (variables) => {
+            const value = compiled(variables);
+            return typeof value === 'number' && isFinite(value) ? value : NaN;
+        }
+    };
+}
+
+/**
+ * Returns the signal label of processed time-series results, for axis titles and export headers.
+ * Results processed before signal definitions were configurable fall back to the ΔZ/Z0 label.
+ * @param {Array<Object>} timeSeriesData - Processed sensor tables (each may carry signalDefinition: { id, label, expression }).
+ * @returns {string} The signal label.
+ */
+export function getSignalLabel(timeSeriesData) {
+    const sensorTable = (timeSeriesData || []).find(table => table && table.signalDefinition);
+    return sensorTable ? sensorTable.signalDefinition.label : SIGNAL_DEFINITIONS[0].label;
+}
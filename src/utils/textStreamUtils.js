@@ -0,0 +1,55 @@
+// src/utils/textStreamUtils.js
+
+/**
+ * Reads a File/Blob incrementally with File.stream() and yields batches of complete text lines.
+ * Line endings (\n or \r\n) are stripped; a trailing partial line is carried over to the next chunk.
+ * Works both on the main thread and inside a Web Worker.
+ * @param {Blob} file - The File or Blob to read.
+ * @param {Object} [options]
+ * @param {string} [options.encoding='utf-8'] - Text encoding passed to TextDecoder.
+ * @param {Function} [options.onProgress] - Called as (bytesRead, totalBytes) after each chunk.
+ * @yields {Array<string>} The lines completed by each chunk read.
+ */
+export async function* readFileLineBatches(file, { encoding = 'utf-8', onProgress } = {}) {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder(encoding);
+    const totalBytes = file.size;
+    let bytesRead = 0;
+    let remainder = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            bytesRead += value.byteLength;
+            const lines = (remainder + decoder.decode(value, { stream: true })).split(/\r?\n/);
+            remainder = lines.pop(); // Possibly incomplete, wait for the next chunk
+            if (onProgress) onProgress(bytesRead, totalBytes);
+            if (lines.length > 0) yield lines;
+        }
+
+        remainder += decoder.decode(); // Flush any bytes held by the decoder
+        if (remainder.endsWith('\r')) remainder = remainder.slice(0, -1);
+        if (remainder !== '') yield [remainder];
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Formats a byte count for log messages (e.g. 1536 -> "1.5 KB").
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} Human-readable size.
+ */
+export function formatByteSize(bytes) {
+    if (!isFinite(bytes) || bytes < 0) return 'N/A';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
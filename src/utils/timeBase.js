@@ -0,0 +1,205 @@
+// src/utils/timeBase.js
+// Common time base for the sensors of an experiment: relative times from a global experiment start instead of each
+// file's first row, optional resampling onto a shared time grid, and the combined wide table built from it.
+import { createNaturalCubicSpline } from './numericUtils.js';
+import { parseTimestamp, timeStringToMinutes } from './dateTimeUtils.js';
+
+export const TIME_BASE_MODES = [
+    { value: 'per_file', label: 'Each file from its first row' },
+    { value: 'earliest', label: 'Earliest timestamp of all sensors' },
+    { value: 'clock', label: 'Clock time' }
+];
+
+export const INTERPOLATION_METHODS = [
+    { value: 'linear', label: 'Linear' },
+    { value: 'nearest', label: 'Nearest point' },
+    { value: 'previous', label: 'Previous point (hold)' },
+    { value: 'spline', label: 'Cubic spline' }
+];
+
+export const DEFAULT_TIME_BASE = {
+    mode: 'per_file',
+    clockTime: '',          // For 'clock': HH:MM:SS on the day of the earliest recording, or a full timestamp
+    resample: false,
+    intervalSeconds: 10,    // Grid spacing when resampling
+    interpolation: 'linear'
+};
+
+// Gaps longer than this many typical sampling intervals are not interpolated across
+const MAX_GAP_FACTOR = 5;
+
+// Row keys that describe time or are computed after resampling
+const NON_RESAMPLED_KEYS = ['time_s', 'time_min', 'timestamp_ms', 'signal', 'gas_concentration'];
+
+/**
+ * Resolves the global experiment start.
+ * @param {Array<number>} fileStartsMs - First timestamp of each sensor file (epoch ms; NaN if unknown).
+ * @param {Object} settings - See DEFAULT_TIME_BASE.
+ * @param {string|null} timestampFormat - Format id used to read a full clock timestamp (see dateTimeUtils).
+ * @returns {number} The start in epoch ms, or NaN in 'per_file' mode.
+ * @throws {Error} If no file start is known or the clock time cannot be read.
+ */
+export function resolveExperimentStart(fileStartsMs, settings, timestampFormat) {
+    if (settings.mode === 'per_file') return NaN;
+    const knownStarts = fileStartsMs.filter(start => !isNaN(start));
+    if (knownStarts.length === 0) {
+        throw new Error('No sensor file has a readable first timestamp, so there is no common time base.');
+    }
+    const earliest = Math.min(...knownStarts);
+    if (settings.mode === 'earliest') return earliest;
+
+    const clockText = String(settings.clockTime || '').trim();
+    const minutesOfDay = timeStringToMinutes(clockText);
+    if (!isNaN(minutesOfDay)) {
+        const midnight = new Date(earliest);
+        midnight.setHours(0, 0, 0, 0);
+        return midnight.getTime() + minutesOfDay * 60000;
+    }
+    const clockDate = parseTimestamp(clockText, timestampFormat);
+    if (!clockDate) {
+        throw new Error(`Invalid experiment start "${clockText}". Use HH:MM:SS or a timestamp in the format of the data files.`);
+    }
+    return clockDate.getTime();
+}
+
+/**
+ * Measures the row times from a new start, using each row's absolute timestamp_ms.
+ * @param {Array<Object>} rows - Sensor rows (modified in place).
+ * @param {number} startMs - The start in epoch ms.
+ */
+export function rebaseRowTimes(rows, startMs) {
+    rows.forEach(row => {
+        row.time_s = (row.timestamp_ms - startMs) / 1000;
+        row.time_min = row.time_s / 60;
+    });
+}
+
+/**
+ * Creates the shared time grid covering all sensors: multiples of the interval from the earliest to the latest valid time.
+ * @param {Array<Array<Object>>} tables - The rows of each sensor.
+ * @param {number} intervalSeconds - Grid spacing.
+ * @returns {Array<number>} Grid times in minutes (empty if there is no valid time).
+ */
+export function createTimeGrid(tables, intervalSeconds) {
+    const stepMinutes = intervalSeconds / 60;
+    let minTime = Infinity;
+    let maxTime = -Infinity;
+    tables.forEach(rows => rows.forEach(row => {
+        if (isNaN(row.time_min)) return;
+        if (row.time_min < minTime) minTime = row.time_min;
+        if (row.time_min > maxTime) maxTime = row.time_min;
+    }));
+    if (!(stepMinutes > 0) || !isFinite(minTime)) return [];
+    const firstIndex = Math.ceil(minTime / stepMinutes - 1e-9) || 0; // Avoids -0
+    const lastIndex = Math.floor(maxTime / stepMinutes + 1e-9);
+    const grid = [];
+    for (let i = firstIndex; i <= lastIndex; i++) grid.push(i * stepMinutes);
+    return grid;
+}
+
+/**
+ * Builds an interpolator over the valid points of one channel. Outside the data, and inside gaps longer than
+ * MAX_GAP_FACTOR typical sampling intervals, it returns NaN.
+ * @param {Array<number>} xs - Times, increasing.
+ * @param {Array<number>} ys - Values.
+ * @param {string} method - See INTERPOLATION_METHODS.
+ * @returns {Function} time -> value.
+ */
+function createInterpolator(xs, ys, method) {
+    const n = xs.length;
+    if (n === 0) return () => NaN;
+    const spacings = xs.slice(1).map((x, i) => x - xs[i]).sort((a, b) => a - b);
+    const maxGap = spacings.length > 0 ? spacings[Math.floor(spacings.length / 2)] * MAX_GAP_FACTOR : 0;
+    const spline = method === 'spline' ? createNaturalCubicSpline(xs, ys) : null;
+
+    return (x) => {
+        if (x < xs[0] || x > xs[n - 1]) return NaN;
+        let low = 0;
+        let high = n - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (xs[mid] > x) high = mid; else low = mid;
+        }
+        if (x === xs[low]) return ys[low];
+        if (x === xs[high]) return ys[high];
+        if (xs[high] - xs[low] > maxGap) return NaN;
+        switch (method) {
+            case 'nearest': return x - xs[low] <= xs[high] - x ? ys[low] : ys[high];
+            case 'previous': return ys[low];
+            case 'spline': return spline(x);
+            default: return ys[low] + (ys[high] - ys[low]) * (x - xs[low]) / (xs[high] - xs[low]);
+        }
+    };
+}
+
+/**
+ * Builds the interpolator of one channel over the rows where it is valid.
+ * @returns {Function} time -> value.
+ */
+function createChannelInterpolator(rows, key, method) {
+    const points = rows
+        .filter(row => !isNaN(row.time_min) && typeof row[key] === 'number' && !isNaN(row[key]))
+        .sort((a, b) => a.time_min - b.time_min)
+        .filter((row, i, sorted) => i === 0 || row.time_min > sorted[i - 1].time_min); // Spline and search need distinct times
+    return createInterpolator(points.map(row => row.time_min), points.map(row => row[key]), method);
+}
+
+/**
+ * Resamples a sensor's rows onto a time grid. Every numeric channel (impedance, phase, raw values, extra channels)
+ * is interpolated separately over its own valid points.
+ * @param {Array<Object>} rows - Sensor rows with time_min.
+ * @param {Array<number>} grid - Grid times in minutes (from createTimeGrid).
+ * @param {string} method - See INTERPOLATION_METHODS.
+ * @param {number} startMs - Epoch ms of time zero, for timestamp_ms (NaN if unknown).
+ * @returns {Array<Object>} One row per grid time.
+ */
+export function resampleRows(rows, grid, method, startMs) {
+    const sampleRow = rows.find(row => !isNaN(row.time_min)) || {};
+    const channelKeys = Object.keys(sampleRow).filter(key => typeof sampleRow[key] === 'number' && !NON_RESAMPLED_KEYS.includes(key));
+    const interpolators = {};
+    channelKeys.forEach(key => {
+        interpolators[key] = createChannelInterpolator(rows, key, method);
+    });
+    return grid.map(time => {
+        const row = { time_s: time * 60, time_min: time, timestamp_ms: startMs + time * 60000, signal: NaN, gas_concentration: NaN };
+        channelKeys.forEach(key => { row[key] = interpolators[key](time); });
+        return row;
+    });
+}
+
+/**
+ * Interpolates one channel of a sensor's rows onto a time grid (see createInterpolator for gaps and the ends).
+ * @param {Array<Object>} rows - Sensor rows with time_min.
+ * @param {string} key - The row key of the channel.
+ * @param {Array<number>} grid - Grid times in minutes.
+ * @param {string} [method='linear'] - See INTERPOLATION_METHODS.
+ * @returns {Array<number>} One value per grid time (NaN where there is no data).
+ */
+export function resampleChannel(rows, key, grid, method = 'linear') {
+    const interpolate = createChannelInterpolator(rows, key, method);
+    return grid.map(time => interpolate(time));
+}
+
+/**
+ * Builds the combined wide table of resampled sensors: one time column and one column per sensor.
+ * @param {Array<Object>} timeSeriesData - Processed sensor tables on a shared grid.
+ * @param {string} [valueKey='signal'] - The row key to tabulate.
+ * @returns {Array<Array<any>>} Header row followed by one row per grid time (NaN where a sensor has no value);
+ * empty if the sensors do not share a grid.
+ */
+export function buildCombinedTable(timeSeriesData, valueKey = 'signal') {
+    const tables = (timeSeriesData || []).filter(sensorTable => sensorTable && sensorTable.resampling);
+    if (tables.length === 0 || tables.length !== timeSeriesData.length) return [];
+    const columns = tables.map(sensorTable => {
+        const byTime = new Map(sensorTable.data.map(row => [row.time_min.toFixed(9), row[valueKey]]));
+        return { header: `Sensor ${sensorTable.sensorNumber}`, byTime };
+    });
+    const times = [...new Set(tables.flatMap(sensorTable => sensorTable.data.map(row => row.time_min)))].sort((a, b) => a - b);
+    return [
+        ['Time (min)', ...columns.map(column => column.header)],
+        ...times.map(time => [time, ...columns.map(column => {
+            const value = column.byTime.get(time.toFixed(9));
+            return value === undefined ? NaN : value;
+        })])
+    ];
+}
@@ -1,8 +1,10 @@
 // src/views/ProcessingView.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useAppContext } from '../contexts/AppContext.jsx';
 import { runTimeSeriesAnalysis } from '../services/timeSeriesAnalysisService.js';
 import { runSpectroscopyAnalysis } from '../services/spectroscopyAnalysisService.js'; // Import new service
+import ParseDiagnosticsReport from '../components/ParseDiagnostics/ParseDiagnosticsReport.jsx';
+import { hasMajorDataLoss, summarizeFileDiagnostics } from '../utils/parseDiagnostics.js';
 import './ProcessingView.css';
 
 const ProcessingView = () => {
@@ -20,55 +22,124 @@ const ProcessingView = () => {
         setIsProcessing,
         setTimeSeriesData,
         setSpectroscopyData, // Now this will be used
-        setGasConcProfile
+        setGasConcProfile,
+        setGasConcProfiles,
+        parseDiagnostics, setParseDiagnostics,
+        experiments, setExperimentResults, showExperimentResult
     } = useAppContext();
 
     const [analysisStarted, setAnalysisStarted] = useState(false);
+    const [awaitingReview, setAwaitingReview] = useState(false); // Files failed or lost many rows: stay here until the user continues
+    const [resultToShow, setResultToShow] = useState(null); // First experiment's results (multi-experiment uploads)
+
+    const openResults = useCallback((experimentResult) => {
+        if (experimentResult) showExperimentResult(experimentResult);
+        setCurrentStep('results');
+    }, [showExperimentResult, setCurrentStep]);
 
     useEffect(() => {
-        const performAnalysis = async () => {
-            if (analysisType === 'time_series') {
-                // ... (existing time-series logic - keep as is)
+        // Runs one analysis and records what it produced, so the results of several experiments can be shown later
+        const runExperiment = async (type, fileItems, experimentGasFlowFile) => {
+            const result = {
+                analysisType: type, success: false,
+                timeSeriesData: [], spectroscopyData: [], gasConcProfile: [], gasConcProfiles: [], parseDiagnostics: [],
+                configUpdates: { gasExposureEvents: [] }
+            };
+            const record = (key, setter) => (value) => {
+                result[key] = value;
+                setter(value);
+            };
+            const recordConfig = (values) => {
+                Object.assign(result.configUpdates, values);
+                updateConfig(values);
+            };
+
+            if (type === 'time_series') {
                 addLogMessage("ProcessingView: Kicking off time-series analysis...");
-                const success = await runTimeSeriesAnalysis(
-                    categorizedFileItems.filter(item => item.type === 'time_series'),
-                    gasFlowFile,
+                result.success = await runTimeSeriesAnalysis(
+                    fileItems.filter(item => item.type === 'time_series'),
+                    experimentGasFlowFile,
                     config,
                     addLogMessage,
                     setProgressBarValue,
-                    setTimeSeriesData,
-                    setGasConcProfile,
-                    updateConfig
+                    record('timeSeriesData', setTimeSeriesData),
+                    record('gasConcProfile', setGasConcProfile),
+                    recordConfig,
+                    record('gasConcProfiles', setGasConcProfiles),
+                    record('parseDiagnostics', setParseDiagnostics)
                 );
-                if (success) {
-                    addLogMessage("Time-series analysis completed successfully.", "success");
-                    setProcessingStatusMessage("Time-series analysis complete!");
-                    setProcessingSuccess(true);
-                    setTimeout(() => { setCurrentStep('results'); }, 1500);
-                } else {
-                    addLogMessage("Time-series analysis encountered an error.", "error");
-                    setProcessingStatusMessage("Error during time-series analysis. Check log.");
-                    setProcessingSuccess(false);
-                }
-            } else if (analysisType === 'spectroscopy') {
+            } else if (type === 'spectroscopy') {
                 addLogMessage("ProcessingView: Kicking off spectroscopy analysis..."); // Updated log
-                const success = await runSpectroscopyAnalysis( // Call the new service
-                    categorizedFileItems.filter(item => item.type === 'spectroscopy'),
+                result.success = await runSpectroscopyAnalysis( // Call the new service
+                    fileItems.filter(item => item.type === 'spectroscopy'),
                     config, // Pass config
                     addLogMessage,
                     setProgressBarValue,
-                    setSpectroscopyData
+                    record('spectroscopyData', setSpectroscopyData),
+                    record('parseDiagnostics', setParseDiagnostics)
                 );
-                if (success) {
-                    addLogMessage("Spectroscopy analysis completed successfully.", "success");
-                    setProcessingStatusMessage("Spectroscopy analysis complete!");
+            }
+            return result;
+        };
+
+        // Move on to the results, unless the diagnostics show data loss worth reviewing first.
+        // Files with only a few skipped rows or with notices (e.g. an ambiguous timestamp) are listed in the log
+        // without holding the view.
+        const showResults = (experimentsFailed, diagnostics, resultToShow) => {
+            diagnostics
+                .filter(entry => entry.status !== 'ok' && !hasMajorDataLoss(entry))
+                .forEach(entry => addLogMessage(`${entry.fileName}: ${summarizeFileDiagnostics(entry)}.`, 'warn'));
+            setResultToShow(resultToShow);
+            if (experimentsFailed || diagnostics.some(hasMajorDataLoss)) {
+                setAwaitingReview(true);
+            } else {
+                setTimeout(() => { openResults(resultToShow); }, 1500);
+            }
+        };
+
+        const performExperiments = async (experimentsToRun) => {
+            const results = [];
+            let combinedDiagnostics = [];
+            for (let i = 0; i < experimentsToRun.length; i++) {
+                const experiment = experimentsToRun[i];
+                addLogMessage(`Experiment ${i + 1} of ${experimentsToRun.length}: ${experiment.name} (${experiment.analysisType.replace('_', ' ')}, ${experiment.fileItems.length} file(s)).`);
+                const result = await runExperiment(experiment.analysisType, experiment.fileItems, experiment.gasFlowFile);
+                results.push({ ...result, experimentId: experiment.id, name: experiment.name });
+                combinedDiagnostics = [
+                    ...combinedDiagnostics,
+                    ...result.parseDiagnostics.map(entry => ({ ...entry, fileName: `${experiment.name}/${entry.fileName}` }))
+                ];
+                setParseDiagnostics(combinedDiagnostics);
+                addLogMessage(`Experiment ${experiment.name}: ${result.success ? 'completed' : 'failed'}.`, result.success ? 'success' : 'error');
+            }
+
+            const successfulResults = results.filter(result => result.success);
+            setExperimentResults(successfulResults);
+            if (successfulResults.length === 0) {
+                setProcessingStatusMessage("All experiments failed. Check log.");
+                setProcessingSuccess(false);
+                return;
+            }
+            setProcessingStatusMessage(`${successfulResults.length} of ${experimentsToRun.length} experiment(s) processed.`);
+            setProcessingSuccess(true);
+            showResults(successfulResults.length < results.length, combinedDiagnostics, successfulResults[0]);
+        };
+
+        const performAnalysis = async () => {
+            const experimentsToRun = experiments.filter(experiment => experiment.selected);
+            if (experimentsToRun.length > 0) {
+                await performExperiments(experimentsToRun);
+            } else if (analysisType === 'time_series' || analysisType === 'spectroscopy') {
+                const typeLabel = analysisType === 'time_series' ? 'Time-series' : 'Spectroscopy';
+                const result = await runExperiment(analysisType, categorizedFileItems, gasFlowFile);
+                if (result.success) {
+                    addLogMessage(`${typeLabel} analysis completed successfully.`, "success");
+                    setProcessingStatusMessage(`${typeLabel} analysis complete!`);
                     setProcessingSuccess(true);
-                    setTimeout(() => {
-                        setCurrentStep('results');
-                    }, 1500);
+                    showResults(false, result.parseDiagnostics, null);
                 } else {
-                    addLogMessage("Spectroscopy analysis encountered an error.", "error");
-                    setProcessingStatusMessage("Error during spectroscopy analysis. Check log.");
+                    addLogMessage(`${typeLabel} analysis encountered an error.`, "error");
+                    setProcessingStatusMessage(`Error during ${typeLabel.toLowerCase()} analysis. Check log.`);
                     setProcessingSuccess(false);
                 }
             } else {
@@ -79,7 +150,8 @@ const ProcessingView = () => {
             setIsProcessing(false);
         };
 
-        if (!analysisStarted && categorizedFileItems.length > 0 && analysisType) { // Added analysisType check
+        const hasSelectedExperiments = experiments.some(experiment => experiment.selected);
+        if (!analysisStarted && (hasSelectedExperiments || (categorizedFileItems.length > 0 && analysisType))) { // Added analysisType check
             setAnalysisStarted(true);
             setIsProcessing(true);
             setProcessingSuccess(null);
@@ -87,9 +159,10 @@ const ProcessingView = () => {
         }
     }, [
         analysisStarted, analysisType, categorizedFileItems, gasFlowFile, config,
-        addLogMessage, setProgressBarValue, setTimeSeriesData, setGasConcProfile,
+        addLogMessage, setProgressBarValue, setTimeSeriesData, setGasConcProfile, setGasConcProfiles,
         setCurrentStep, setIsProcessing, setProcessingStatusMessage, setProcessingSuccess,
-        updateConfig, setSpectroscopyData // Ensure setSpectroscopyData is in deps
+        updateConfig, setSpectroscopyData, // Ensure setSpectroscopyData is in deps
+        setParseDiagnostics, experiments, setExperimentResults, openResults
     ]);
 
     // ... (return JSX for ProcessingView - no changes needed here)
@@ -114,6 +187,13 @@ const ProcessingView = () => {
             <div id="overall-progress-status" className={processingSuccess === true ? 'status-success' : processingSuccess === false ? 'status-error' : 'status-processing'}>
                 {processingStatusMessage || (progressBarValue === 100 && processingSuccess !== false ? "Processing complete." : "Processing...")}
             </div>
+            {awaitingReview && (
+                <div className="processing-review-actions">
+                    <span>Some files failed or lost many rows. Review the diagnostics below, then continue.</span>
+                    <button type="button" onClick={() => openResults(resultToShow)}>View Results</button>
+                </div>
+            )}
+            <ParseDiagnosticsReport diagnostics={parseDiagnostics} />
         </div>
     );
 };
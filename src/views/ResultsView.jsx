@@ -1,9 +1,18 @@
 // src/views/ResultsView.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useAppContext } from '../contexts/AppContext.jsx';
 import TimeSeriesPlots from '../components/PlotDisplay/TimeSeriesPlots.jsx';
 import SpectroscopyPlots from '../components/PlotDisplay/SpectroscopyPlots.jsx';
+import EventMetricsTable from '../components/EventMetrics/EventMetricsTable.jsx';
+import CalibrationPanel from '../components/Calibration/CalibrationPanel.jsx';
+import PatternRecognitionPanel from '../components/PatternRecognition/PatternRecognitionPanel.jsx';
+import ReplicateGroupsPanel from '../components/ReplicateGroups/ReplicateGroupsPanel.jsx';
+import SensorQualityPanel from '../components/SensorQuality/SensorQualityPanel.jsx';
+import { getSignalLabel } from '../utils/signalDefinitions.js';
 import { exportDataToXlsx, exportDataToCsv, exportPlotsToZip } from '../services/exportService.js';
+import { calculateEventMetrics } from '../utils/eventMetrics.js';
+import { calculateCalibrations } from '../utils/calibration.js';
+import { collectLabelledEvents } from '../utils/patternRecognition.js';
 import './ResultsView.css';
 
 // We will import PlotlyChart and other specific plot components later
@@ -11,7 +20,10 @@ import './ResultsView.css';
 
 const ResultsView = () => {
     const {
-        analysisType, timeSeriesData, spectroscopyData, config, resetAppState,
+        analysisType, timeSeriesData, spectroscopyData, config, updateConfig, resetAppState,
+        gasConcProfiles,
+        parseDiagnostics,
+        experimentResults, activeExperimentId, showExperimentResult,
         plotTimeRange, setPlotTimeRange,
         isExporting, setIsExporting, // Get export state and setter
         addLogMessage // Pass to export function for feedback
@@ -19,7 +31,7 @@ const ResultsView = () => {
 
     // Local state for active tabs
     // Default to the first tab for each analysis type
-    const [activeTimeSeriesTab, setActiveTimeSeriesTab] = useState('impedance'); // 'impedance', 'phase', 'signal'
+    const [activeTimeSeriesTab, setActiveTimeSeriesTab] = useState('impedance'); // 'impedance', 'phase', 'signal', 'events', 'calibration', 'pattern', 'replicates', 'quality'
     const [activeSpectroscopyTab, setActiveSpectroscopyTab] = useState('impedance3d'); // 'impedance3d', 'phase3d'
 
 
@@ -32,20 +44,46 @@ const ResultsView = () => {
         }));
     };
 
+    // Response/recovery metrics per sensor and exposure event
+    const eventMetrics = useMemo(
+        () => (analysisType === 'time_series' ? calculateEventMetrics(timeSeriesData, config.gasExposureEvents) : []),
+        [analysisType, timeSeriesData, config.gasExposureEvents]
+    );
+    const calibrations = useMemo(
+        () => calculateCalibrations(eventMetrics, config.calibrationResponseMetric),
+        [eventMetrics, config.calibrationResponseMetric]
+    );
+    // Events of every gas of the program, labelled for the multivariate analysis
+    const patternEvents = useMemo(
+        () => collectLabelledEvents(gasConcProfiles, config.gasExposureEvents),
+        [gasConcProfiles, config.gasExposureEvents]
+    );
+
+    // With several experiments, exported files are named after the one shown
+    const activeExperiment = experimentResults.find(result => result.experimentId === activeExperimentId);
+    const exportConfig = activeExperiment
+        ? { ...config, experimentName: `${config.experimentName}_${activeExperiment.name.replace(/[^\w.-]+/g, '_')}` }
+        : config;
+
+    const handleExperimentChange = (event) => {
+        const experimentResult = experimentResults.find(result => result.experimentId === event.target.value);
+        if (experimentResult) showExperimentResult(experimentResult);
+    };
+
     // NEW HANDLER for XLSX export
     const handleXlsxExport = () => {
-        exportDataToXlsx(analysisType, timeSeriesData, spectroscopyData, config);
+        exportDataToXlsx(analysisType, timeSeriesData, spectroscopyData, exportConfig, parseDiagnostics);
     };
 
     // NEW HANDLER for CSV export
     const handleCsvExport = () => {
-        exportDataToCsv(analysisType, timeSeriesData, spectroscopyData, config);
+        exportDataToCsv(analysisType, timeSeriesData, spectroscopyData, exportConfig, parseDiagnostics);
     };
 
     // NEW HANDLER for plot export
     const handlePlotExport = () => {
         const activeTab = analysisType === 'time_series' ? activeTimeSeriesTab : activeSpectroscopyTab;
-        exportPlotsToZip(analysisType, activeTab, config, setIsExporting, addLogMessage);
+        exportPlotsToZip(analysisType, activeTab, exportConfig, setIsExporting, addLogMessage, timeSeriesData);
     };
 
     const disableButtons = isExporting; // Can add isProcessing here too if needed
@@ -86,6 +124,36 @@ const ResultsView = () => {
                     >
                         Signal
                     </button>
+                    <button
+                        className={`tab-button ${activeTimeSeriesTab === 'events' ? 'active' : ''}`}
+                        onClick={() => setActiveTimeSeriesTab('events')}
+                    >
+                        Event Metrics
+                    </button>
+                    <button
+                        className={`tab-button ${activeTimeSeriesTab === 'calibration' ? 'active' : ''}`}
+                        onClick={() => setActiveTimeSeriesTab('calibration')}
+                    >
+                        Calibration
+                    </button>
+                    <button
+                        className={`tab-button ${activeTimeSeriesTab === 'pattern' ? 'active' : ''}`}
+                        onClick={() => setActiveTimeSeriesTab('pattern')}
+                    >
+                        Pattern Recognition
+                    </button>
+                    <button
+                        className={`tab-button ${activeTimeSeriesTab === 'replicates' ? 'active' : ''}`}
+                        onClick={() => setActiveTimeSeriesTab('replicates')}
+                    >
+                        Replicates
+                    </button>
+                    <button
+                        className={`tab-button ${activeTimeSeriesTab === 'quality' ? 'active' : ''}`}
+                        onClick={() => setActiveTimeSeriesTab('quality')}
+                    >
+                        Quality
+                    </button>
                 </div>
             );
         } else if (analysisType === 'spectroscopy') {
@@ -113,7 +181,33 @@ const ResultsView = () => {
         if (analysisType === 'time_series') {
             return (
                 <div className="tab-content">
-                    <TimeSeriesPlots activeTab={activeTimeSeriesTab} />
+                    {activeTimeSeriesTab === 'events' && <EventMetricsTable metrics={eventMetrics} />}
+                    {activeTimeSeriesTab === 'calibration' && (
+                        <CalibrationPanel
+                            calibrations={calibrations}
+                            responseMetric={config.calibrationResponseMetric}
+                            onResponseMetricChange={(metric) => updateConfig({ calibrationResponseMetric: metric })}
+                            signalLabel={getSignalLabel(timeSeriesData)}
+                            concentrationLabel={gasConcProfiles.length > 0 ? gasConcProfiles[0].label : config.gasConcentrationLabel}
+                        />
+                    )}
+                    {activeTimeSeriesTab === 'pattern' && (
+                        <PatternRecognitionPanel
+                            timeSeriesData={timeSeriesData}
+                            events={patternEvents}
+                            concentrationLabel={gasConcProfiles.length > 0 ? gasConcProfiles[0].label : config.gasConcentrationLabel}
+                        />
+                    )}
+                    {activeTimeSeriesTab === 'replicates' && (
+                        <ReplicateGroupsPanel
+                            timeSeriesData={timeSeriesData}
+                            settings={config.replicateGroups}
+                            onSettingsChange={(settings) => updateConfig({ replicateGroups: settings })}
+                            signalLabel={getSignalLabel(timeSeriesData)}
+                        />
+                    )}
+                    {activeTimeSeriesTab === 'quality' && <SensorQualityPanel timeSeriesData={timeSeriesData} signalLabel={getSignalLabel(timeSeriesData)} />}
+                    {!['events', 'calibration', 'pattern', 'replicates', 'quality'].includes(activeTimeSeriesTab) && <TimeSeriesPlots activeTab={activeTimeSeriesTab} />}
                 </div>
             );
         } else if (analysisType === 'spectroscopy') {
@@ -133,6 +227,19 @@ const ResultsView = () => {
         <div className="step-view results-view">
             <h2>Step 3: View Data & Export Results</h2>
 
+            {experimentResults.length > 1 && (
+                <div className="experiment-selector">
+                    <label htmlFor="experiment-select">Experiment:</label>
+                    <select id="experiment-select" value={activeExperimentId || ''} onChange={handleExperimentChange} disabled={disableButtons}>
+                        {experimentResults.map(result => (
+                            <option key={result.experimentId} value={result.experimentId}>
+                                {result.name} ({result.analysisType === 'time_series' ? 'time-series' : 'spectroscopy'})
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
             <div className="action-buttons-group">
                 <button id="export-xlsx-btn" onClick={handleXlsxExport} disabled={disableButtons}>
                     Export All to XLSX
@@ -140,7 +247,7 @@ const ResultsView = () => {
                 <button id="export-csv-btn" onClick={handleCsvExport} disabled={disableButtons}>
                     Export All to CSV
                 </button>
-                <button id="export-plots-btn" onClick={handlePlotExport} disabled={disableButtons}>
+                <button id="export-plots-btn" onClick={handlePlotExport} disabled={disableButtons || (analysisType === 'time_series' && ['events', 'quality'].includes(activeTimeSeriesTab))}>
                     {isExporting ? 'Exporting Plots...' : 'Export Current Plots to PNG'}
                 </button>
                 <button id="new-analysis-btn" onClick={handleNewAnalysis} disabled={disableButtons}>
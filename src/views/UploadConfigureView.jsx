@@ -1,16 +1,44 @@
 // src/views/UploadConfigureView.jsx
-import React, { useCallback, useEffect } from 'react'; // Added useEffect
+import React, { useCallback, useEffect, useState } from 'react'; // Added useEffect
 import { useAppContext } from '../contexts/AppContext.jsx';
 import Modal from '../components/Modal/Modal.jsx';
-import { detectAnalysisTypeFromFile } from '../services/fileParserService.js';
-import { extractSensorNumberFromName, sortFileItemsBySensorNumber } from '../utils/fileNameUtils.js'; // Or .js if that's your extension
+import ColumnMappingEditor from '../components/ColumnMapping/ColumnMappingEditor.jsx';
+import ParseSettingsEditor from '../components/ParseSettings/ParseSettingsEditor.jsx';
+import GasTimingEditor from '../components/GasTiming/GasTimingEditor.jsx';
+import ChamberMixingEditor from '../components/ChamberMixing/ChamberMixingEditor.jsx';
+import TimeBaseEditor from '../components/TimeBase/TimeBaseEditor.jsx';
+import CleaningEditor from '../components/Cleaning/CleaningEditor.jsx';
+import DriftCorrectionEditor from '../components/DriftCorrection/DriftCorrectionEditor.jsx';
+import SignalDefinitionEditor from '../components/SignalDefinition/SignalDefinitionEditor.jsx';
+import SensorQualityEditor from '../components/SensorQuality/SensorQualityEditor.jsx';
+import XlsxImportPanel from '../components/XlsxImport/XlsxImportPanel.jsx';
+import ExperimentList from '../components/ExperimentList/ExperimentList.jsx';
+import FormatGuessTable from '../components/FormatGuesses/FormatGuessTable.jsx';
+import { isWorkbookFile, readWorkbookFile } from '../services/xlsxImportService.js';
+import { extractZipFiles, isZipFile } from '../services/archiveImportService.js';
+import { categorizeDataFiles, discoverExperiments, recognizeFileFormats } from '../services/experimentDiscoveryService.js';
+import { getTimestampFormats } from '../utils/dateTimeUtils.js';
+import { isHeaderlessGasTable } from '../utils/formatDetection.js';
+import { DEFAULT_BASELINE_REFERENCE, REFERENCE_MODES } from '../utils/baselineReference.js';
+import { validateDilutionSettings } from '../utils/gasCalculations.js';
+import './UploadConfigureView.css';
+
+/**
+ * Returns the recognised files of one parser, most confident first.
+ * @param {Array<Object>} recognitions - From recognizeFileFormats.
+ * @param {string} parser - 'time_series', 'spectroscopy' or 'gas_program'.
+ * @returns {Array<File>} The files.
+ */
+const getRecognisedFiles = (recognitions, parser) => recognitions
+    .filter(recognition => recognition.parser === parser)
+    .sort((a, b) => b.guesses[0].score - a.guesses[0].score)
+    .map(recognition => recognition.file);
 
 const UploadConfigureView = () => {
     const {
         config, // updateConfig, // Not directly used in this view for processing button
         addLogMessage,
-        allUploadedFiles, // Not directly used here, but by categorize function
-        gasFlowFile, // Not directly used here, but by categorize function
+        gasFlowFile, // Used by the categorize function and the gas dilution check
         categorizedFileItems, // IMPORTANT for enabling the button
         analysisType,         // IMPORTANT for enabling the button
         setCurrentStep,       // To change view
@@ -28,9 +56,17 @@ const UploadConfigureView = () => {
         showAnalysisTypeModal, setShowAnalysisTypeModal,
         analysisTypeModalMessage, setAnalysisTypeModalMessage,
         step1Status, setStep1Status,
+        experiments, setExperiments, // Experiments found in a folder upload
         updateConfig // needed for config inputs
     } = useAppContext();
 
+    // Workbooks waiting for their sheets to be mapped, and the other files selected with them
+    const [pendingWorkbooks, setPendingWorkbooks] = useState([]);
+    const [filesPendingWorkbookImport, setFilesPendingWorkbookImport] = useState([]);
+    const [isDragOver, setIsDragOver] = useState(false);
+    // Ranked format guesses for every file of the last selection
+    const [fileRecognitions, setFileRecognitions] = useState([]);
+
     // MAKE SURE THIS FUNCTION IS PRESENT AND CORRECT:
     const handleConfigChange = (event) => {
         const { name, value, type } = event.target;
@@ -38,6 +74,47 @@ const UploadConfigureView = () => {
         updateConfig({ [name]: newValue });
     };
 
+    const handleColumnMappingChange = (newMapping) => {
+        updateConfig({ columnMapping: newMapping });
+    };
+
+    const handleParseSettingsChange = (newSettings) => {
+        updateConfig({ parseSettings: newSettings });
+    };
+
+    const handleChamberMixingChange = (newSettings) => {
+        updateConfig({ chamberMixing: newSettings });
+    };
+
+    const handleGasTimingChange = (newSettings) => {
+        updateConfig({ gasTiming: newSettings });
+    };
+
+    const handleTimeBaseChange = (newSettings) => {
+        updateConfig({ timeBase: newSettings });
+    };
+
+    const handleCleaningChange = (newSettings) => {
+        updateConfig({ cleaning: newSettings });
+    };
+
+    const handleDriftCorrectionChange = (newSettings) => {
+        updateConfig({ driftCorrection: newSettings });
+    };
+
+    const handleSensorQualityChange = (newSettings) => {
+        updateConfig({ sensorQuality: newSettings });
+    };
+
+    const handleBaselineReferenceChange = (event) => {
+        const { name, value, type } = event.target;
+        updateConfig({ baselineReference: { ...DEFAULT_BASELINE_REFERENCE, ...config.baselineReference, [name]: type === 'number' ? parseFloat(value) : value } });
+    };
+
+    const handleSignalDefinitionChange = (newSettings) => {
+        updateConfig({ signalDefinition: newSettings });
+    };
+
     const finalizeAndCategorizeFilesAndUpdateState = (
         // ... (function as defined in Step 12.7.2)
         chosenType,
@@ -45,42 +122,7 @@ const UploadConfigureView = () => {
         currentGasFlowFile
     ) => {
         addLogMessage(`Finalizing and categorizing files for ${chosenType} analysis...`);
-        let tempCategorizedItems = [];
-        dataFilesForCategorization.forEach(file => {
-            const originalName = file.name;
-            let itemType = null;
-            let sensorNumberRaw = null;
-            let sensorNumberDisplay = null;
-            let effectiveNameForDisplay = originalName;
-            if (chosenType === 'time_series') {
-                const extractedNumRaw = extractSensorNumberFromName(originalName, false);
-                if (extractedNumRaw !== null) {
-                    sensorNumberRaw = extractedNumRaw;
-                    sensorNumberDisplay = sensorNumberRaw + 1;
-                    itemType = 'time_series';
-                } else {
-                    addLogMessage(`Skipping file (time_series analysis): '${originalName}' - could not extract sensor number.`, 'warn');
-                }
-            } else if (chosenType === 'spectroscopy') {
-                const spectroscopyFormatMatch = originalName.match(/__IS_(\d{2}_\d{2}_\d{4} \d{2}_\d{2}_\d{2}(?:\.\d*)?)\.csv$/i);
-                if (spectroscopyFormatMatch) {
-                    itemType = 'spectroscopy';
-                } else {
-                    addLogMessage(`Skipping file (spectroscopy analysis): '${originalName}' - does not match spectroscopy naming pattern.`, 'warn');
-                }
-            }
-            if (itemType === chosenType) {
-                tempCategorizedItems.push({
-                    originalFile: file,
-                    effectiveName: effectiveNameForDisplay,
-                    originalName,
-                    sensorNumberRaw,
-                    sensorNumberDisplay,
-                    type: itemType
-                });
-            }
-        });
-        tempCategorizedItems = sortFileItemsBySensorNumber(tempCategorizedItems);
+        const tempCategorizedItems = categorizeDataFiles(chosenType, dataFilesForCategorization, (message) => addLogMessage(message, 'warn'));
         setCategorizedFileItems(tempCategorizedItems);
         setAnalysisType(chosenType);
         let statusMessage = `Analysis type: ${chosenType.replace('_', ' ')}. Found ${tempCategorizedItems.length} relevant sensor files.`;
@@ -96,122 +138,173 @@ const UploadConfigureView = () => {
     };
 
 
-    const handleFileSelection = useCallback(async (event) => {
-        // ... (full refined logic from Step 12.5.5 / your last working version for this)
-        const selectedFiles = Array.from(event.target.files);
+    const processSelectedFiles = useCallback(async (selectedFiles) => {
         if (selectedFiles.length === 0) {
             setStep1Status({ message: 'No files selected.', type: 'info' });
-            event.target.value = null;
             return;
         }
+
+        // Zipped experiment folders are unpacked in memory and their entries treated as selected files
+        const zipFiles = selectedFiles.filter(isZipFile);
+        if (zipFiles.length > 0) {
+            const unpackedFiles = [];
+            for (const zipFile of zipFiles) {
+                try {
+                    const entries = await extractZipFiles(zipFile);
+                    addLogMessage(`Unpacked ${zipFile.name}: ${entries.length} file(s).`);
+                    unpackedFiles.push(...entries);
+                } catch (e) {
+                    addLogMessage(e.message, 'error');
+                }
+            }
+            selectedFiles = [...selectedFiles.filter(file => !isZipFile(file)), ...unpackedFiles];
+            const seenNames = new Set();
+            selectedFiles.forEach(file => {
+                if (seenNames.has(file.name)) {
+                    addLogMessage(`Duplicate file name '${file.name}'${file.relativePath ? ` (${file.relativePath})` : ''}; only one copy will be used per sensor.`, 'warn');
+                }
+                seenNames.add(file.name);
+            });
+            if (selectedFiles.length === 0) {
+                setStep1Status({ message: 'The selected archive(s) contained no usable files.', type: 'error' });
+                return;
+            }
+        }
+
+        // Workbooks are mapped to sensors first; the generated CSV files then come back through here
+        const workbookFiles = selectedFiles.filter(isWorkbookFile);
+        if (workbookFiles.length > 0) {
+            const workbooks = [];
+            for (const workbookFile of workbookFiles) {
+                try {
+                    workbooks.push(await readWorkbookFile(workbookFile));
+                    addLogMessage(`Workbook ${workbookFile.name} read (${workbooks[workbooks.length - 1].sheets.length} sheet(s)).`);
+                } catch (e) {
+                    addLogMessage(e.message, 'error');
+                }
+            }
+            const otherFiles = selectedFiles.filter(file => !isWorkbookFile(file));
+            if (workbooks.length > 0) {
+                setPendingWorkbooks(workbooks);
+                setFilesPendingWorkbookImport(otherFiles);
+                setStep1Status({ message: 'Map the workbook sheets to sensors below, then click Import.', type: 'info' });
+                return;
+            }
+            selectedFiles = otherFiles;
+            if (selectedFiles.length === 0) {
+                setStep1Status({ message: 'The selected workbook(s) could not be read.', type: 'error' });
+                return;
+            }
+        }
+
         setAllUploadedFiles(selectedFiles);
         addLogMessage(`${selectedFiles.length} file(s) selected.`);
         setStep1Status({ message: `${selectedFiles.length} file(s) selected. Analyzing...`, type: 'info' });
-        let identifiedGasFlowFile = null;
-        const dataFiles = [];
-        for (const file of selectedFiles) {
-            if (file.name.toLowerCase() === 'gas_flow_table.csv') {
-                identifiedGasFlowFile = file;
-            } else {
-                dataFiles.push(file);
-            }
+
+        // Every file is ranked by the registered format detectors; files none of them recognises are rejected
+        const recognitions = await recognizeFileFormats(selectedFiles, config.parseSettings, addLogMessage);
+        setFileRecognitions(recognitions);
+
+        // Files from several folders (directory picker or zipped parent folder): one experiment per folder
+        const discoveredExperiments = discoverExperiments(recognitions, addLogMessage);
+        setExperiments(discoveredExperiments);
+        if (discoveredExperiments.length > 0) {
+            setGasFlowFile(null);
+            setCategorizedFileItems([]);
+            setAnalysisType(null);
+            addLogMessage(`Found ${discoveredExperiments.length} experiment(s): ${discoveredExperiments.map(experiment => experiment.name).join(', ')}.`);
+            setStep1Status({ message: `${discoveredExperiments.length} experiment(s) found. Select the experiments to process below.`, type: 'info' });
+            return;
         }
+
+        const gasProgramFiles = getRecognisedFiles(recognitions, 'gas_program');
+        const identifiedGasFlowFile = gasProgramFiles[0] || null;
         setGasFlowFile(identifiedGasFlowFile);
         if (identifiedGasFlowFile) {
             addLogMessage(`Gas flow table found: ${identifiedGasFlowFile.name}`);
+            if (gasProgramFiles.length > 1) {
+                addLogMessage(`${gasProgramFiles.length} files look like gas programs; using ${identifiedGasFlowFile.name}.`, 'warn');
+            }
         }
-        if (dataFiles.length === 0) {
+        const otherFormatFiles = recognitions.filter(r => r.parser && !['gas_program', 'time_series', 'spectroscopy'].includes(r.parser));
+        if (otherFormatFiles.length > 0) {
+            addLogMessage(`Ignoring ${otherFormatFiles.length} file(s) of a format this analysis does not read: ${otherFormatFiles.map(r => r.file.name).join(', ')}`, 'warn');
+        }
+
+        const potentialTimeSeriesFiles = getRecognisedFiles(recognitions, 'time_series');
+        const potentialSpectroscopyFiles = getRecognisedFiles(recognitions, 'spectroscopy');
+        if (potentialTimeSeriesFiles.length === 0 && potentialSpectroscopyFiles.length === 0) {
             if (identifiedGasFlowFile) {
                 setStep1Status({ message: "Gas flow table found, but no sensor data files. Analysis type cannot be determined.", type: 'warning' });
+            } else if (recognitions.every(r => !r.parser)) {
+                setStep1Status({ message: "None of the selected files has a recognised format. See the detected formats below.", type: 'error' });
             } else {
-                setStep1Status({ message: "No data files selected. Please include sensor data or a gas flow table.", type: 'error' });
+                setStep1Status({ message: "No sensor data files found to determine analysis type.", type: 'error' });
             }
             setAnalysisType(null);
             setCategorizedFileItems([]);
-            event.target.value = null;
             return;
         }
-        let potentialTimeSeriesFiles = [];
-        let potentialSpectroscopyFiles = [];
-        let otherFiles = [];
-        dataFiles.forEach(file => {
-            const lowerCaseName = file.name.toLowerCase();
-            if (lowerCaseName.match(/__is_.*\.csv$/)) {
-                potentialSpectroscopyFiles.push(file);
-            } else if (
-                (lowerCaseName.includes('vs_time') && lowerCaseName.endsWith('.csv')) ||
-                (lowerCaseName.includes('vs_time') && lowerCaseName.match(/\.csv\d+$/))
-            ) {
-                potentialTimeSeriesFiles.push(file);
-            } else {
-                otherFiles.push(file);
-            }
-        });
 
         if (potentialTimeSeriesFiles.length > 0 && potentialSpectroscopyFiles.length > 0) {
-            setAnalysisTypeModalMessage(`Mixed file types detected by name (${potentialTimeSeriesFiles.length} time-series, ${potentialSpectroscopyFiles.length} spectroscopy). Please choose an analysis type.`);
+            setAnalysisTypeModalMessage(`Mixed file types detected (${potentialTimeSeriesFiles.length} time-series, ${potentialSpectroscopyFiles.length} spectroscopy). Please choose an analysis type.`);
             setShowAnalysisTypeModal(true);
             setStep1Status({ message: "Mixed file types detected. Choose analysis type via modal.", type: 'info' });
             setAnalysisType(null);
-            event.target.value = null;
             return;
         }
 
-        let finalChosenType = null;
         if (potentialTimeSeriesFiles.length > 0) {
-            const firstTimeSeriesFile = potentialTimeSeriesFiles[0];
-            const detectedTypeByContent = await detectAnalysisTypeFromFile(firstTimeSeriesFile);
-            if (detectedTypeByContent === 'time_series') {
-                finalChosenType = 'time_series';
-            } else {
-                setAnalysisTypeModalMessage(`Files named like time-series, but content of '${firstTimeSeriesFile.name}' suggests ${detectedTypeByContent || 'an unknown type'}. Please choose an analysis type.`);
-                setShowAnalysisTypeModal(true);
-                setStep1Status({ message: "Ambiguous file content. Choose analysis type via modal.", type: 'warning' });
-                setAnalysisType(null);
-            }
-        } else if (potentialSpectroscopyFiles.length > 0) {
-            const firstSpectroscopyFile = potentialSpectroscopyFiles[0];
-            const detectedTypeByContent = await detectAnalysisTypeFromFile(firstSpectroscopyFile);
-            if (detectedTypeByContent === 'spectroscopy') {
-                finalChosenType = 'spectroscopy';
-            } else {
-                setAnalysisTypeModalMessage(`Files named like spectroscopy, but content of '${firstSpectroscopyFile.name}' suggests ${detectedTypeByContent || 'an unknown type'}. Please choose an analysis type.`);
-                setShowAnalysisTypeModal(true);
-                setStep1Status({ message: "Ambiguous file content. Choose analysis type via modal.", type: 'warning' });
-                setAnalysisType(null);
-            }
-        } else if (otherFiles.length > 0) {
-            const firstDataFile = otherFiles[0];
-            const detectedType = await detectAnalysisTypeFromFile(firstDataFile);
-            if (detectedType) {
-                finalChosenType = detectedType;
-            } else {
-                setStep1Status({ message: "Could not determine analysis type from the files provided. Please check names/contents.", type: 'error' });
-                setAnalysisType(null);
-            }
+            finalizeAndCategorizeFilesAndUpdateState('time_series', potentialTimeSeriesFiles, identifiedGasFlowFile);
         } else {
-            setStep1Status({ message: "No sensor data files found to determine analysis type.", type: 'warning' });
-            setAnalysisType(null);
+            finalizeAndCategorizeFilesAndUpdateState('spectroscopy', potentialSpectroscopyFiles, identifiedGasFlowFile);
         }
-
-        if (finalChosenType && !showAnalysisTypeModal) {
-            finalizeAndCategorizeFilesAndUpdateState(finalChosenType, dataFiles, identifiedGasFlowFile);
-        }
-        event.target.value = null;
     }, [
         addLogMessage, setAllUploadedFiles, setGasFlowFile,
         setAnalysisType, setShowAnalysisTypeModal, setAnalysisTypeModalMessage,
-        setStep1Status, setCategorizedFileItems, showAnalysisTypeModal
+        setStep1Status, setCategorizedFileItems, setExperiments, config.parseSettings
     ]);
 
+    const handleFileSelection = useCallback(async (event) => {
+        const selectedFiles = Array.from(event.target.files);
+        event.target.value = null; // Allow re-selecting the same files
+        await processSelectedFiles(selectedFiles);
+    }, [processSelectedFiles]);
+
+    const handleDragOver = (event) => {
+        event.preventDefault(); // Required for the drop event to fire
+        if (!isProcessing) setIsDragOver(true);
+    };
+
+    const handleDrop = (event) => {
+        event.preventDefault();
+        setIsDragOver(false);
+        if (isProcessing) return;
+        processSelectedFiles(Array.from(event.dataTransfer.files));
+    };
+
+    const handleWorkbookImport = (importedFiles) => {
+        addLogMessage(`Imported ${importedFiles.length} file(s) from workbook sheets: ${importedFiles.map(f => f.name).join(', ')}`);
+        const filesToProcess = [...filesPendingWorkbookImport, ...importedFiles];
+        setPendingWorkbooks([]);
+        setFilesPendingWorkbookImport([]);
+        processSelectedFiles(filesToProcess);
+    };
+
+    const handleWorkbookImportCancel = () => {
+        setPendingWorkbooks([]);
+        setFilesPendingWorkbookImport([]);
+        setStep1Status({ message: 'Workbook import cancelled.', type: 'info' });
+    };
+
     const handleModalChoice = (chosenType) => {
         setShowAnalysisTypeModal(false);
 
-        // Use the 'allUploadedFiles' and 'gasFlowFile' variables
-        // that are already in the component's scope from useAppContext()
-        const dataFilesForCategorizationFromModal = allUploadedFiles.filter(
-            f => !gasFlowFile || f.name !== gasFlowFile.name
-        );
+        // Sensor files of either type; rejected files and gas programs stay out
+        const dataFilesForCategorizationFromModal = [
+            ...getRecognisedFiles(fileRecognitions, 'time_series'),
+            ...getRecognisedFiles(fileRecognitions, 'spectroscopy')
+        ];
 
         finalizeAndCategorizeFilesAndUpdateState(chosenType, dataFilesForCategorizationFromModal, gasFlowFile);
         // The addLogMessage and setStep1Status calls were removed from here in my previous instruction
@@ -220,15 +313,36 @@ const UploadConfigureView = () => {
         addLogMessage(`${chosenType.replace('_', ' ')} analysis selected via modal.`);
     };
 
+    const selectedExperiments = experiments.filter(experiment => experiment.selected);
+    // The cylinder and flow settings are only used for headerless gas flow tables, so only check them then
+    const timeSeriesGasFlowFiles = experiments.length > 0
+        ? selectedExperiments.filter(experiment => experiment.analysisType === 'time_series').map(experiment => experiment.gasFlowFile)
+        : (analysisType === 'time_series' ? [gasFlowFile] : []);
+    const usesHeaderlessGasTable = timeSeriesGasFlowFiles.some(file => (
+        file && isHeaderlessGasTable(fileRecognitions.find(recognition => recognition.file === file))
+    ));
+    const dilutionProblems = usesHeaderlessGasTable ? validateDilutionSettings(config) : [];
+
     // NEW FUNCTION:
     const handleProcessData = () => {
-        if (!analysisType || categorizedFileItems.length === 0) {
+        if (experiments.length > 0) {
+            if (selectedExperiments.length === 0) {
+                setStep1Status({ message: "Select at least one experiment to process.", type: 'error' });
+                return;
+            }
+        } else if (!analysisType || categorizedFileItems.length === 0) {
             addLogMessage("Cannot process data: No analysis type selected or no relevant files categorized.", "error");
             setStep1Status({ message: "Please select files and ensure an analysis type is determined before processing.", type: 'error'});
             return;
         }
+        if (dilutionProblems.length > 0) {
+            setStep1Status({ message: `Check the gas dilution settings: ${dilutionProblems.join(' ')}`, type: 'error' });
+            return;
+        }
 
-        addLogMessage(`Starting ${analysisType.replace('_', ' ')} analysis...`, "info");
+        addLogMessage(experiments.length > 0
+            ? `Starting analysis of ${selectedExperiments.length} experiment(s)...`
+            : `Starting ${analysisType.replace('_', ' ')} analysis...`, "info");
         setIsProcessing(true);
         setProcessingSuccess(null); // Reset success state
         setProcessingStatusMessage('Initializing processing...');
@@ -238,10 +352,22 @@ const UploadConfigureView = () => {
 
         // Simulate gathering config (already in context.config)
         addLogMessage(`Experiment Name: ${config.experimentName}`);
-        if (analysisType === 'time_series') {
+        addLogMessage(`File Format: delimiter ${config.parseSettings.delimiter === '\t' ? 'tab' : config.parseSettings.delimiter}, decimal ${config.parseSettings.decimalSeparator}, encoding ${config.parseSettings.encoding}`);
+        addLogMessage(`Timestamp Format: ${config.timestampFormat}`);
+        if (analysisType === 'time_series' || selectedExperiments.some(experiment => experiment.analysisType === 'time_series')) {
             addLogMessage(`Target Gas: ${config.targetGasName}`);
             addLogMessage(`Initial Target Gas Concentration: ${config.gasConcCyl2} ppm`);
+            addLogMessage(`Balance Line Concentration: ${config.gasConcCyl1} ppm (labels rounded to ${config.gasConcPrecision} decimals)`);
             addLogMessage(`Reference Time: ${config.refTimeStr}`);
+            addLogMessage(`Reference Mode: ${config.baselineReference.mode}${config.baselineReference.mode === 'per_event' ? ` (${config.baselineReference.windowMinutes} min window)` : ''}`);
+            addLogMessage(`Column Mapping: ${config.columnMapping.name}`);
+            addLogMessage(`Chamber Mixing: ${config.chamberMixing.enabled ? `${config.chamberMixing.chamberVolumeMl} mL at ${config.totalFlowrate} sccm` : 'off'}`);
+            addLogMessage(`Gas Timing: ${config.gasTiming.mode === 'auto' ? 'auto-align' : `dead time ${config.gasTiming.deadTimeSeconds} s`}, start offset ${config.gasTiming.startOffsetSeconds} s`);
+            addLogMessage(`Time Base: ${config.timeBase.mode}${config.timeBase.resample ? `, resampled every ${config.timeBase.intervalSeconds} s (${config.timeBase.interpolation})` : ''}`);
+            addLogMessage(`Cleaning: spikes ${config.cleaning.spikeFilter}, smoothing ${config.cleaning.smoothing}`);
+            addLogMessage(`Drift Correction: ${config.driftCorrection.method}`);
+            addLogMessage(`Signal Definition: ${config.signalDefinition.id === 'custom' ? config.signalDefinition.expression : config.signalDefinition.id}`);
+            addLogMessage(`Quality Checks: SNR warn < ${config.sensorQuality.warnSnr}, fail < ${config.sensorQuality.failSnr}; gaps > ${config.sensorQuality.gapFactor} intervals`);
         }
         // Add more config logging as needed
 
@@ -253,17 +379,41 @@ const UploadConfigureView = () => {
     };
 
     // Determine if the process data button should be disabled
-    const isProcessDataDisabled = isProcessing || !analysisType || categorizedFileItems.length === 0;
+    const isProcessDataDisabled = isProcessing || (experiments.length > 0
+        ? selectedExperiments.length === 0
+        : !analysisType || categorizedFileItems.length === 0);
 
 
     return (
         <div className="step-view">
             {/* ... (H2, file input, config parameter groups as before) ... */}
-            <div className="parameter-group">
+            <div
+                className={`parameter-group file-drop-zone${isDragOver ? ' drag-over' : ''}`}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDragOver(false)}
+                onDrop={handleDrop}
+            >
                 <label htmlFor="data-folder-input-react">Sensor Data Files (select one or more):</label>
                 <input type="file" id="data-folder-input-react" multiple onChange={handleFileSelection} disabled={isProcessing} />
-                <small> Select your sensor data files and `gas_flow_table.csv` if available.</small>
+                <small> Select or drop your sensor data files (CSV, Excel workbooks or a zipped run folder) and `gas_flow_table.csv` if available.</small>
+                <label htmlFor="data-directory-input-react">Or select a parent folder of experiments:</label>
+                <input type="file" id="data-directory-input-react" webkitdirectory="" multiple onChange={handleFileSelection} disabled={isProcessing} />
+                <small>Every subfolder with sensor files becomes an experiment, with its own `gas_flow_table.csv`.</small>
             </div>
+            {fileRecognitions.length > 0 && (
+                <FormatGuessTable recognitions={fileRecognitions} />
+            )}
+            {experiments.length > 0 && (
+                <ExperimentList experiments={experiments} onChange={setExperiments} disabled={isProcessing} />
+            )}
+            {pendingWorkbooks.length > 0 && (
+                <XlsxImportPanel
+                    workbooks={pendingWorkbooks}
+                    onImport={handleWorkbookImport}
+                    onCancel={handleWorkbookImportCancel}
+                    disabled={isProcessing}
+                />
+            )}
             <h3>Configuration Parameters:</h3>
             <div className="parameter-group">
                 <label htmlFor="experimentName">Experiment Name:</label>
@@ -278,13 +428,96 @@ const UploadConfigureView = () => {
             <div className="parameter-group">
                 <label htmlFor="gasConcCyl2">Initial Target Gas Concentration (ppm):</label>
                 <input type="number" id="gasConcCyl2" name="gasConcCyl2" value={config.gasConcCyl2} onChange={handleConfigChange} step="any" disabled={isProcessing}/>
-                <small>This is used if `gas_flow_table.csv` is found...</small>
+                <small>This is used if a headerless `gas_flow_table.csv` is found. A headered gas program (e.g. `duration_s,type,NO2 (10 ppm),N2 (carrier)`) sets the concentration of each gas in its header; `type` can be `step` or `ramp`.</small>
+                <label htmlFor="gasConcCyl1">Balance Line Target Gas Concentration (ppm):</label>
+                <input type="number" id="gasConcCyl1" name="gasConcCyl1" min="0" value={config.gasConcCyl1} onChange={handleConfigChange} step="any" disabled={isProcessing}/>
+                <small>Cylinder on the balance line (first column of a headerless `gas_flow_table.csv`); 0 for zero air. Each step then gives (target conc. × target flow + balance conc. × balance flow) / total flow.</small>
+                <label htmlFor="gasConcPrecision">Concentration Precision (decimal places):</label>
+                <input type="number" id="gasConcPrecision" name="gasConcPrecision" min="0" max="6" step="1" value={config.gasConcPrecision} onChange={handleConfigChange} disabled={isProcessing}/>
+                <small>Event concentrations are rounded to this many decimals, so exposures at the same level share a label.</small>
+                {dilutionProblems.map(problem => (
+                    <small key={problem} className="validation-message">{problem}</small>
+                ))}
             </div>
             <div className="parameter-group">
                 <label htmlFor="refTimeStr">Reference Time for Signal Calculation (HH:MM:SS.s from data start):</label>
                 <input type="text" id="refTimeStr" name="refTimeStr" value={config.refTimeStr} onChange={handleConfigChange} placeholder="HH:MM:SS.s" disabled={isProcessing}/>
                 <small>Time point used to calculate the reference impedance...</small>
+                <label htmlFor="referenceMode">Reference Mode:</label>
+                <select id="referenceMode" name="mode" value={config.baselineReference.mode} onChange={handleBaselineReferenceChange} disabled={isProcessing}>
+                    {REFERENCE_MODES.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                {config.baselineReference.mode === 'per_event' && (
+                    <>
+                        <label htmlFor="referenceWindowMinutes">Baseline Window Before Each Exposure (min):</label>
+                        <input type="number" id="referenceWindowMinutes" name="windowMinutes" min="0" step="any" value={config.baselineReference.windowMinutes} onChange={handleBaselineReferenceChange} disabled={isProcessing}/>
+                        <small>For cycling experiments: each exposure's signal is relative to the impedance averaged over this window before it. The reference time above is only used if no exposure has baseline data.</small>
+                    </>
+                )}
+            </div>
+            <div className="parameter-group">
+                <label htmlFor="timestampFormat">Timestamp Format:</label>
+                <select id="timestampFormat" name="timestampFormat" value={config.timestampFormat} onChange={handleConfigChange} disabled={isProcessing}>
+                    <option value="auto">Detect automatically</option>
+                    {getTimestampFormats().map(format => (
+                        <option key={format.id} value={format.id}>{format.label}</option>
+                    ))}
+                </select>
+                <small>Dates like 05/06/2025 fit both DD/MM and MM/DD; such files are read as DD/MM with a warning unless a format is selected here.</small>
             </div>
+            <ParseSettingsEditor
+                settings={config.parseSettings}
+                onChange={handleParseSettingsChange}
+                disabled={isProcessing}
+            />
+            {(analysisType !== 'spectroscopy' || experiments.some(experiment => experiment.analysisType === 'time_series')) && (
+                <>
+                    <ColumnMappingEditor
+                        mapping={config.columnMapping}
+                        onChange={handleColumnMappingChange}
+                        disabled={isProcessing}
+                    />
+                    <ChamberMixingEditor
+                        settings={config.chamberMixing}
+                        totalFlowrate={config.totalFlowrate}
+                        onChange={handleChamberMixingChange}
+                        onTotalFlowrateChange={handleConfigChange}
+                        disabled={isProcessing}
+                    />
+                    <GasTimingEditor
+                        settings={config.gasTiming}
+                        onChange={handleGasTimingChange}
+                        disabled={isProcessing}
+                    />
+                    <TimeBaseEditor
+                        settings={config.timeBase}
+                        onChange={handleTimeBaseChange}
+                        disabled={isProcessing}
+                    />
+                    <CleaningEditor
+                        settings={config.cleaning}
+                        onChange={handleCleaningChange}
+                        disabled={isProcessing}
+                    />
+                    <DriftCorrectionEditor
+                        settings={config.driftCorrection}
+                        onChange={handleDriftCorrectionChange}
+                        disabled={isProcessing}
+                    />
+                    <SignalDefinitionEditor
+                        settings={config.signalDefinition}
+                        onChange={handleSignalDefinitionChange}
+                        disabled={isProcessing}
+                    />
+                    <SensorQualityEditor
+                        settings={config.sensorQuality}
+                        onChange={handleSensorQualityChange}
+                        disabled={isProcessing}
+                    />
+                </>
+            )}
 
             <button
                 id="process-data-btn-react"
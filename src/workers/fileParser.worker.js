@@ -0,0 +1,35 @@
+// src/workers/fileParser.worker.js
+// Runs the streaming parsers off the main thread. Messages in: { kind, file, options }.
+// Messages out: { type: 'progress', bytesRead, totalBytes }, { type: 'rows', rows },
+// then either { type: 'result', result } or { type: 'error', message }.
+import { STREAM_PARSERS } from '../services/streamingParsers.js';
+
+const PROGRESS_STEP = 0.01; // Post progress at most once per 1% of the file
+
+self.onmessage = async (event) => {
+    const { kind, file, options } = event.data;
+    const parser = STREAM_PARSERS[kind];
+    if (!parser) {
+        self.postMessage({ type: 'error', message: `Unknown parser kind "${kind}".` });
+        return;
+    }
+
+    let lastReportedFraction = -1;
+    const onProgress = (bytesRead, totalBytes) => {
+        const fraction = totalBytes > 0 ? bytesRead / totalBytes : 1;
+        if (fraction - lastReportedFraction >= PROGRESS_STEP || fraction >= 1) {
+            lastReportedFraction = fraction;
+            self.postMessage({ type: 'progress', bytesRead, totalBytes });
+        }
+    };
+    const onRows = (rows) => {
+        self.postMessage({ type: 'rows', rows });
+    };
+
+    try {
+        const result = await parser(file, options || {}, { onProgress, onRows });
+        self.postMessage({ type: 'result', result });
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+};